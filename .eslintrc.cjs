@@ -14,7 +14,13 @@ module.exports = {
     'eslint:recommended',
     'plugin:wdio/recommended'
   ],
-  overrides: [],
+  overrides: [
+    {
+      // Command-line scripts report to the terminal
+      files: ['bin/**/*.js'],
+      rules: { 'no-console': 'off' }
+    }
+  ],
   parserOptions: {
     ecmaVersion: 'latest'
   },
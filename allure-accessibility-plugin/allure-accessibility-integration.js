@@ -18,10 +18,10 @@ export function copyAccessibilityReportsToAllure() {
     fs.mkdirSync(destReportsDir, { recursive: true })
   }
 
-  // Copy all HTML files
+  // Copy the HTML reports and their JSON and JUnit results
   const files = fs.readdirSync(sourceReportsDir)
   files.forEach((file) => {
-    if (file.endsWith('.html')) {
+    if (file.endsWith('.html') || /accessibility.*\.(json|xml)$/.test(file)) {
       const sourcePath = path.join(sourceReportsDir, file)
       const destPath = path.join(destReportsDir, file)
       fs.copyFileSync(sourcePath, destPath)
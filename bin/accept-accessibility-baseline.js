@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Accept the latest accessibility results as the new baseline, once the
+ * findings have been triaged. Pages analysed in the latest run are replaced
+ * with what was found on them; other pages keep their baseline entries.
+ *
+ *   node bin/accept-accessibility-baseline.js             update the baseline
+ *   node bin/accept-accessibility-baseline.js --dry-run   list what would change
+ *
+ * Reads reports/accessibility-results.json, written by `npm run
+ * test:accessibility`, and writes test/accessibility/baseline.json.
+ */
+
+import fs from 'fs'
+import { parseArgs } from 'node:util'
+import {
+  BASELINE_PATH,
+  RESULTS_PATH,
+  baselineFromFindings,
+  compareWithBaseline,
+  readBaseline,
+  writeJson
+} from '../test/accessibility/baseline.js'
+import { describeFinding } from '../test/accessibility/gate.js'
+
+const { values } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false }
+  }
+})
+
+if (!fs.existsSync(RESULTS_PATH)) {
+  console.error(
+    `No results in ${RESULTS_PATH}. Run \`npm run test:accessibility\` first.`
+  )
+  process.exit(2)
+}
+
+const { pages, findings } = JSON.parse(fs.readFileSync(RESULTS_PATH, 'utf8'))
+const current = readBaseline()
+const { added, fixed } = compareWithBaseline(findings, current, pages)
+
+const accepted = baselineFromFindings(findings)
+for (const [page, entries] of Object.entries(current.pages)) {
+  if (!pages.includes(page)) {
+    accepted.pages[page] = entries
+  }
+}
+accepted.pages = Object.fromEntries(
+  Object.entries(accepted.pages).sort(([a], [b]) => a.localeCompare(b))
+)
+
+console.log(
+  `${added.length} finding(s) to add and ${fixed.length} to remove ` +
+    `across ${pages.length} page(s)`
+)
+for (const finding of added) {
+  console.log(`  + ${describeFinding(finding)}`)
+}
+for (const finding of fixed) {
+  console.log(`  - ${describeFinding(finding)}`)
+}
+
+if (!values['dry-run']) {
+  writeJson(BASELINE_PATH, accepted)
+  console.log(`Wrote ${BASELINE_PATH}`)
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Write the docker compose MongoDB fixtures from test/data.
+ *
+ *   node bin/build-fixtures.js          regenerate docker/scripts/mongodb/fixtures
+ *   node bin/build-fixtures.js --check  exit 1 if the committed files are stale
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { buildFixtures } from '../test/fixtures/database.fixtures.js'
+
+const fixturesDirectory = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'docker',
+  'scripts',
+  'mongodb',
+  'fixtures'
+)
+
+const checkOnly = process.argv.includes('--check')
+
+const { database, collections } = buildFixtures()
+
+const files = {
+  'manifest.json': { database, collections: Object.keys(collections) }
+}
+for (const [name, documents] of Object.entries(collections)) {
+  files[`${name}.json`] = documents
+}
+
+const stale = []
+for (const [fileName, content] of Object.entries(files)) {
+  const file = path.join(fixturesDirectory, fileName)
+  const expected = `${JSON.stringify(content, null, 2)}\n`
+  const actual = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null
+
+  if (actual === expected) continue
+
+  if (checkOnly) {
+    stale.push(fileName)
+  } else {
+    fs.mkdirSync(fixturesDirectory, { recursive: true })
+    fs.writeFileSync(file, expected)
+    console.log(`Wrote ${path.relative(process.cwd(), file)}`)
+  }
+}
+
+// Files for collections that no longer exist
+if (fs.existsSync(fixturesDirectory)) {
+  for (const fileName of fs.readdirSync(fixturesDirectory)) {
+    if (fileName.endsWith('.json') && !(fileName in files)) {
+      if (checkOnly) {
+        stale.push(fileName)
+      } else {
+        fs.rmSync(path.join(fixturesDirectory, fileName))
+        console.log(`Removed ${fileName}`)
+      }
+    }
+  }
+}
+
+if (stale.length > 0) {
+  console.error(
+    `MongoDB fixtures are out of date with test/data: ${stale.join(', ')}\n` +
+      'Run "npm run fixtures:build" and commit the result.'
+  )
+  process.exit(1)
+}
+
+console.log(
+  checkOnly
+    ? 'MongoDB fixtures are up to date.'
+    : `MongoDB fixtures for "${database}" are up to date.`
+)
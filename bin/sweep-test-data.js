@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Delete test deliveries and delivery partners left behind by earlier runs
+ * (e.g. runs that crashed before their onComplete cleanup). Only those whose
+ * names follow the suite's naming conventions (TEST_DATA_NAME_PATTERNS) are
+ * considered.
+ *
+ *   node bin/sweep-test-data.js                    delete leftovers older than 7 days
+ *   node bin/sweep-test-data.js --older-than 2     ...older than 2 days
+ *   node bin/sweep-test-data.js --dry-run          list what would be deleted
+ *
+ * Targets the API in ASSURANCE_API_URL (see test/api/assurance-api.client.js).
+ */
+
+import { parseArgs } from 'node:util'
+import assuranceApi from '../test/api/assurance-api.client.js'
+import {
+  isTestDataName,
+  testDataCreatedAt
+} from '../test/helpers/test-data-registry.helper.js'
+
+const oneDay = 24 * 60 * 60 * 1000
+
+const { values } = parseArgs({
+  options: {
+    'older-than': { type: 'string', default: '7' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+})
+
+const olderThanDays = Number(values['older-than'])
+if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+  console.error(
+    `--older-than must be a number of days, got "${values['older-than']}"`
+  )
+  process.exit(2)
+}
+
+const cutoff = new Date(Date.now() - olderThanDays * oneDay)
+
+/**
+ * What is swept, in order: deliveries before the delivery partners working
+ * on them.
+ */
+const kinds = [
+  {
+    label: 'deliveries',
+    list: () => assuranceApi.listProjects(),
+    remove: (id) => assuranceApi.deleteProject(id)
+  },
+  {
+    label: 'delivery partners',
+    list: () => assuranceApi.listDeliveryPartners(),
+    remove: (id) => assuranceApi.deleteDeliveryPartner(id)
+  }
+]
+
+let failures = 0
+for (const kind of kinds) {
+  const records = await kind.list()
+  const leftovers = records.filter((record) => {
+    if (!isTestDataName(record.name)) return false
+    const createdAt = testDataCreatedAt(record.name)
+    return createdAt < cutoff
+  })
+
+  console.log(
+    `${leftovers.length} of ${records.length} ${kind.label} are test data older ` +
+      `than ${olderThanDays} day(s) at ${assuranceApi.baseUrl}`
+  )
+
+  for (const record of leftovers) {
+    const label = `"${record.name}" (${record.id}, created ${testDataCreatedAt(record.name).toISOString()})`
+
+    if (values['dry-run']) {
+      console.log(`  would delete ${label}`)
+      continue
+    }
+
+    try {
+      await kind.remove(record.id)
+      console.log(`  deleted ${label}`)
+    } catch (error) {
+      failures++
+      console.error(`  ❌  could not delete ${label}: ${error.message}`)
+    }
+  }
+}
+
+process.exit(failures > 0 ? 1 : 0)
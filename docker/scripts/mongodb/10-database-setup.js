@@ -1,7 +1,27 @@
 /**
  * Mongodb script for inserting test data into the docker-compose mongo instance
+ *
+ * Loads the Extended JSON files in ./fixtures, which are generated from
+ * test/data by `npm run fixtures:build` – edit the test data, not the JSON.
  */
 
-db = db.getSiblingDB('test')
+const fs = require('fs')
 
-db.test.insertOne({ test: 'data' })
+const fixturesDirectory = '/docker-entrypoint-initdb.d/fixtures'
+
+const manifest = EJSON.parse(
+  fs.readFileSync(`${fixturesDirectory}/manifest.json`, 'utf8')
+)
+
+db = db.getSiblingDB(manifest.database)
+
+for (const collection of manifest.collections) {
+  const documents = EJSON.parse(
+    fs.readFileSync(`${fixturesDirectory}/${collection}.json`, 'utf8')
+  )
+
+  if (documents.length > 0) {
+    db.getCollection(collection).insertMany(documents)
+  }
+  print(`Seeded ${documents.length} ${collection} into ${manifest.database}`)
+}
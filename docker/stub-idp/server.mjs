@@ -0,0 +1,520 @@
+/**
+ * Stub OpenID Connect identity provider for running the journey tests in
+ * docker compose without a real Azure tenant.
+ *
+ * It copies the Microsoft identity platform URL layout
+ * (/{tenant}/v2.0/.well-known/openid-configuration, /{tenant}/oauth2/v2.0/...)
+ * so the assurance frontend and API only need their authority host pointed
+ * at this service. Users and their app roles come from users.json.
+ *
+ * Node built-ins only, so it runs on the stock node image with no install.
+ *
+ * Environment:
+ *   PORT              port to listen on (default 8090)
+ *   STUB_IDP_URL      URL browsers and services use to reach this service
+ *                     (default http://stub-idp:8090); used in the issuer and
+ *                     every endpoint in the discovery document
+ *   STUB_IDP_USERS    path to the users file (default ./users.json)
+ *   TOKEN_LIFETIME    access / id token lifetime in seconds (default 3600)
+ */
+
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import http from 'node:http'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const port = Number(process.env.PORT ?? 8090)
+const publicUrl = (
+  process.env.STUB_IDP_URL ?? `http://stub-idp:${port}`
+).replace(/\/$/, '')
+const usersFile =
+  process.env.STUB_IDP_USERS ??
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'users.json')
+const tokenLifetime = Number(process.env.TOKEN_LIFETIME ?? 3600)
+
+/** Authorization codes are single use and short lived, as with Entra ID */
+const codeLifetime = 5 * 60 * 1000
+
+const users = loadUsers(usersFile)
+
+// A fresh signing key per container start; clients fetch it from the JWKS endpoint
+const keyId = crypto.randomUUID()
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048
+})
+const publicJwk = {
+  ...publicKey.export({ format: 'jwk' }),
+  kid: keyId,
+  use: 'sig',
+  alg: 'RS256'
+}
+
+/** code -> { user, tenant, clientId, redirectUri, nonce, scope, codeChallenge, codeChallengeMethod, expiresAt } */
+const authorizationCodes = new Map()
+
+/** refresh token -> { user, tenant, clientId, scope } */
+const refreshTokens = new Map()
+
+const routes = [
+  { method: 'GET', pattern: /^\/health$/, handler: handleHealth },
+  {
+    method: 'GET',
+    pattern: /^\/([^/]+)(?:\/v2\.0)?\/\.well-known\/openid-configuration$/,
+    handler: handleDiscovery
+  },
+  {
+    method: 'GET',
+    pattern: /^\/([^/]+)\/discovery\/v2\.0\/keys$/,
+    handler: handleKeys
+  },
+  {
+    method: 'GET',
+    pattern: /^\/([^/]+)\/oauth2\/v2\.0\/authorize$/,
+    handler: handleAuthorizeForm
+  },
+  {
+    method: 'POST',
+    pattern: /^\/([^/]+)\/oauth2\/v2\.0\/authorize$/,
+    handler: handleAuthorizeSubmit
+  },
+  {
+    method: 'POST',
+    pattern: /^\/([^/]+)\/oauth2\/v2\.0\/token$/,
+    handler: handleToken
+  },
+  {
+    method: 'GET',
+    pattern: /^\/([^/]+)\/oauth2\/v2\.0\/logout$/,
+    handler: handleLogout
+  }
+]
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, publicUrl)
+
+  try {
+    for (const { method, pattern, handler } of routes) {
+      const match = url.pathname.match(pattern)
+      if (match && req.method === method) {
+        const params =
+          method === 'POST' ? await readForm(req) : url.searchParams
+        await handler({ req, res, url, params, tenant: match[1] })
+        return
+      }
+    }
+    sendJson(res, 404, {
+      error: 'not_found',
+      error_description: `${req.method} ${url.pathname}`
+    })
+  } catch (error) {
+    console.error(error)
+    sendJson(res, 500, {
+      error: 'server_error',
+      error_description: error.message
+    })
+  }
+})
+
+server.listen(port, () => {
+  console.log(
+    `Stub identity provider listening on ${port}, issuing as ${publicUrl}`
+  )
+  console.log(`Users: ${users.map((user) => user.username).join(', ')}`)
+})
+
+// ── Endpoints ─────────────────────────────────────────────────────────────
+
+function handleHealth({ res }) {
+  sendJson(res, 200, { status: 'ok' })
+}
+
+function handleDiscovery({ res, tenant }) {
+  const base = `${publicUrl}/${tenant}`
+  sendJson(res, 200, {
+    issuer: issuerFor(tenant),
+    authorization_endpoint: `${base}/oauth2/v2.0/authorize`,
+    token_endpoint: `${base}/oauth2/v2.0/token`,
+    end_session_endpoint: `${base}/oauth2/v2.0/logout`,
+    jwks_uri: `${base}/discovery/v2.0/keys`,
+    response_types_supported: ['code'],
+    response_modes_supported: ['query', 'form_post'],
+    subject_types_supported: ['pairwise'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'profile', 'email', 'offline_access'],
+    token_endpoint_auth_methods_supported: [
+      'client_secret_post',
+      'client_secret_basic'
+    ],
+    grant_types_supported: ['authorization_code', 'refresh_token'],
+    code_challenge_methods_supported: ['S256', 'plain'],
+    claims_supported: [
+      'sub',
+      'oid',
+      'tid',
+      'name',
+      'preferred_username',
+      'email',
+      'roles',
+      'nonce'
+    ]
+  })
+}
+
+function handleKeys({ res }) {
+  sendJson(res, 200, { keys: [publicJwk] })
+}
+
+function handleAuthorizeForm({ res, params }) {
+  const error = validateAuthorizeRequest(params)
+  if (error) {
+    sendHtml(
+      res,
+      400,
+      renderPage('Sign in failed', `<p class="error">${escapeHtml(error)}</p>`)
+    )
+    return
+  }
+  sendHtml(res, 200, renderLoginForm(params))
+}
+
+function handleAuthorizeSubmit({ res, params, tenant }) {
+  const error = validateAuthorizeRequest(params)
+  if (error) {
+    sendHtml(
+      res,
+      400,
+      renderPage('Sign in failed', `<p class="error">${escapeHtml(error)}</p>`)
+    )
+    return
+  }
+
+  const username = (params.get('username') ?? '').trim()
+  const user = users.find(
+    (candidate) => candidate.username.toLowerCase() === username.toLowerCase()
+  )
+
+  // Messages follow Microsoft's wording so the login helper classifies them the same way
+  if (!user) {
+    sendHtml(
+      res,
+      200,
+      renderLoginForm(params, "We couldn't find an account with that username.")
+    )
+    return
+  }
+  if (user.locked) {
+    sendHtml(
+      res,
+      200,
+      renderLoginForm(
+        params,
+        'Your account has been locked. Contact your support person.'
+      )
+    )
+    return
+  }
+  if (params.get('password') !== user.password) {
+    sendHtml(
+      res,
+      200,
+      renderLoginForm(params, 'Your account or password is incorrect.')
+    )
+    return
+  }
+
+  const code = crypto.randomBytes(32).toString('base64url')
+  authorizationCodes.set(code, {
+    user,
+    tenant,
+    clientId: params.get('client_id'),
+    redirectUri: params.get('redirect_uri'),
+    nonce: params.get('nonce'),
+    scope: params.get('scope') ?? 'openid',
+    codeChallenge: params.get('code_challenge'),
+    codeChallengeMethod: params.get('code_challenge_method') ?? 'plain',
+    expiresAt: Date.now() + codeLifetime
+  })
+
+  const response = { code, state: params.get('state') }
+  if (params.get('response_mode') === 'form_post') {
+    sendHtml(res, 200, renderFormPost(params.get('redirect_uri'), response))
+    return
+  }
+
+  const redirect = new URL(params.get('redirect_uri'))
+  for (const [name, value] of Object.entries(response)) {
+    if (value) redirect.searchParams.set(name, value)
+  }
+  res.writeHead(302, { Location: redirect.toString() })
+  res.end()
+}
+
+function handleToken({ req, res, params }) {
+  const clientId = params.get('client_id') ?? readBasicAuthClientId(req)
+  const grantType = params.get('grant_type')
+
+  if (grantType === 'authorization_code') {
+    const code = params.get('code')
+    const grant = authorizationCodes.get(code)
+    authorizationCodes.delete(code)
+
+    if (!grant || grant.expiresAt < Date.now()) {
+      sendJson(res, 400, {
+        error: 'invalid_grant',
+        error_description: 'Authorization code is invalid or has expired'
+      })
+      return
+    }
+    if (
+      grant.clientId !== clientId ||
+      grant.redirectUri !== params.get('redirect_uri')
+    ) {
+      sendJson(res, 400, {
+        error: 'invalid_grant',
+        error_description:
+          'client_id or redirect_uri does not match the authorization request'
+      })
+      return
+    }
+    if (
+      grant.codeChallenge &&
+      !verifyCodeChallenge(grant, params.get('code_verifier'))
+    ) {
+      sendJson(res, 400, {
+        error: 'invalid_grant',
+        error_description: 'PKCE code_verifier does not match code_challenge'
+      })
+      return
+    }
+
+    sendJson(res, 200, issueTokens(grant))
+    return
+  }
+
+  if (grantType === 'refresh_token') {
+    const grant = refreshTokens.get(params.get('refresh_token'))
+    if (!grant || grant.clientId !== clientId) {
+      sendJson(res, 400, {
+        error: 'invalid_grant',
+        error_description: 'Refresh token is invalid'
+      })
+      return
+    }
+    sendJson(res, 200, issueTokens(grant))
+    return
+  }
+
+  sendJson(res, 400, {
+    error: 'unsupported_grant_type',
+    error_description: `grant_type "${grantType}" is not supported`
+  })
+}
+
+function handleLogout({ res, params }) {
+  const redirect = params.get('post_logout_redirect_uri')
+  if (redirect) {
+    res.writeHead(302, { Location: redirect })
+    res.end()
+    return
+  }
+  sendHtml(
+    res,
+    200,
+    renderPage(
+      'Signed out',
+      '<p>You have signed out of the stub identity provider.</p>'
+    )
+  )
+}
+
+// ── Tokens ────────────────────────────────────────────────────────────────
+
+function issueTokens({ user, tenant, clientId, scope, nonce }) {
+  const now = Math.floor(Date.now() / 1000)
+  const common = {
+    iss: issuerFor(tenant),
+    aud: clientId,
+    tid: tenant,
+    oid: user.oid,
+    sub: user.oid,
+    name: user.name,
+    preferred_username: user.username,
+    email: user.email ?? user.username,
+    roles: user.roles ?? [],
+    iat: now,
+    nbf: now,
+    exp: now + tokenLifetime,
+    ver: '2.0'
+  }
+
+  const refreshToken = crypto.randomBytes(32).toString('base64url')
+  refreshTokens.set(refreshToken, { user, tenant, clientId, scope })
+
+  return {
+    token_type: 'Bearer',
+    scope,
+    expires_in: tokenLifetime,
+    ext_expires_in: tokenLifetime,
+    access_token: signJwt({ ...common, scp: scope }),
+    id_token: signJwt({ ...common, ...(nonce && { nonce }) }),
+    refresh_token: refreshToken,
+    // MSAL reads the account identity from client_info rather than the id token
+    client_info: Buffer.from(
+      JSON.stringify({ uid: user.oid, utid: tenant })
+    ).toString('base64url')
+  }
+}
+
+function signJwt(payload) {
+  const header = { alg: 'RS256', typ: 'JWT', kid: keyId }
+  const encoded = [header, payload]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.')
+  const signature = crypto
+    .sign('RSA-SHA256', Buffer.from(encoded), privateKey)
+    .toString('base64url')
+  return `${encoded}.${signature}`
+}
+
+function verifyCodeChallenge({ codeChallenge, codeChallengeMethod }, verifier) {
+  if (!verifier) return false
+  const expected =
+    codeChallengeMethod === 'S256'
+      ? crypto.createHash('sha256').update(verifier).digest('base64url')
+      : verifier
+  return expected === codeChallenge
+}
+
+function issuerFor(tenant) {
+  return `${publicUrl}/${tenant}/v2.0`
+}
+
+// ── Request / response helpers ────────────────────────────────────────────
+
+function validateAuthorizeRequest(params) {
+  if (!params.get('client_id')) return 'client_id is required'
+  if (!params.get('redirect_uri')) return 'redirect_uri is required'
+  if (params.get('response_type') !== 'code')
+    return 'Only response_type=code is supported'
+  if (!URL.canParse(params.get('redirect_uri')))
+    return 'redirect_uri is not a valid URL'
+  return null
+}
+
+async function readForm(req) {
+  let body = ''
+  for await (const chunk of req) {
+    body += chunk
+  }
+  return new URLSearchParams(body)
+}
+
+function readBasicAuthClientId(req) {
+  const header = req.headers.authorization ?? ''
+  if (!header.startsWith('Basic ')) return null
+  return decodeURIComponent(
+    Buffer.from(header.slice(6), 'base64').toString().split(':')[0]
+  )
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  })
+  res.end(JSON.stringify(body))
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store'
+  })
+  res.end(html)
+}
+
+function loadUsers(file) {
+  const loaded = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (!Array.isArray(loaded) || loaded.length === 0) {
+    throw new Error(`${file} must contain a non-empty array of users`)
+  }
+  for (const user of loaded) {
+    if (!user.username || !user.password || !user.oid) {
+      throw new Error(
+        `Every user in ${file} needs a username, password and oid: ${JSON.stringify(user)}`
+      )
+    }
+  }
+  return loaded
+}
+
+// ── HTML ──────────────────────────────────────────────────────────────────
+
+/**
+ * The login form. The ids are what test/helpers/auth.helper.js looks for.
+ */
+function renderLoginForm(params, error) {
+  const hidden = [...params.entries()]
+    .filter(([name]) => name !== 'username' && name !== 'password')
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`
+    )
+    .join('\n      ')
+
+  return renderPage(
+    'Sign in',
+    `${error ? `<p id="stub-idp-error" class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+    <form id="stub-idp-login" method="post">
+      ${hidden}
+      <label for="stub-idp-username">Username</label>
+      <input id="stub-idp-username" name="username" type="email" autocomplete="username" value="${escapeHtml(params.get('username') ?? params.get('login_hint') ?? '')}">
+      <label for="stub-idp-password">Password</label>
+      <input id="stub-idp-password" name="password" type="password" autocomplete="current-password">
+      <button id="stub-idp-sign-in" type="submit">Sign in</button>
+    </form>`
+  )
+}
+
+function renderFormPost(action, fields) {
+  const inputs = Object.entries(fields)
+    .filter(([, value]) => value)
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`
+    )
+    .join('')
+  return `<!doctype html><html lang="en"><body onload="document.forms[0].submit()">
+    <form method="post" action="${escapeHtml(action)}">${inputs}<noscript><button type="submit">Continue</button></noscript></form>
+  </body></html>`
+}
+
+function renderPage(title, body) {
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)} – Stub identity provider</title>
+    <style>
+      body { font-family: sans-serif; max-width: 28rem; margin: 4rem auto; }
+      label, input, button { display: block; margin-bottom: 0.75rem; }
+      input { width: 100%; padding: 0.4rem; }
+      .error { color: #d4351c; font-weight: bold; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </body>
+</html>`
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
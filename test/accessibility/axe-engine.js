@@ -0,0 +1,58 @@
+/* global axe */
+/**
+ * Run axe-core directly on the current page, alongside the copy wcag-js-v2
+ * runs, so findings do not depend on how that library configures axe and
+ * violations are kept apart from elements that need review.
+ */
+
+import axeCore from 'axe-core'
+import { ENGINES, normaliseAxeResults } from './findings.js'
+
+/**
+ * Inject axe-core into the current page and run the rules with any of the
+ * tags. Only violations are findings. Elements axe could not decide on (its
+ * `incomplete` results) need a person to review them, so they are returned
+ * separately.
+ * @param {Object} page
+ * @param {string} page.page - page name, as given to analyseAccessibility()
+ * @param {string} page.url
+ * @param {string[]} tags - axe rule tags, e.g. DEFAULT_RULE_TAGS
+ * @returns {Promise<{ findings: import('./findings.js').Finding[], needsReview: import('./findings.js').Finding[], passedRules: string[] }>}
+ * @throws {Error} when axe fails to run
+ */
+export async function runAxe({ page, url }, tags) {
+  await browser.execute(axeCore.source)
+  const response = await browser.executeAsync((values, done) => {
+    axe
+      .run(document, {
+        runOnly: { type: 'tag', values },
+        resultTypes: ['violations', 'incomplete']
+      })
+      .then((results) => {
+        const summarise = (result) => ({
+          id: result.id,
+          impact: result.impact,
+          tags: result.tags,
+          help: result.help,
+          helpUrl: result.helpUrl,
+          nodes: result.nodes.map(({ target, impact }) => ({ target, impact }))
+        })
+        done({
+          violations: results.violations.map(summarise),
+          incomplete: results.incomplete.map(summarise),
+          passes: results.passes.map(({ id }) => id)
+        })
+      })
+      .catch((error) => done({ error: error.message }))
+  }, tags)
+
+  if (response.error) {
+    throw new Error(`axe-core failed on ${url}: ${response.error}`)
+  }
+  const source = { page, url, engine: ENGINES.axeCore }
+  return {
+    findings: normaliseAxeResults(response.violations, source),
+    needsReview: normaliseAxeResults(response.incomplete, source),
+    passedRules: response.passes
+  }
+}
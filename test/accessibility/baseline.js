@@ -0,0 +1,103 @@
+/**
+ * The committed accessibility baseline: the findings already triaged and
+ * accepted, so the gate only fails on new ones. Accept the latest results
+ * with `npm run accessibility:accept` (bin/accept-accessibility-baseline.js).
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { findingKey } from './findings.js'
+
+/** Committed baseline */
+export const BASELINE_PATH = path.join('test', 'accessibility', 'baseline.json')
+
+/** Findings from the latest accessibility run, written by the gate */
+export const RESULTS_PATH = path.join('reports', 'accessibility-results.json')
+
+/**
+ * @typedef {Object} BaselineEntry
+ * @property {string} rule
+ * @property {string} selector
+ * @property {string|null} impact
+ * @property {string[]} wcag
+ */
+
+/**
+ * @typedef {Object} Baseline
+ * @property {Object<string, BaselineEntry[]>} pages - keyed by page name
+ */
+
+/**
+ * Read a baseline. A missing file is an empty baseline.
+ * @param {string} [file]
+ * @returns {Baseline}
+ */
+export function readBaseline(file = BASELINE_PATH) {
+  if (!fs.existsSync(file)) {
+    return { pages: {} }
+  }
+  const baseline = JSON.parse(fs.readFileSync(file, 'utf8'))
+  return { pages: baseline.pages ?? {} }
+}
+
+/**
+ * Build a baseline from findings, sorted so it diffs cleanly.
+ * @param {import('./findings.js').Finding[]} findings
+ * @returns {Baseline}
+ */
+export function baselineFromFindings(findings) {
+  const pages = {}
+  const sorted = [...findings].sort((a, b) =>
+    findingKey(a).localeCompare(findingKey(b))
+  )
+  for (const { page, rule, selector, impact, wcag } of sorted) {
+    pages[page] ??= []
+    pages[page].push({ rule, selector, impact, wcag })
+  }
+  return { pages }
+}
+
+/**
+ * Write JSON with a trailing newline, creating its directory.
+ * @param {string} file
+ * @param {*} data
+ */
+export function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`)
+}
+
+/**
+ * Compare findings with a baseline. Only the pages analysed in this run are
+ * checked for fixed entries, so a run of some pages does not report the rest
+ * as fixed.
+ * @param {import('./findings.js').Finding[]} findings
+ * @param {Baseline} baseline
+ * @param {string[]} pagesAnalysed - see analysedPages() in ./findings.js
+ * @returns {{ added: import('./findings.js').Finding[], fixed: Array<BaselineEntry & { page: string }> }}
+ */
+export function compareWithBaseline(findings, baseline, pagesAnalysed) {
+  const known = new Set()
+  for (const [page, entries] of Object.entries(baseline.pages)) {
+    for (const entry of entries) {
+      known.add(findingKey({ page, ...entry }))
+    }
+  }
+
+  const found = new Set(findings.map(findingKey))
+  const pagesRun = new Set(pagesAnalysed)
+  const fixed = []
+  for (const [page, entries] of Object.entries(baseline.pages)) {
+    if (!pagesRun.has(page)) continue
+    for (const entry of entries) {
+      if (!found.has(findingKey({ page, ...entry }))) {
+        fixed.push({ page, ...entry })
+      }
+    }
+  }
+
+  return {
+    added: findings.filter((finding) => !known.has(findingKey(finding))),
+    fixed
+  }
+}
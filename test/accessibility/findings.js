@@ -0,0 +1,260 @@
+/**
+ * Turn axe results into flat findings: one per page, rule and offending
+ * element. Results come from two engines: wcag-js-v2, which gathers them in
+ * its `wcagResult` global, and axe-core run directly (./axe-engine.js).
+ * Findings are what the accessibility gate (./gate.js) compares with the
+ * committed baseline.
+ *
+ * Only the axe results of wcag-js-v2 are read. Its Lighthouse accessibility
+ * audits are axe rules run a second time, so they would only repeat the
+ * same issues.
+ *
+ * wcag-js-v2 lists axe's violations and the elements axe could not decide on
+ * together. axe-core run directly keeps the second kind apart, as findings
+ * that need review; those never fail the gate, whichever engine reported them.
+ */
+
+/** axe impacts, least severe first */
+export const IMPACTS = ['minor', 'moderate', 'serious', 'critical']
+
+/** Engine names recorded on findings */
+export const ENGINES = {
+  wcagJs: 'wcag-js-v2',
+  axeCore: 'axe-core'
+}
+
+/** axe rule tags checked unless a suite chooses others */
+export const DEFAULT_RULE_TAGS = [
+  'wcag2a',
+  'wcag2aa',
+  'wcag21aa',
+  'wcag22aa',
+  'best-practice'
+]
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} page - the suffix given to analyseAccessibility(), or the
+ *   URL path when there was none
+ * @property {string} url - the URL analysed
+ * @property {string} rule - axe rule id, e.g. 'color-contrast'
+ * @property {string|null} impact - one of IMPACTS; null when axe gives none
+ * @property {string} selector - CSS selector of the offending element
+ * @property {string[]} wcag - WCAG success criteria, e.g. ['1.4.3']
+ * @property {string} help - what the rule checks
+ * @property {string} helpUrl
+ * @property {string[]} engines - the engines that found it (see ENGINES)
+ */
+
+/**
+ * Split a wcag-js-v2 page key, `<url>[<suffix>]`, into its URL and page name.
+ * @param {string} key
+ * @returns {{ url: string, page: string }}
+ */
+export function parsePageKey(key) {
+  const match = key.match(/^(.*)\[([^\]]+)\]$/)
+  if (match) {
+    return { url: match[1], page: match[2] }
+  }
+  let page = key
+  try {
+    page = new URL(key).pathname
+  } catch {
+    // not a URL; use the key as it is
+  }
+  return { url: key, page }
+}
+
+/**
+ * WCAG success criteria named in axe tags: 'wcag143' is 1.4.3 and
+ * 'wcag1410' is 1.4.10. Level tags such as 'wcag2aa' are not criteria.
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export function wcagCriteria(tags = []) {
+  const criteria = []
+  for (const tag of tags) {
+    const match = tag.match(/^wcag(\d)(\d)(\d+)$/)
+    if (match) {
+      criteria.push(match.slice(1).join('.'))
+    }
+  }
+  return criteria
+}
+
+/**
+ * The selector axe reports for a node. Elements inside iframes or shadow
+ * roots have one selector per level; those are joined with ' >> '.
+ * @param {{ target?: Array<string|string[]> }} node
+ * @returns {string}
+ */
+export function nodeSelector(node) {
+  return (node.target ?? [])
+    .map((part) => (Array.isArray(part) ? part.join(' >> ') : part))
+    .join(' >> ')
+}
+
+/**
+ * Whether an axe rule has any of the tags. No tags means every rule.
+ * @param {string[]} ruleTags
+ * @param {string[]} [tags]
+ * @returns {boolean}
+ */
+export function matchesTags(ruleTags = [], tags) {
+  return !tags || tags.some((tag) => ruleTags.includes(tag))
+}
+
+/**
+ * Flatten the violations from one axe run into findings.
+ * @param {Object[]} results - axe results, e.g. `violations`
+ * @param {Object} source
+ * @param {string} source.page
+ * @param {string} source.url
+ * @param {string} source.engine - one of ENGINES
+ * @param {string[]} [source.tags] - only keep rules with one of these tags
+ * @returns {Finding[]}
+ */
+export function normaliseAxeResults(results, { page, url, engine, tags }) {
+  const findings = []
+  for (const result of results) {
+    if (!matchesTags(result.tags, tags)) continue
+    for (const node of result.nodes ?? []) {
+      findings.push({
+        page,
+        url,
+        rule: result.id,
+        impact: node.impact ?? result.impact ?? null,
+        selector: nodeSelector(node),
+        wcag: wcagCriteria(result.tags),
+        help: result.help ?? '',
+        helpUrl: result.helpUrl ?? '',
+        engines: [engine]
+      })
+    }
+  }
+  return mergeFindings(findings)
+}
+
+/**
+ * Flatten wcagResult.axeViolations into findings. Pages analysed more than
+ * once under the same key only count once.
+ * @param {{ axeViolations: Array<Object<string, Object[]>> }} wcagResult
+ * @param {{ tags?: string[] }} [options] - only keep rules with one of these tags
+ * @returns {Finding[]}
+ */
+export function normaliseWcagResult(wcagResult, { tags } = {}) {
+  const findings = []
+  for (const entry of wcagResult.axeViolations ?? []) {
+    for (const [key, results] of Object.entries(entry)) {
+      findings.push(
+        ...normaliseAxeResults(results, {
+          ...parsePageKey(key),
+          engine: ENGINES.wcagJs,
+          tags
+        })
+      )
+    }
+  }
+  return mergeFindings(findings)
+}
+
+/**
+ * Merge lists of findings, keeping one per page, rule and element. A
+ * finding reported by several engines lists them all and keeps the most
+ * severe impact.
+ * @param {...Finding[]} lists
+ * @returns {Finding[]}
+ */
+export function mergeFindings(...lists) {
+  const merged = new Map()
+  for (const finding of lists.flat()) {
+    const key = findingKey(finding)
+    const existing = merged.get(key)
+    if (!existing) {
+      merged.set(key, { ...finding, engines: [...finding.engines] })
+      continue
+    }
+    for (const engine of finding.engines) {
+      if (!existing.engines.includes(engine)) {
+        existing.engines.push(engine)
+      }
+    }
+    if (IMPACTS.indexOf(finding.impact) > IMPACTS.indexOf(existing.impact)) {
+      existing.impact = finding.impact
+    }
+  }
+  return [...merged.values()]
+}
+
+/**
+ * Move findings that need review out of the violations. A wcag-js-v2 finding
+ * that axe-core reports as needing review is one axe could not decide on, so
+ * it joins the needs-review list, with both engines, rather than the
+ * violations.
+ * @param {Finding[]} findings - merged violations from every engine
+ * @param {Finding[]} needsReview - axe-core's incomplete results
+ * @returns {{ findings: Finding[], needsReview: Finding[] }}
+ */
+export function separateNeedsReview(findings, needsReview) {
+  const toReview = new Set(needsReview.map(findingKey))
+  return {
+    findings: findings.filter((finding) => !toReview.has(findingKey(finding))),
+    needsReview: mergeFindings(
+      needsReview,
+      findings.filter((finding) => toReview.has(findingKey(finding)))
+    )
+  }
+}
+
+/**
+ * The pages analysed, whether or not anything was found on them.
+ * @param {{ axeViolations: Array<Object<string, Object[]>> }} wcagResult
+ * @returns {string[]}
+ */
+export function analysedPages(wcagResult) {
+  const pages = new Set()
+  for (const entry of wcagResult.axeViolations ?? []) {
+    for (const key of Object.keys(entry)) {
+      pages.add(parsePageKey(key).page)
+    }
+  }
+  return [...pages]
+}
+
+/**
+ * What identifies a finding between runs: its page, rule and element.
+ * @param {Pick<Finding, 'page' | 'rule' | 'selector'>} finding
+ * @returns {string}
+ */
+export function findingKey({ page, rule, selector }) {
+  return `${page} | ${rule} | ${selector}`
+}
+
+/**
+ * Whether a finding is at least as severe as an impact.
+ * @param {Pick<Finding, 'impact'>} finding
+ * @param {string} threshold - one of IMPACTS
+ * @returns {boolean}
+ */
+export function isAtLeast({ impact }, threshold) {
+  return IMPACTS.indexOf(impact) >= IMPACTS.indexOf(threshold)
+}
+
+/**
+ * Count findings per page, by impact and by WCAG criterion.
+ * @param {Finding[]} findings
+ * @returns {Object<string, { impact: Object<string, number>, wcag: Object<string, number> }>}
+ */
+export function summariseFindings(findings) {
+  const summary = {}
+  for (const finding of findings) {
+    summary[finding.page] ??= { impact: {}, wcag: {} }
+    const page = summary[finding.page]
+    const impact = finding.impact ?? 'unknown'
+    page.impact[impact] = (page.impact[impact] ?? 0) + 1
+    for (const criterion of finding.wcag) {
+      page.wcag[criterion] = (page.wcag[criterion] ?? 0) + 1
+    }
+  }
+  return summary
+}
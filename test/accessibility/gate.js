@@ -0,0 +1,127 @@
+/**
+ * Accessibility gate: fail the run when analysed pages have serious or
+ * critical findings that are not in the committed baseline (./baseline.js).
+ *
+ * The impact that fails the run is set with ACCESSIBILITY_FAIL_ON
+ * (minor, moderate, serious or critical; defaults to serious). Findings
+ * that need review are written with the results but never fail the run.
+ */
+
+import logger from '@wdio/logger'
+import {
+  BASELINE_PATH,
+  RESULTS_PATH,
+  compareWithBaseline,
+  readBaseline,
+  writeJson
+} from './baseline.js'
+import { IMPACTS, isAtLeast, summariseFindings } from './findings.js'
+
+const log = logger('accessibility')
+
+/**
+ * The impact that fails the run, from ACCESSIBILITY_FAIL_ON.
+ * @returns {string}
+ * @throws {RangeError} when ACCESSIBILITY_FAIL_ON is not an impact
+ */
+export function resolveFailOn() {
+  const failOn = process.env.ACCESSIBILITY_FAIL_ON || 'serious'
+  if (!IMPACTS.includes(failOn)) {
+    throw new RangeError(
+      `ACCESSIBILITY_FAIL_ON must be one of ${IMPACTS.join(', ')}, got "${failOn}"`
+    )
+  }
+  return failOn
+}
+
+/**
+ * One line describing a finding, for logs and errors.
+ * @param {import('./findings.js').Finding} finding
+ * @returns {string}
+ */
+export function describeFinding({
+  page,
+  rule,
+  impact,
+  selector,
+  wcag,
+  engines
+}) {
+  const criteria = wcag.length > 0 ? ` (WCAG ${wcag.join(', ')})` : ''
+  const foundBy = engines ? ` [${engines.join(', ')}]` : ''
+  return `[${impact ?? 'unknown'}] ${page}: ${rule} at ${selector}${criteria}${foundBy}`
+}
+
+/**
+ * Write the run's findings to RESULTS_PATH, so they can be accepted as the
+ * new baseline, and compare them with the baseline.
+ * @param {Object} results
+ * @param {import('./findings.js').Finding[]} results.findings - from every engine
+ * @param {import('./findings.js').Finding[]} [results.needsReview] - written
+ *   to RESULTS_PATH, but not compared with the baseline
+ * @param {string[]} results.pages - every page analysed
+ * @param {Object} [options]
+ * @param {string} [options.failOn] - defaults to resolveFailOn()
+ * @param {string} [options.baselineFile]
+ * @param {string} [options.resultsFile]
+ * @returns {{ findings: import('./findings.js').Finding[], added: import('./findings.js').Finding[], fixed: Object[], failing: import('./findings.js').Finding[] }}
+ */
+export function checkAgainstBaseline(
+  { findings, needsReview = [], pages },
+  {
+    failOn = resolveFailOn(),
+    baselineFile = BASELINE_PATH,
+    resultsFile = RESULTS_PATH
+  } = {}
+) {
+  writeJson(resultsFile, {
+    generatedAt: new Date().toISOString(),
+    pages,
+    summary: summariseFindings(findings),
+    findings,
+    needsReview
+  })
+
+  const { added, fixed } = compareWithBaseline(
+    findings,
+    readBaseline(baselineFile),
+    pages
+  )
+  const failing = added.filter((finding) => isAtLeast(finding, failOn))
+  return { findings, added, fixed, failing }
+}
+
+/**
+ * Run checkAgainstBaseline() and throw when there are new findings at or
+ * above the fail-on impact. Fixed baseline entries are logged so the
+ * baseline can be tightened.
+ * @param {Object} results - see checkAgainstBaseline()
+ * @param {Object} [options] - see checkAgainstBaseline()
+ * @throws {Error} listing every failing finding
+ */
+export function expectNoNewAccessibilityIssues(results, options = {}) {
+  const { findings, added, fixed, failing } = checkAgainstBaseline(
+    results,
+    options
+  )
+
+  log.info(
+    `${findings.length} finding(s), ${added.length} not in the baseline, ` +
+      `${failing.length} failing, ${results.needsReview?.length ?? 0} to review. ` +
+      `Results in ${options.resultsFile ?? RESULTS_PATH}`
+  )
+  if (fixed.length > 0) {
+    log.info(
+      `${fixed.length} baseline finding(s) no longer found. ` +
+        'Run `npm run accessibility:accept` to remove them from the baseline.'
+    )
+  }
+
+  if (failing.length > 0) {
+    throw new Error(
+      `${failing.length} new accessibility finding(s) not in ${options.baselineFile ?? BASELINE_PATH}:\n` +
+        `  ${failing.map(describeFinding).join('\n  ')}\n` +
+        'Fix them, or once triaged run `npm run accessibility:accept` to add them to the baseline.'
+    )
+  }
+}
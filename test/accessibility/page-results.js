@@ -0,0 +1,225 @@
+/**
+ * Machine-readable results for each analysed page, written next to the HTML
+ * reports: a JSON record of the page's findings and a JUnit XML file with
+ * one testcase per rule, for CI dashboards and the CDP portal. Findings that
+ * need review are listed separately and reported as skipped, not failed.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { writeJson } from './baseline.js'
+import { IMPACTS } from './findings.js'
+
+/**
+ * @typedef {Object} PageRecord
+ * @property {string} page
+ * @property {string} url
+ * @property {string} analysedAt - ISO timestamp
+ * @property {Array<Pick<import('./findings.js').Finding, 'page' | 'url' | 'rule' | 'impact' | 'selector' | 'wcag' | 'engines'>>} findings
+ * @property {Array<Pick<import('./findings.js').Finding, 'page' | 'url' | 'rule' | 'impact' | 'selector' | 'wcag' | 'engines'>>} needsReview
+ */
+
+/**
+ * A page name safe to use in a file name.
+ * @param {string} page
+ * @returns {string}
+ */
+export function pageFileName(page) {
+  return (
+    page
+      .replace(/[^\w-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase() || 'root'
+  )
+}
+
+/**
+ * The JSON record for one page.
+ * @param {string} page
+ * @param {string} url
+ * @param {import('./findings.js').Finding[]} findings - the page's findings
+ * @param {import('./findings.js').Finding[]} [needsReview]
+ * @returns {PageRecord}
+ */
+export function pageRecord(page, url, findings, needsReview = []) {
+  const entry = ({ rule, impact, selector, wcag, engines }) => ({
+    page,
+    url,
+    rule,
+    impact,
+    selector,
+    wcag,
+    engines
+  })
+  return {
+    page,
+    url,
+    analysedAt: new Date().toISOString(),
+    findings: findings.map(entry),
+    needsReview: needsReview.map(entry)
+  }
+}
+
+/**
+ * Escape text for an XML attribute or element.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * The most severe impact among findings.
+ * @param {import('./findings.js').Finding[]} findings
+ * @returns {string}
+ */
+function worstImpact(findings) {
+  return findings.reduce(
+    (worst, { impact }) =>
+      IMPACTS.indexOf(impact) > IMPACTS.indexOf(worst) ? impact : worst,
+    'unknown'
+  )
+}
+
+/**
+ * Group findings by rule.
+ * @param {import('./findings.js').Finding[]} findings
+ * @returns {Map<string, import('./findings.js').Finding[]>}
+ */
+function groupByRule(findings) {
+  const byRule = new Map()
+  for (const finding of findings) {
+    if (!byRule.has(finding.rule)) {
+      byRule.set(finding.rule, [])
+    }
+    byRule.get(finding.rule).push(finding)
+  }
+  return byRule
+}
+
+/**
+ * Every offending selector of a rule with the engines that reported it,
+ * then the rule's WCAG criteria and help URL.
+ * @param {import('./findings.js').Finding[]} ruleFindings
+ * @returns {string}
+ */
+function ruleDetails(ruleFindings) {
+  const [{ helpUrl, wcag }] = ruleFindings
+  return [
+    ...ruleFindings.map(
+      ({ impact, selector, engines }) =>
+        `[${impact}] ${selector} (${engines.join(', ')})`
+    ),
+    wcag.length > 0 ? `WCAG ${wcag.join(', ')}` : '',
+    helpUrl
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+/**
+ * JUnit XML for one page: a testcase per rule, failing with the rule's worst
+ * impact and every offending selector, and passing for each rule axe-core
+ * checked without finding anything. Rules that only need review are skipped
+ * testcases, so they show up without failing the build. A page with no
+ * rules listed has a single passing testcase.
+ * @param {string} page
+ * @param {string} url
+ * @param {import('./findings.js').Finding[]} findings - the page's findings
+ * @param {string[]} [passedRules] - rules checked with nothing found
+ * @param {import('./findings.js').Finding[]} [needsReview]
+ * @returns {string}
+ */
+export function pageJUnitXml(
+  page,
+  url,
+  findings,
+  passedRules = [],
+  needsReview = []
+) {
+  const byRule = groupByRule(findings)
+  const toReview = groupByRule(needsReview)
+
+  const classname = `accessibility.${pageFileName(page)}`
+  const testcases = [...byRule].map(([rule, ruleFindings]) => {
+    const [{ help }] = ruleFindings
+    const impact = worstImpact(ruleFindings)
+    return (
+      `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(rule)}">\n` +
+      `      <failure type="${escapeXml(impact)}" message="${escapeXml(`${ruleFindings.length} finding(s), worst ${impact}: ${help}`)}">` +
+      `${escapeXml(ruleDetails(ruleFindings))}</failure>\n` +
+      `    </testcase>`
+    )
+  })
+  for (const [rule, ruleFindings] of toReview) {
+    if (byRule.has(rule)) continue
+    const [{ help }] = ruleFindings
+    testcases.push(
+      `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(rule)}">\n` +
+        `      <skipped message="${escapeXml(`${ruleFindings.length} element(s) need review: ${help}`)}">` +
+        `${escapeXml(ruleDetails(ruleFindings))}</skipped>\n` +
+        `    </testcase>`
+    )
+  }
+  for (const rule of passedRules) {
+    if (!byRule.has(rule) && !toReview.has(rule)) {
+      testcases.push(
+        `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(rule)}"/>`
+      )
+    }
+  }
+  if (testcases.length === 0) {
+    testcases.push(
+      `    <testcase classname="${escapeXml(classname)}" name="no accessibility findings"/>`
+    )
+  }
+
+  const skipped = [...toReview.keys()].filter((rule) => !byRule.has(rule))
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<testsuites name="accessibility" tests="${testcases.length}" failures="${byRule.size}" skipped="${skipped.length}">\n` +
+    `  <testsuite name="${escapeXml(page)}" tests="${testcases.length}" failures="${byRule.size}" skipped="${skipped.length}" timestamp="${new Date().toISOString()}">\n` +
+    `    <properties>\n` +
+    `      <property name="url" value="${escapeXml(url)}"/>\n` +
+    `    </properties>\n` +
+    `${testcases.join('\n')}\n` +
+    `  </testsuite>\n` +
+    `</testsuites>\n`
+  )
+}
+
+/**
+ * Write `<page>-accessibility.json` and `<page>-accessibility-junit.xml` for
+ * one analysed page.
+ * @param {Object} result
+ * @param {string} result.page - the suffix given to analyseAccessibility()
+ * @param {string} result.url
+ * @param {import('./findings.js').Finding[]} result.findings - the page's findings, from every engine
+ * @param {import('./findings.js').Finding[]} [result.needsReview] - those
+ *   axe-core could not decide on
+ * @param {string[]} [result.passedRules] - rules axe-core checked with nothing found
+ * @param {string} directory
+ * @returns {{ json: string, junit: string }} the files written
+ */
+export function writePageResults(
+  { page, url, findings, needsReview = [], passedRules },
+  directory
+) {
+  const name = pageFileName(page)
+  const files = {
+    json: path.join(directory, `${name}-accessibility.json`),
+    junit: path.join(directory, `${name}-accessibility-junit.xml`)
+  }
+  writeJson(files.json, pageRecord(page, url, findings, needsReview))
+  fs.writeFileSync(
+    files.junit,
+    pageJUnitXml(page, url, findings, passedRules, needsReview)
+  )
+  return files
+}
@@ -0,0 +1,133 @@
+/**
+ * Analyse a page in interaction states it only reaches after user input,
+ * such as a form's error summary or an open details component. Each state
+ * is analysed separately and labelled `<page>--<state>` in the reports.
+ *
+ * Lighthouse (in wcag-js-v2) loads the URL in a tab of its own, so its
+ * scores are for the page's default state; the axe findings are for the
+ * state itself.
+ */
+
+import { analyseAccessibility } from '../accessibility-checking.js'
+import { ErrorSummary } from '../components/error-summary.component.js'
+import { Tabs } from '../components/tabs.component.js'
+
+/**
+ * @typedef {Object} PageStates
+ * @property {string} page - report label of the page, e.g. 'add-new-project-page'
+ * @property {() => Promise<void>} open - load the page in its default state
+ * @property {Object<string, () => Promise<void>>} states - drive the loaded
+ *   page into each named state
+ */
+
+/**
+ * The report label of a page in a state.
+ * @param {string} page
+ * @param {string} state
+ * @returns {string}
+ */
+export function stateLabel(page, state) {
+  return `${page}--${state}`
+}
+
+/**
+ * Analyse each state of a page. The page is loaded afresh before each
+ * state, so states do not depend on each other.
+ * @param {PageStates} pageStates
+ * @returns {Promise<string[]>} the labels analysed
+ */
+export async function scanStates({ page, open, states }) {
+  const labels = []
+  for (const [state, enter] of Object.entries(states)) {
+    await open()
+    await enter()
+    const label = stateLabel(page, state)
+    await analyseAccessibility(label)
+    labels.push(label)
+  }
+  return labels
+}
+
+// ── States ──────────────────────────────────────────────────────────────────
+
+/**
+ * Submit a form without filling it in and wait for its error summary.
+ * @param {() => WebdriverIO.Element} button - returns the submit button
+ * @returns {() => Promise<void>}
+ */
+export function submitEmpty(button) {
+  return async () => {
+    await button().click()
+    await new ErrorSummary().root.waitForDisplayed({
+      timeout: 10000,
+      timeoutMsg: 'The form did not show an error summary when submitted empty'
+    })
+  }
+}
+
+/**
+ * Open a GOV.UK details component.
+ * @param {() => WebdriverIO.Element} details - returns the `details` element
+ * @returns {() => Promise<void>}
+ */
+export function openDetails(details) {
+  return async () => {
+    const element = details()
+    await element.waitForDisplayed({ timeout: 10000 })
+    await element.$('summary').click()
+    await browser.waitUntil(
+      async () => (await element.getAttribute('open')) !== null,
+      { timeout: 5000, timeoutMsg: 'The details component did not open' }
+    )
+  }
+}
+
+/**
+ * Select a tab and wait for its panel.
+ * @param {string} panelId
+ * @param {Tabs} [tabs]
+ * @returns {() => Promise<void>}
+ */
+export function selectTab(panelId, tabs = new Tabs()) {
+  return async () => {
+    await tabs.select(panelId)
+  }
+}
+
+/**
+ * One `tab-<panel id>` state per tab that is not selected when the page
+ * loads. Opens the page to find them.
+ * @param {() => Promise<void>} open - load the page in its default state
+ * @param {Tabs} [tabs]
+ * @returns {Promise<Object<string, () => Promise<void>>>}
+ */
+export async function nonDefaultTabStates(open, tabs = new Tabs()) {
+  await open()
+  const selected = await tabs.getSelectedPanelId()
+  const states = {}
+  for (const link of await tabs.tabLinks) {
+    const panelId = (await link.getAttribute('href')).replace(/^.*#/, '')
+    if (panelId !== selected) {
+      states[`tab-${panelId}`] = selectTab(panelId, tabs)
+    }
+  }
+  return states
+}
+
+/**
+ * Type into an accessible-autocomplete and wait for its suggestions.
+ * @param {import('../components/autocomplete.component.js').Autocomplete} autocomplete
+ * @param {string} text - text that has at least one suggestion
+ * @returns {() => Promise<void>}
+ */
+export function openAutocomplete(autocomplete, text) {
+  return async () => {
+    await autocomplete.waitForReady()
+    await autocomplete.type(text)
+    await autocomplete.waitForSuggestions()
+    await browser.waitUntil(async () => await autocomplete.isMenuOpen(), {
+      timeout: 5000,
+      timeoutMsg: 'The autocomplete menu did not open'
+    })
+  }
+}
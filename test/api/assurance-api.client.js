@@ -0,0 +1,482 @@
+/**
+ * Client for the assurance-api (`your-backend` in compose.yml), used to
+ * arrange and clean up test data without driving the UI.
+ *
+ * Specs should create the state they need through this client and only use
+ * the browser for the behaviour under test.
+ *
+ * Configuration (environment variables):
+ *   ASSURANCE_API_URL    base URL of the API. Defaults to the CDP environment
+ *                        URL when ENVIRONMENT is set, otherwise
+ *                        http://localhost:8080 (docker compose)
+ *   ASSURANCE_API_TOKEN  bearer token, if the API requires one
+ */
+
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const API_VERSION_PATH = '/api/v1.0'
+
+/** Requests that take longer than this are treated as failures */
+const REQUEST_TIMEOUT = 15000
+
+/**
+ * @typedef {'Discovery'|'Alpha'|'Private Beta'|'Public Beta'|'Live'} Phase
+ */
+
+/**
+ * @typedef {'GREEN'|'GREEN_AMBER'|'AMBER'|'AMBER_RED'|'RED'|'PENDING'|'EXCLUDED'|'TBC'} RagStatus
+ */
+
+/**
+ * @typedef {Object} ProjectInput
+ * @property {string} name
+ * @property {Phase} phase
+ * @property {string} [defCode] - DEFRA code shown as "Delivery ID"
+ * @property {RagStatus} status
+ * @property {string} [commentary]
+ * @property {string} [deliveryGroupId]
+ * @property {string} [updateDate] - ISO date the status / commentary applies from
+ */
+
+/**
+ * @typedef {ProjectInput & { id: string, lastUpdated?: string, archived?: boolean }} Project
+ */
+
+/**
+ * @typedef {Object} AssessmentInput
+ * @property {RagStatus} status
+ * @property {string} commentary
+ * @property {string} [assessmentDate] - ISO date
+ */
+
+/**
+ * @typedef {AssessmentInput & {
+ *   id: string,
+ *   projectId: string,
+ *   serviceStandardId: string,
+ *   professionId: string,
+ *   lastUpdated?: string
+ * }} Assessment
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {string} timestamp
+ * @property {string} changedBy
+ * @property {boolean} [archived]
+ * @property {Object} changes
+ */
+
+/**
+ * @typedef {Object} ServiceStandard
+ * @property {string} id
+ * @property {number} number
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} Profession
+ * @property {string} id
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} DeliveryGroup
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} [isActive]
+ */
+
+/**
+ * @typedef {Object} DeliveryPartner
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} [isActive]
+ */
+
+/**
+ * Error thrown for any non-2xx response or network failure.
+ */
+export class AssuranceApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.method
+   * @param {string} details.path
+   * @param {number} [details.status] - HTTP status, absent for network errors
+   * @param {*} [details.body] - parsed response body
+   */
+  constructor(message, { method, path, status, body }) {
+    super(message)
+    this.name = 'AssuranceApiError'
+    this.method = method
+    this.path = path
+    this.status = status
+    this.body = body
+  }
+}
+
+/**
+ * Work out the API base URL for the environment the suite is running in.
+ * @returns {string}
+ */
+export function defaultApiUrl() {
+  if (process.env.ASSURANCE_API_URL) {
+    return process.env.ASSURANCE_API_URL
+  }
+  if (process.env.ENVIRONMENT) {
+    return `https://assurance-api.${process.env.ENVIRONMENT}.cdp-int.defra.cloud`
+  }
+  return 'http://localhost:8080'
+}
+
+export class AssuranceApiClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - defaults to defaultApiUrl()
+   * @param {string} [options.token] - defaults to ASSURANCE_API_TOKEN
+   */
+  constructor({
+    baseUrl = defaultApiUrl(),
+    token = process.env.ASSURANCE_API_TOKEN
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '')
+    this.token = token
+  }
+
+  // ── Projects (deliveries) ─────────────────────────────────────────────────
+
+  /**
+   * @returns {Promise<Project[]>}
+   */
+  listProjects() {
+    return this.request('GET', '/projects')
+  }
+
+  /**
+   * @param {string} projectId
+   * @returns {Promise<Project>}
+   */
+  getProject(projectId) {
+    return this.request('GET', `/projects/${encodeURIComponent(projectId)}`)
+  }
+
+  /**
+   * Find a project by its exact name.
+   * @param {string} name
+   * @returns {Promise<Project|null>}
+   */
+  async findProjectByName(name) {
+    const projects = await this.listProjects()
+    return projects.find((project) => project.name === name) ?? null
+  }
+
+  /**
+   * @param {ProjectInput} project
+   * @returns {Promise<Project>}
+   */
+  createProject(project) {
+    return this.request('POST', '/projects', project)
+  }
+
+  /**
+   * Update some or all of a project's fields. Status or commentary changes
+   * add an entry to the project history, as they do through the UI.
+   * @param {string} projectId
+   * @param {Partial<ProjectInput>} changes
+   * @returns {Promise<Project>}
+   */
+  updateProject(projectId, changes) {
+    return this.request(
+      'PUT',
+      `/projects/${encodeURIComponent(projectId)}`,
+      changes
+    )
+  }
+
+  /**
+   * Archive a project. Unlike deleteProject(), it and its history are kept.
+   * @param {string} projectId
+   * @returns {Promise<void>}
+   */
+  archiveProject(projectId) {
+    return this.request(
+      'PUT',
+      `/projects/${encodeURIComponent(projectId)}/archive`
+    )
+  }
+
+  /**
+   * Delete a project and everything recorded against it.
+   * @param {string} projectId
+   * @returns {Promise<void>}
+   */
+  deleteProject(projectId) {
+    return this.request('DELETE', `/projects/${encodeURIComponent(projectId)}`)
+  }
+
+  // ── Project history ───────────────────────────────────────────────────────
+
+  /**
+   * @param {string} projectId
+   * @returns {Promise<HistoryEntry[]>}
+   */
+  getProjectHistory(projectId) {
+    return this.request(
+      'GET',
+      `/projects/${encodeURIComponent(projectId)}/history`
+    )
+  }
+
+  /**
+   * Record a history entry directly, e.g. to backdate an update.
+   * @param {string} projectId
+   * @param {{ timestamp?: string, changedBy?: string, changes: Object }} entry
+   * @returns {Promise<HistoryEntry>}
+   */
+  createProjectHistory(projectId, entry) {
+    return this.request(
+      'POST',
+      `/projects/${encodeURIComponent(projectId)}/history`,
+      entry
+    )
+  }
+
+  /**
+   * Archive ("Archive this update") a project history entry.
+   * @param {string} projectId
+   * @param {string} historyId
+   * @returns {Promise<void>}
+   */
+  archiveProjectHistory(projectId, historyId) {
+    return this.request(
+      'PUT',
+      `/projects/${encodeURIComponent(projectId)}/history/${encodeURIComponent(historyId)}/archive`
+    )
+  }
+
+  // ── Service standard assessments ──────────────────────────────────────────
+
+  /**
+   * @param {string} projectId
+   * @param {string} standardId
+   * @param {string} professionId
+   * @returns {Promise<Assessment|null>} null if nothing has been recorded
+   */
+  async getAssessment(projectId, standardId, professionId) {
+    try {
+      return await this.request(
+        'GET',
+        assessmentPath(projectId, standardId, professionId)
+      )
+    } catch (error) {
+      if (error instanceof AssuranceApiError && error.status === 404) {
+        return null
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Create or replace the assessment a profession has given a standard.
+   * @param {string} projectId
+   * @param {string} standardId
+   * @param {string} professionId
+   * @param {AssessmentInput} assessment
+   * @returns {Promise<Assessment>}
+   */
+  saveAssessment(projectId, standardId, professionId, assessment) {
+    return this.request(
+      'POST',
+      assessmentPath(projectId, standardId, professionId),
+      assessment
+    )
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} standardId
+   * @param {string} professionId
+   * @returns {Promise<void>}
+   */
+  deleteAssessment(projectId, standardId, professionId) {
+    return this.request(
+      'DELETE',
+      assessmentPath(projectId, standardId, professionId)
+    )
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} standardId
+   * @param {string} professionId
+   * @returns {Promise<HistoryEntry[]>}
+   */
+  getAssessmentHistory(projectId, standardId, professionId) {
+    return this.request(
+      'GET',
+      `${assessmentPath(projectId, standardId, professionId)}/history`
+    )
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} standardId
+   * @param {string} professionId
+   * @param {string} historyId
+   * @returns {Promise<void>}
+   */
+  archiveAssessmentHistory(projectId, standardId, professionId, historyId) {
+    return this.request(
+      'PUT',
+      `${assessmentPath(projectId, standardId, professionId)}/history/${encodeURIComponent(historyId)}/archive`
+    )
+  }
+
+  // ── Reference data ────────────────────────────────────────────────────────
+
+  /**
+   * @returns {Promise<ServiceStandard[]>}
+   */
+  listServiceStandards() {
+    return this.request('GET', '/servicestandards')
+  }
+
+  /**
+   * @returns {Promise<Profession[]>}
+   */
+  listProfessions() {
+    return this.request('GET', '/professions')
+  }
+
+  /**
+   * @returns {Promise<DeliveryGroup[]>}
+   */
+  listDeliveryGroups() {
+    return this.request('GET', '/deliverygroups')
+  }
+
+  /**
+   * @returns {Promise<DeliveryPartner[]>}
+   */
+  listDeliveryPartners() {
+    return this.request('GET', '/deliverypartners')
+  }
+
+  /**
+   * The delivery partners working on a project.
+   * @param {string} projectId
+   * @returns {Promise<DeliveryPartner[]>}
+   */
+  listProjectDeliveryPartners(projectId) {
+    return this.request(
+      'GET',
+      `/projects/${encodeURIComponent(projectId)}/deliverypartners`
+    )
+  }
+
+  /**
+   * @param {{ name: string, isActive?: boolean }} partner
+   * @returns {Promise<DeliveryPartner>}
+   */
+  createDeliveryPartner(partner) {
+    return this.request('POST', '/deliverypartners', partner)
+  }
+
+  /**
+   * @param {string} partnerId
+   * @returns {Promise<void>}
+   */
+  deleteDeliveryPartner(partnerId) {
+    return this.request(
+      'DELETE',
+      `/deliverypartners/${encodeURIComponent(partnerId)}`
+    )
+  }
+
+  /**
+   * Record that a delivery partner works on a project.
+   * @param {string} projectId
+   * @param {string} partnerId
+   * @returns {Promise<void>}
+   */
+  addProjectDeliveryPartner(projectId, partnerId) {
+    return this.request(
+      'POST',
+      `/projects/${encodeURIComponent(projectId)}/deliverypartners`,
+      { deliveryPartnerId: partnerId }
+    )
+  }
+
+  // ── Transport ─────────────────────────────────────────────────────────────
+
+  /**
+   * Send a request to the API and return the parsed JSON body (or
+   * undefined for an empty response).
+   * @param {string} method
+   * @param {string} path - relative to /api/v1.0
+   * @param {Object} [body]
+   * @returns {Promise<*>}
+   */
+  async request(method, path, body) {
+    const url = `${this.baseUrl}${API_VERSION_PATH}${path}`
+    const headers = { Accept: 'application/json' }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json'
+    }
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`
+    }
+
+    let response
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      })
+    } catch (error) {
+      throw new AssuranceApiError(
+        `${method} ${path} failed: ${error.message}.\n` +
+          `Check the assurance-api is reachable at ${this.baseUrl} (ASSURANCE_API_URL).`,
+        { method, path }
+      )
+    }
+
+    const text = await response.text()
+    const parsed = parseJson(text)
+
+    if (!response.ok) {
+      throw new AssuranceApiError(
+        `${method} ${path} returned ${response.status} ${response.statusText}: ${text.slice(0, 500)}`,
+        { method, path, status: response.status, body: parsed }
+      )
+    }
+
+    return parsed
+  }
+}
+
+function assessmentPath(projectId, standardId, professionId) {
+  return (
+    `/projects/${encodeURIComponent(projectId)}` +
+    `/standards/${encodeURIComponent(standardId)}` +
+    `/professions/${encodeURIComponent(professionId)}/assessment`
+  )
+}
+
+function parseJson(text) {
+  if (!text) return undefined
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+/** Shared client configured from the environment */
+export default new AssuranceApiClient()
@@ -0,0 +1,105 @@
+import { $, browser } from '@wdio/globals'
+import { Component } from './component.js'
+
+/**
+ * accessible-autocomplete, as used for the deliveries search. Locate it by
+ * the input's id selector (e.g. '#search'): the component names its
+ * suggestion list `<id>__listbox`.
+ *
+ * The app configures it with confirmOnBlur:false and autoselect:false, so
+ * setValue() does not reliably open the menu in headless Chrome – type()
+ * sends real key presses instead.
+ */
+class Autocomplete extends Component {
+  /** @param {string} [selector='#search'] - id selector of the input */
+  constructor(selector = '#search') {
+    super(selector)
+  }
+
+  /** Wrapper the component renders around the input */
+  get wrapper() {
+    return $('.autocomplete__wrapper')
+  }
+
+  /** Suggestion list */
+  get menu() {
+    return $(`${this.selector}__listbox`)
+  }
+
+  /** Suggestions currently listed */
+  get suggestions() {
+    return this.menu.$$('.autocomplete__option')
+  }
+
+  /**
+   * Wait for the component's script to replace the plain input.
+   * @param {number} [timeout=15000]
+   */
+  async waitForReady(timeout = 15000) {
+    await this.root.waitForExist({ timeout })
+    await this.wrapper.waitForExist({ timeout })
+    await this.root.waitForDisplayed({ timeout })
+  }
+
+  /**
+   * Clear the input and type `text` key by key.
+   * @param {string} text
+   */
+  async type(text) {
+    await this.root.clearValue()
+    await this.root.click()
+    await browser.keys(text.split(''))
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async isMenuOpen() {
+    if (!(await this.menu.isExisting())) {
+      return false
+    }
+    const classes = (await this.menu.getAttribute('class')) ?? ''
+    return classes.includes('autocomplete__menu--visible')
+  }
+
+  /**
+   * Wait until the menu lists at least one suggestion.
+   * @param {number} [timeout=5000]
+   */
+  async waitForSuggestions(timeout = 5000) {
+    await browser.waitUntil(async () => (await this.suggestions).length > 0, {
+      timeout,
+      timeoutMsg: 'Autocomplete showed no suggestions'
+    })
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  async getSuggestionTexts() {
+    const texts = []
+    for (const option of await this.suggestions) {
+      texts.push((await option.getText()).trim())
+    }
+    return texts
+  }
+
+  /**
+   * Click the suggestion whose text contains `text`.
+   * @param {string} text
+   */
+  async chooseSuggestion(text) {
+    for (const option of await this.suggestions) {
+      if ((await option.getText()).includes(text)) {
+        await option.click()
+        return
+      }
+    }
+    throw new Error(
+      `No autocomplete suggestion contains "${text}". ` +
+        `Suggestions: [${(await this.getSuggestionTexts()).join(' | ')}]`
+    )
+  }
+}
+
+export { Autocomplete }
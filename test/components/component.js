@@ -0,0 +1,60 @@
+import { $ } from '@wdio/globals'
+
+/**
+ * Base class for a GOV.UK Frontend component on the page.
+ *
+ * A component is located by a selector, or by an element a page object has
+ * already found (e.g. a tag inside a table cell). Elements are looked up
+ * fresh on every access, like page object getters, so a component instance
+ * stays valid across navigations.
+ */
+class Component {
+  /**
+   * @param {string|WebdriverIO.Element|ChainablePromiseElement} selector
+   */
+  constructor(selector) {
+    this.selector = selector
+  }
+
+  /** The component's root element */
+  get root() {
+    return typeof this.selector === 'string' ? $(this.selector) : this.selector
+  }
+
+  /**
+   * Find an element inside the component.
+   * @param {string} selector
+   */
+  $(selector) {
+    return this.root.$(selector)
+  }
+
+  /**
+   * Find all matching elements inside the component.
+   * @param {string} selector
+   */
+  $$(selector) {
+    return this.root.$$(selector)
+  }
+
+  async isExisting() {
+    return await this.root.isExisting()
+  }
+
+  async isDisplayed() {
+    return await this.root.isDisplayed()
+  }
+
+  /**
+   * @param {Object} [options] - as for WebdriverIO waitForDisplayed
+   */
+  async waitForDisplayed(options) {
+    return await this.root.waitForDisplayed(options)
+  }
+
+  async getText() {
+    return (await this.root.getText()).trim()
+  }
+}
+
+export { Component }
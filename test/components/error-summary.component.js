@@ -0,0 +1,61 @@
+import { $ } from '@wdio/globals'
+import { Component } from './component.js'
+
+/**
+ * GOV.UK error summary (`.govuk-error-summary`) and the inline error
+ * messages it links to.
+ */
+class ErrorSummary extends Component {
+  /** @param {string|WebdriverIO.Element} [selector='.govuk-error-summary'] */
+  constructor(selector = '.govuk-error-summary') {
+    super(selector)
+  }
+
+  /** "There is a problem" */
+  get title() {
+    return this.$('.govuk-error-summary__title')
+  }
+
+  /** Links to the fields in error */
+  get errorLinks() {
+    return this.$$('.govuk-error-summary__list a')
+  }
+
+  /**
+   * Every error in the summary, with the id of the field it links to.
+   * @returns {Promise<Array<{ text: string, fieldId: string }>>}
+   */
+  async getErrors() {
+    const errors = []
+    for (const link of await this.errorLinks) {
+      errors.push({
+        text: (await link.getText()).trim(),
+        fieldId: ((await link.getAttribute('href')) ?? '').replace(/^.*#/, '')
+      })
+    }
+    return errors
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  async getErrorTexts() {
+    return (await this.getErrors()).map(({ text }) => text)
+  }
+
+  /**
+   * The inline error message shown by a field, without the hidden "Error:"
+   * prefix.
+   * @param {string} fieldId - e.g. 'name'
+   * @returns {Promise<string|null>} null if the field has no error
+   */
+  async getFieldError(fieldId) {
+    const message = $(`#${fieldId}-error`)
+    if (!(await message.isExisting())) {
+      return null
+    }
+    return (await message.getText()).replace(/^Error:\s*/, '').trim()
+  }
+}
+
+export { ErrorSummary }
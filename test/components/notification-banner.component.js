@@ -0,0 +1,52 @@
+import { Component } from './component.js'
+
+/**
+ * GOV.UK notification banner (`.govuk-notification-banner`).
+ */
+class NotificationBanner extends Component {
+  /** @param {string|WebdriverIO.Element} [selector='.govuk-notification-banner'] */
+  constructor(selector = '.govuk-notification-banner') {
+    super(selector)
+  }
+
+  /** Banner title, e.g. "Success" or "Important" */
+  get title() {
+    return this.$('.govuk-notification-banner__title')
+  }
+
+  /** Main message */
+  get heading() {
+    return this.$('.govuk-notification-banner__heading')
+  }
+
+  /**
+   * @returns {Promise<boolean>} whether this is a success banner
+   */
+  async isSuccess() {
+    const classes = (await this.root.getAttribute('class')) ?? ''
+    return classes.includes('govuk-notification-banner--success')
+  }
+
+  /**
+   * @returns {Promise<string>}
+   */
+  async getTitle() {
+    return (await this.title.getText()).trim()
+  }
+
+  /**
+   * The banner message – the heading if there is one, otherwise the whole
+   * content area.
+   * @returns {Promise<string>}
+   */
+  async getMessage() {
+    if (await this.heading.isExisting()) {
+      return (await this.heading.getText()).trim()
+    }
+    return (
+      await this.$('.govuk-notification-banner__content').getText()
+    ).trim()
+  }
+}
+
+export { NotificationBanner }
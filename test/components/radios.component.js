@@ -0,0 +1,70 @@
+import { $ } from '@wdio/globals'
+import { Component } from './component.js'
+
+/**
+ * GOV.UK radios (`.govuk-radios`).
+ */
+class Radios extends Component {
+  /** @param {string|WebdriverIO.Element} [selector='.govuk-radios'] */
+  constructor(selector = '.govuk-radios') {
+    super(selector)
+  }
+
+  /** Radio inputs */
+  get inputs() {
+    return this.$$('input.govuk-radios__input')
+  }
+
+  /**
+   * @returns {Promise<Array<{ id: string, value: string, label: string, checked: boolean }>>}
+   */
+  async getOptions() {
+    const options = []
+    for (const input of await this.inputs) {
+      const id = await input.getAttribute('id')
+      options.push({
+        id,
+        value: await input.getAttribute('value'),
+        label: (await $(`label[for="${id}"]`).getText()).trim(),
+        checked: await input.isSelected()
+      })
+    }
+    return options
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  async getLabels() {
+    return (await this.getOptions()).map(({ label }) => label)
+  }
+
+  /**
+   * @returns {Promise<string|null>} value of the checked option
+   */
+  async getSelectedValue() {
+    const checked = (await this.getOptions()).find((option) => option.checked)
+    return checked?.value ?? null
+  }
+
+  /**
+   * Check the option with this value or label.
+   * @param {string} valueOrLabel
+   */
+  async select(valueOrLabel) {
+    const options = await this.getOptions()
+    const option = options.find(
+      ({ value, label }) => value === valueOrLabel || label === valueOrLabel
+    )
+    if (!option) {
+      throw new Error(
+        `No radio option "${valueOrLabel}". ` +
+          `Options: [${options.map(({ label }) => label).join(' | ')}]`
+      )
+    }
+    // Click the label – GOV.UK hides the native input behind a styled one
+    await $(`label[for="${option.id}"]`).click()
+  }
+}
+
+export { Radios }
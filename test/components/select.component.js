@@ -0,0 +1,96 @@
+import { $ } from '@wdio/globals'
+import { Component } from './component.js'
+
+/**
+ * GOV.UK select (`.govuk-select`). Options with an empty value are treated as
+ * the "Select…" placeholder and left out unless asked for.
+ */
+class Select extends Component {
+  /** Option elements, including the placeholder */
+  get optionElements() {
+    return this.$$('option')
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.includePlaceholder=false]
+   * @returns {Promise<Array<{ value: string, text: string, selected: boolean }>>}
+   */
+  async getOptions({ includePlaceholder = false } = {}) {
+    const result = []
+    for (const option of await this.optionElements) {
+      const value = await option.getValue()
+      if (!value && !includePlaceholder) {
+        continue
+      }
+      result.push({
+        value,
+        text: (await option.getText()).trim(),
+        selected: await option.isSelected()
+      })
+    }
+    return result
+  }
+
+  /**
+   * @returns {Promise<string[]>} option texts, without the placeholder
+   */
+  async getOptionTexts() {
+    return (await this.getOptions()).map(({ text }) => text)
+  }
+
+  /**
+   * @returns {Promise<string[]>} option values, without the placeholder
+   */
+  async getOptionValues() {
+    return (await this.getOptions()).map(({ value }) => value)
+  }
+
+  /**
+   * @returns {Promise<string>} text of the select's label
+   */
+  async getLabelText() {
+    const id = await this.root.getAttribute('id')
+    return (await $(`label[for="${id}"]`).getText()).trim()
+  }
+
+  /**
+   * @returns {Promise<string>}
+   */
+  async getSelectedValue() {
+    return await this.root.getValue()
+  }
+
+  /**
+   * @returns {Promise<string>} text of the selected option
+   */
+  async getSelectedText() {
+    const selected = (await this.getOptions({ includePlaceholder: true })).find(
+      (option) => option.selected
+    )
+    return selected?.text ?? ''
+  }
+
+  /**
+   * @param {string} value
+   */
+  async selectByValue(value) {
+    await this.root.selectByAttribute('value', value)
+  }
+
+  /**
+   * @param {string} text
+   */
+  async selectByText(text) {
+    await this.root.selectByVisibleText(text)
+  }
+
+  /**
+   * @param {number} index - 0-based, counting the placeholder
+   */
+  async selectByIndex(index) {
+    await this.root.selectByIndex(index)
+  }
+}
+
+export { Select }
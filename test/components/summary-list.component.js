@@ -0,0 +1,48 @@
+import { Component } from './component.js'
+
+/**
+ * GOV.UK summary list (`.govuk-summary-list`), read as key / value pairs.
+ */
+class SummaryList extends Component {
+  /** @param {string|WebdriverIO.Element} [selector='.govuk-summary-list'] */
+  constructor(selector = '.govuk-summary-list') {
+    super(selector)
+  }
+
+  get rows() {
+    return this.$$('.govuk-summary-list__row')
+  }
+
+  /**
+   * @returns {Promise<Array<{ key: string, value: string }>>}
+   */
+  async getRows() {
+    const result = []
+    for (const row of await this.rows) {
+      result.push({
+        key: (await row.$('.govuk-summary-list__key').getText()).trim(),
+        value: (await row.$('.govuk-summary-list__value').getText()).trim()
+      })
+    }
+    return result
+  }
+
+  /**
+   * @returns {Promise<Object<string, string>>} values keyed by row key
+   */
+  async toObject() {
+    return Object.fromEntries(
+      (await this.getRows()).map(({ key, value }) => [key, value])
+    )
+  }
+
+  /**
+   * @param {string} key - e.g. 'Phase'
+   * @returns {Promise<string|null>} null if there is no such row
+   */
+  async getValue(key) {
+    return (await this.toObject())[key] ?? null
+  }
+}
+
+export { SummaryList }
@@ -0,0 +1,200 @@
+import { Component } from './component.js'
+import { Tag } from './tag.component.js'
+
+/**
+ * @typedef {Object} TableCell
+ * @property {string} text
+ * @property {string|null} href - of the first link in the cell
+ * @property {Array<{ text: string, colour: string }>} tags - GOV.UK tags in the
+ *   cell, e.g. both halves of a "Green/Amber" status
+ */
+
+/**
+ * GOV.UK table (`.govuk-table`).
+ * Rows are body rows only; the header row is read through `headers`. A table
+ * that is not on the page reads as empty.
+ *
+ * read() returns the body as row objects keyed by column; compare them with
+ * expected data using diffTableRows() in helpers/table.helper.js.
+ */
+class Table extends Component {
+  /** @param {string|WebdriverIO.Element} [selector='.govuk-table'] */
+  constructor(selector = '.govuk-table') {
+    super(selector)
+  }
+
+  /** Header cells */
+  get headers() {
+    return this.$$('thead th')
+  }
+
+  /** Body rows */
+  get rows() {
+    return this.$$('tbody tr')
+  }
+
+  /**
+   * @returns {Promise<string[]>} header texts, in column order
+   */
+  async getHeaderTexts() {
+    const texts = []
+    if (!(await this.isExisting())) {
+      return texts
+    }
+    for (const header of await this.headers) {
+      texts.push((await header.getText()).trim())
+    }
+    return texts
+  }
+
+  /**
+   * @returns {Promise<number>} number of body rows
+   */
+  async getRowCount() {
+    return (await this.rows).length
+  }
+
+  /**
+   * Cells of a body row. Row headers (`th scope="row"`) count as cells.
+   * @param {number} rowIndex - 0-based
+   * @returns {Promise<WebdriverIO.Element[]>}
+   */
+  async getCells(rowIndex) {
+    const rows = await this.rows
+    if (rowIndex < 0 || rowIndex >= rows.length) {
+      throw new RangeError(
+        `Row ${rowIndex} is out of range – the table has ${rows.length} rows`
+      )
+    }
+    return await rows[rowIndex].$$('th, td')
+  }
+
+  /**
+   * @param {number} rowIndex - 0-based
+   * @param {number} columnIndex - 0-based
+   * @returns {Promise<string>}
+   */
+  async getCellText(rowIndex, columnIndex) {
+    const cells = await this.getCells(rowIndex)
+    return cells[columnIndex] ? (await cells[columnIndex].getText()).trim() : ''
+  }
+
+  /**
+   * Every body row as an array of cell texts.
+   * @returns {Promise<string[][]>}
+   */
+  async getRowTexts() {
+    const result = []
+    if (!(await this.isExisting())) {
+      return result
+    }
+    for (const row of await this.rows) {
+      const texts = []
+      for (const cell of await row.$$('th, td')) {
+        texts.push((await cell.getText()).trim())
+      }
+      result.push(texts)
+    }
+    return result
+  }
+
+  /**
+   * One column's cell texts, top to bottom.
+   * @param {number} columnIndex - 0-based
+   * @returns {Promise<string[]>}
+   */
+  async getColumnTexts(columnIndex) {
+    const rows = await this.getRowTexts()
+    return rows.map((cells) => cells[columnIndex] ?? '')
+  }
+
+  /**
+   * Read the body rows as objects keyed by column. Keys come from the header
+   * text in camelCase ("Compliance confidence" → complianceConfidence)
+   * unless `columns` maps the header to another key.
+   *
+   * @example
+   * const rows = await DeliveryPage.complianceTable.read()
+   * rows[0].complianceConfidence.tags[0].colour // 'green'
+   *
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.columns] - header text → key
+   * @returns {Promise<Array<Object<string, TableCell>>>}
+   */
+  async read({ columns = {} } = {}) {
+    const result = []
+    if (!(await this.isExisting())) {
+      return result
+    }
+
+    const keys = (await this.getHeaderTexts()).map(
+      (header, i) => columns[header] ?? (columnKey(header) || `column${i + 1}`)
+    )
+
+    for (const row of await this.rows) {
+      const cells = await row.$$('th, td')
+      const record = {}
+      for (let i = 0; i < cells.length; i++) {
+        record[keys[i] ?? `column${i + 1}`] = await readCell(cells[i])
+      }
+      result.push(record)
+    }
+    return result
+  }
+
+  /**
+   * The first body row whose text contains `text`.
+   * @param {string} text
+   * @returns {Promise<WebdriverIO.Element|null>}
+   */
+  async findRowContaining(text) {
+    for (const row of await this.rows) {
+      if ((await row.getText()).includes(text)) {
+        return row
+      }
+    }
+    return null
+  }
+
+  /**
+   * Click the first link in the body row containing `text`.
+   * @param {string} text
+   */
+  async clickRowLink(text) {
+    const row = await this.findRowContaining(text)
+    if (!row) {
+      throw new Error(`No table row contains "${text}"`)
+    }
+    await row.$('a').click()
+  }
+}
+
+/**
+ * "Compliance confidence" → "complianceConfidence"
+ */
+function columnKey(header) {
+  const words = header
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .split(' ')
+  return words
+    .map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+    .join('')
+}
+
+async function readCell(cell) {
+  const link = await cell.$('a')
+  const tags = []
+  for (const element of await cell.$$('.govuk-tag')) {
+    const tag = new Tag(element)
+    tags.push({ text: await tag.getText(), colour: await tag.getColour() })
+  }
+  return {
+    text: (await cell.getText()).trim(),
+    href: (await link.isExisting()) ? await link.getAttribute('href') : null,
+    tags
+  }
+}
+
+export { Table }
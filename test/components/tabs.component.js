@@ -0,0 +1,87 @@
+import { $, browser } from '@wdio/globals'
+import { Component } from './component.js'
+
+const HIDDEN_PANEL_CLASS = 'govuk-tabs__panel--hidden'
+
+/**
+ * GOV.UK tabs (`.govuk-tabs`). Tabs and panels are addressed by the panel id,
+ * e.g. 'compliance' for the tab linking to #compliance.
+ */
+class Tabs extends Component {
+  /** @param {string|WebdriverIO.Element} [selector='.govuk-tabs'] */
+  constructor(selector = '.govuk-tabs') {
+    super(selector)
+  }
+
+  /** Tab links */
+  get tabLinks() {
+    return this.$$('.govuk-tabs__tab')
+  }
+
+  /**
+   * The tab link for a panel.
+   * @param {string} panelId
+   */
+  tab(panelId) {
+    return this.$(`a[href="#${panelId}"]`)
+  }
+
+  /**
+   * @param {string} panelId
+   */
+  panel(panelId) {
+    return $(`#${panelId}`)
+  }
+
+  /**
+   * @returns {Promise<string[]>} tab labels, in order
+   */
+  async getTabLabels() {
+    const labels = []
+    for (const link of await this.tabLinks) {
+      labels.push((await link.getText()).trim())
+    }
+    return labels
+  }
+
+  /**
+   * @returns {Promise<string|null>} panel id of the selected tab
+   */
+  async getSelectedPanelId() {
+    const selected = await this.$('.govuk-tabs__list-item--selected a')
+    if (!(await selected.isExisting())) {
+      return null
+    }
+    return (await selected.getAttribute('href')).replace(/^.*#/, '')
+  }
+
+  /**
+   * @param {string} panelId
+   * @returns {Promise<boolean>}
+   */
+  async isPanelVisible(panelId) {
+    const panel = this.panel(panelId)
+    if (!(await panel.isExisting())) {
+      return false
+    }
+    const classes = (await panel.getAttribute('class')) ?? ''
+    return !classes.includes(HIDDEN_PANEL_CLASS)
+  }
+
+  /**
+   * Click a tab and wait for its panel to show.
+   * @param {string} panelId
+   * @param {number} [timeout=5000]
+   */
+  async select(panelId, timeout = 5000) {
+    const tab = this.tab(panelId)
+    await tab.waitForDisplayed({ timeout })
+    await tab.click()
+    await browser.waitUntil(async () => await this.isPanelVisible(panelId), {
+      timeout,
+      timeoutMsg: `Tab panel #${panelId} did not become visible`
+    })
+  }
+}
+
+export { Tabs }
@@ -0,0 +1,36 @@
+import { Component } from './component.js'
+
+/**
+ * GOV.UK tag (`.govuk-tag`), used for RAG statuses. The colour comes from the
+ * modifier class, e.g. `govuk-tag--red`; a tag with no colour modifier is
+ * the default blue.
+ */
+class Tag extends Component {
+  /** @param {string|WebdriverIO.Element} [selector='.govuk-tag'] */
+  constructor(selector = '.govuk-tag') {
+    super(selector)
+  }
+
+  /**
+   * Modifier classes, without the `govuk-tag--` prefix.
+   * @returns {Promise<string[]>}
+   */
+  async getModifiers() {
+    const classes = (await this.root.getAttribute('class')) ?? ''
+    return classes
+      .split(/\s+/)
+      .filter((name) => name.startsWith('govuk-tag--'))
+      .map((name) => name.replace('govuk-tag--', ''))
+  }
+
+  /**
+   * @returns {Promise<string>} e.g. 'red', 'yellow', 'green', or 'blue' for
+   *   an unmodified tag
+   */
+  async getColour() {
+    const [colour] = await this.getModifiers()
+    return colour ?? 'blue'
+  }
+}
+
+export { Tag }
@@ -0,0 +1,88 @@
+import { $$ } from '@wdio/globals'
+import { Component } from './component.js'
+
+/**
+ * The app's timeline of delivery updates (`.timeline`), newest first.
+ * Archived entries carry `timeline__event--archived` and are only shown to
+ * admins. Entries are looked up page-wide, as the engagement tab renders a
+ * single timeline.
+ */
+class Timeline extends Component {
+  /** @param {string|WebdriverIO.Element} [selector='.timeline'] */
+  constructor(selector = '.timeline') {
+    super(selector)
+  }
+
+  /** Every entry, archived or not */
+  get events() {
+    return $$('.timeline__event')
+  }
+
+  /** Entries that have not been archived */
+  get activeEvents() {
+    return $$('.timeline__event:not(.timeline__event--archived)')
+  }
+
+  /**
+   * @returns {Promise<number>}
+   */
+  async getEventCount() {
+    return (await this.events).length
+  }
+
+  /**
+   * The newest entry.
+   * @returns {Promise<WebdriverIO.Element>}
+   * @throws {Error} if the timeline is empty
+   */
+  async getLatestEvent() {
+    const events = await this.events
+    if (events.length === 0) {
+      throw new Error('Expected at least one timeline event')
+    }
+    return events[0]
+  }
+
+  /**
+   * Every entry as data.
+   * @returns {Promise<Array<{ title: string, content: string, archived: boolean, links: string[] }>>}
+   */
+  async getEvents() {
+    const result = []
+    for (const event of await this.events) {
+      const title = await event.$('.timeline__event-title')
+      const content = await event.$('.timeline__event-content')
+      const links = []
+      for (const link of await event.$$('a')) {
+        links.push((await link.getText()).trim())
+      }
+      result.push({
+        title: (await title.isExisting()) ? (await title.getText()).trim() : '',
+        content: (await content.isExisting())
+          ? (await content.getText()).trim()
+          : (await event.getText()).trim(),
+        archived: ((await event.getAttribute('class')) ?? '').includes(
+          'timeline__event--archived'
+        ),
+        links
+      })
+    }
+    return result
+  }
+
+  /**
+   * The first entry whose text contains `text`.
+   * @param {string} text
+   * @returns {Promise<WebdriverIO.Element|null>}
+   */
+  async findEvent(text) {
+    for (const event of await this.events) {
+      if ((await event.getText()).includes(text)) {
+        return event
+      }
+    }
+    return null
+  }
+}
+
+export { Timeline }
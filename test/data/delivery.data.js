@@ -1,86 +1,14 @@
 /**
- * Test data for Add New Delivery scenarios.
- * Each scenario covers a different combination of Project Phase and Current Status.
+ * Test data for Add New Delivery and Manage Delivery scenarios.
+ * The scenario lists themselves are in test/data/scenarios/*.yaml.
  */
 
-/**
- * The 14 Service Standards as defined in src/server/data/service-standards.js.
- * Note: the app may display fewer if some standards have been soft-deleted in the DB.
- * The helper verifyServiceStandardComplianceTable() will produce a clear error
- * message if the on-screen count does not match this list.
- */
-export const SERVICE_STANDARDS = [
-  '1. Understand users and their needs',
-  '2. Solve a whole problem for users',
-  '3. Provide a joined up experience across all channels',
-  '4. Make the service simple to use',
-  '5. Make sure everyone can use the service',
-  '6. Have a multidisciplinary team',
-  '7. Use agile ways of working',
-  '8. Iterate and improve frequently',
-  '9. Create a secure service which protects users privacy',
-  '10. Define what success looks like and publish performance data',
-  '11. Choose the right tools and technology',
-  '12. Make new source code open',
-  '13. Use and contribute to open standards, common components and patterns',
-  '14. Operate a reliable service'
-]
-
-/** Unique run identifier – generated once when the module is loaded */
-export const DELIVERY_RUN_ID = Date.now()
-
-export const deliveryScenarios = [
-  {
-    scenarioName: 'Add New Delivery - Discovery phase with Green status',
-    deliveryName: `AutoTest_${DELIVERY_RUN_ID}_Discovery`,
-    projectPhase: 'Discovery',
-    phaseIndex: 1,
-    defraCode: `DISC-001`,
-    currentStatus: 'GREEN',
-    currentStatusLabel: 'Green',
-    deliveryCommentary: 'Discovery phase delivery with Green status for testing purposes.'
-  },
-  {
-    scenarioName: 'Add New Delivery - Alpha phase with Green Amber status',
-    deliveryName: `AutoTest_${DELIVERY_RUN_ID}_Alpha`,
-    projectPhase: 'Alpha',
-    phaseIndex: 2,
-    defraCode: `ALPH-002`,
-    currentStatus: 'GREEN_AMBER',
-    currentStatusLabel: 'Green/Amber',
-    deliveryCommentary: 'Alpha phase delivery with Green/Amber status for testing purposes.'
-  },
-  {
-    scenarioName: 'Add New Delivery - Beta phase with Amber status',
-    deliveryName: `AutoTest_${DELIVERY_RUN_ID}_Beta`,
-    projectPhase: 'Beta',
-    phaseIndex: 3,
-    defraCode: `BETA-003`,
-    currentStatus: 'AMBER',
-    currentStatusLabel: 'Amber',
-    deliveryCommentary: 'Beta phase delivery with Amber status for testing purposes.'
-  },
-  {
-    scenarioName: 'Add New Delivery - Live phase with Amber Red status',
-    deliveryName: `AutoTest_${DELIVERY_RUN_ID}_Live`,
-    projectPhase: 'Live',
-    phaseIndex: 4,
-    defraCode: `LIVE-004`,
-    currentStatus: 'AMBER_RED',
-    currentStatusLabel: 'Amber/Red',
-    deliveryCommentary: 'Live phase delivery with Amber/Red status for testing purposes.'
-  },
-  {
-    scenarioName: 'Add New Delivery - Beta phase with Pending status',
-    deliveryName: `AutoTest_${DELIVERY_RUN_ID}_Pending`,
-    projectPhase: 'Beta',
-    phaseIndex: 3,
-    defraCode: `PEND-005`,
-    currentStatus: 'PENDING',
-    currentStatusLabel: 'Pending',
-    deliveryCommentary: 'Beta phase delivery with Pending status for testing purposes.'
-  }
-]
+import { loadScenarios } from '../helpers/scenario-loader.helper.js'
+import {
+  buildDelivery,
+  uniqueDefCode
+} from '../helpers/test-data-factory.helper.js'
+import { TEST_RUN_ID } from '../helpers/test-data-registry.helper.js'
 
 /**
  * All available delivery statuses for update scenarios.
@@ -96,6 +24,57 @@ export const DELIVERY_STATUSES = [
   { value: 'EXCLUDED', label: 'Excluded' }
 ]
 
+const STATUS_VALUES = DELIVERY_STATUSES.map(({ value }) => value)
+const STATUS_LABELS = DELIVERY_STATUSES.map(({ label }) => label)
+
+/**
+ * Look up a delivery status by how it is shown, e.g. 'Amber/Red'.
+ * @param {string} label
+ * @returns {{ value: string, label: string }}
+ * @throws {RangeError} for a status the service does not offer
+ */
+export function findDeliveryStatus(label) {
+  const status = DELIVERY_STATUSES.find((status) => status.label === label)
+  if (!status) {
+    throw new RangeError(
+      `Unknown delivery status "${label}" (expected one of ${STATUS_LABELS.join(', ')})`
+    )
+  }
+  return status
+}
+
+/**
+ * Add New Delivery scenarios (scenarios/add-delivery.yaml).
+ * Each scenario covers a different combination of Project Phase and Current Status.
+ * Scenarios without a deliveryName or defraCode get unique ones from the
+ * test data factory.
+ */
+export const deliveryScenarios = loadScenarios(
+  'add-delivery.yaml',
+  {
+    scenarioName:       { type: 'string', required: true },
+    deliveryName:       { type: 'string' },
+    projectPhase:       { type: 'string', required: true },
+    phaseIndex:         { type: 'integer', required: true },
+    defraCode:          { type: 'string' },
+    currentStatus:      { type: 'string', required: true, oneOf: STATUS_VALUES },
+    currentStatusLabel: { type: 'string', required: true, oneOf: STATUS_LABELS },
+    deliveryCommentary: { type: 'string', required: true }
+  },
+  { vars: { runId: TEST_RUN_ID } }
+).map(scenario => {
+  if (scenario.deliveryName && scenario.defraCode) {
+    return scenario
+  }
+  const { name, defCode } = buildDelivery({
+    phase: scenario.projectPhase,
+    status: scenario.currentStatus,
+    ...(scenario.deliveryName && { name: scenario.deliveryName }),
+    ...(scenario.defraCode && { defCode: scenario.defraCode })
+  })
+  return { ...scenario, deliveryName: name, defraCode: defCode }
+})
+
 /**
  * Test project name for Manage Delivery Update Status scenarios.
  * This project must already exist in the test database.
@@ -130,12 +109,6 @@ export function formatTimestamp(date = new Date()) {
   return `${day} ${month} ${year} ${hours}:${minutes}:${seconds}`
 }
 
-/**
- * Generate status update scenarios for each target status.
- * Each scenario updates to a different status value.
- * @param {string} excludeStatus - current status to exclude from target statuses
- * @returns {Array} array of scenario objects
- */
 /**
  * GDS Phase options as defined in the application.
  * Used for parameterised details update tests.
@@ -154,25 +127,31 @@ export const GDS_PHASES = [
  * then the after() hook restores original values.
  */
 export function generateDetailsUpdateScenarios() {
-  const timestamp = Date.now()
-  return GDS_PHASES.map((phase, index) => ({
+  return GDS_PHASES.map(phase => ({
     scenarioName: `Update delivery details to ${phase.label} phase`,
-    newName: `Details Test ${phase.label} ${timestamp}`,
+    newName: `Details Test ${phase.label} ${TEST_RUN_ID}`,
     newPhase: phase.value,
-    newDefCode: `DET-${String(index + 1).padStart(3, '0')}`,
+    newDefCode: uniqueDefCode('Details'),
     expectedNotification: 'Delivery details updated successfully'
   }))
 }
 
+/**
+ * Status update scenarios (scenarios/status-update.yaml) – one per target status.
+ * @param {string} [excludeStatus] - current status to exclude from target statuses
+ * @returns {Array} array of scenario objects
+ */
 export function generateStatusUpdateScenarios(excludeStatus = '') {
-  const timestamp = Date.now()
-  return DELIVERY_STATUSES
-    .filter(status => status.value !== excludeStatus)
-    .map((status, index) => ({
-      scenarioName: `Update delivery status to ${status.label}`,
-      targetStatus: status.value,
-      targetStatusLabel: status.label,
-      newCommentary: `Status updated to ${status.label} - Test commentary ${timestamp}-${index}`,
-      expectedNotification: 'Delivery status and commentary updated successfully'
-    }))
+  return loadScenarios(
+    'status-update.yaml',
+    {
+      scenarioName:         { type: 'string', required: true },
+      targetStatus:         { type: 'string', required: true, oneOf: STATUS_VALUES },
+      targetStatusLabel:    { type: 'string', required: true, oneOf: STATUS_LABELS },
+      newCommentary:        { type: 'string', required: true },
+      editedCommentary:     { type: 'string', required: true },
+      expectedNotification: { type: 'string', required: true }
+    },
+    { vars: { time: formatTimestamp() } }
+  ).filter(scenario => scenario.targetStatus !== excludeStatus)
 }
@@ -0,0 +1,86 @@
+/**
+ * Test data for the Insights prioritisation page (/insights/prioritisation).
+ *
+ * - PRIORITY_GROUPS          : the groups the page sorts deliveries into, in page order
+ * - PRIORITISATION_DELIVERIES: deliveries the spec creates, with known Red and
+ *                              Amber standards
+ * - rankDeliveries()         : the order the app should list them in
+ */
+
+import { DELIVERY_STATUSES } from './delivery.data.js'
+
+/** Delivery statuses the page prioritises, worst first, as group headings */
+export const PRIORITY_GROUPS = [
+  'RED',
+  'AMBER_RED',
+  'AMBER',
+  'GREEN_AMBER',
+  'GREEN'
+].map((value) => DELIVERY_STATUSES.find((status) => status.value === value))
+
+/** Profession whose assessments set the Red and Amber standards */
+export const PRIORITISATION_PROFESSION = 'architecture'
+
+/** Phase of the created deliveries – architecture assesses 6, 7, 11–14 in Discovery */
+export const PRIORITISATION_PHASE = 'Discovery'
+
+/**
+ * @typedef {Object} PrioritisationDelivery
+ * @property {string} label - goes into the generated delivery name
+ * @property {string} status - delivery status value, e.g. 'AMBER_RED'
+ * @property {number[]} red - standards assessed Red
+ * @property {number[]} amber - standards assessed Amber
+ */
+
+/**
+ * Listed in no particular order; rankDeliveries() orders them. Each status
+ * group gets more than one delivery so the order within a group is tested.
+ * @type {PrioritisationDelivery[]}
+ */
+export const PRIORITISATION_DELIVERIES = [
+  { label: 'InsightsRedOneRed', status: 'RED', red: [6], amber: [7, 11] },
+  { label: 'InsightsGreen', status: 'GREEN', red: [], amber: [] },
+  { label: 'InsightsRedTwoRed', status: 'RED', red: [6, 7], amber: [] },
+  { label: 'InsightsAmberTwoAmber', status: 'AMBER', red: [], amber: [6, 7] },
+  { label: 'InsightsAmberRed', status: 'AMBER_RED', red: [11], amber: [] },
+  { label: 'InsightsAmberOneRed', status: 'AMBER', red: [12], amber: [] },
+  { label: 'InsightsGreenAmber', status: 'GREEN_AMBER', red: [], amber: [13] },
+  { label: 'InsightsAmberOneAmber', status: 'AMBER', red: [], amber: [14] }
+]
+
+/**
+ * Order deliveries as the prioritisation page should. This is our copy of the
+ * assurance-frontend's rule for /insights/prioritisation: worst delivery
+ * status first, then most Red standards, then most Amber standards, then by
+ * name. When the app changes its rule, change this to match.
+ * @template {{ name: string, status: string, red: number[], amber: number[] }} T
+ * @param {T[]} deliveries
+ * @returns {T[]} a new array, highest priority first
+ */
+export function rankDeliveries(deliveries) {
+  const statusRank = (value) =>
+    PRIORITY_GROUPS.findIndex((status) => status.value === value)
+  return [...deliveries].sort(
+    (a, b) =>
+      statusRank(a.status) - statusRank(b.status) ||
+      b.red.length - a.red.length ||
+      b.amber.length - a.amber.length ||
+      a.name.localeCompare(b.name)
+  )
+}
+
+/**
+ * The group heading a delivery should be listed under.
+ * @param {string} statusValue - e.g. 'AMBER_RED'
+ * @returns {string} e.g. 'Amber/Red'
+ */
+export function priorityGroupLabel(statusValue) {
+  const group = PRIORITY_GROUPS.find((status) => status.value === statusValue)
+  if (!group) {
+    throw new RangeError(
+      `Deliveries at ${statusValue} status are not prioritised ` +
+        `(expected one of ${PRIORITY_GROUPS.map((status) => status.value).join(', ')})`
+    )
+  }
+  return group.label
+}
@@ -0,0 +1,37 @@
+/**
+ * Test personas.
+ *
+ * Each signed-in persona reads its credentials from its own environment
+ * variables; the first variable in each list that is set wins. The admin
+ * persona falls back to TEST_USERNAME / TEST_PASSWORD so existing .env files
+ * keep working.
+ *
+ * Use with asPersona() / signInAs() from test/helpers/persona.helper.js.
+ */
+
+export const PERSONAS = {
+  admin: {
+    key: 'admin',
+    label: 'Admin',
+    signedIn: true,
+    usernameEnv: ['TEST_ADMIN_USERNAME', 'TEST_USERNAME'],
+    passwordEnv: ['TEST_ADMIN_PASSWORD', 'TEST_PASSWORD']
+  },
+  standard: {
+    key: 'standard',
+    label: 'Standard user',
+    signedIn: true,
+    usernameEnv: ['TEST_STANDARD_USERNAME'],
+    passwordEnv: ['TEST_STANDARD_PASSWORD']
+  },
+  anonymous: {
+    key: 'anonymous',
+    label: 'Anonymous',
+    signedIn: false
+  }
+}
+
+/** The persona every spec signed in as before personas existed */
+export const DEFAULT_PERSONA = 'admin'
+
+export const PERSONA_KEYS = Object.keys(PERSONAS)
@@ -0,0 +1,123 @@
+/**
+ * Profession–standard matrix: which Service Standard numbers each profession
+ * can assess in each phase.
+ *
+ * This is the suite's only copy of src/server/services/profession-standard-matrix.js
+ * in the frontend. Every scenario that needs the mapping derives it from here.
+ * profession-standard-matrix.spec.js reads the matrix from the running app and
+ * reports any drift, so update this file whenever that spec fails.
+ */
+
+/** GDS phases, in delivery order */
+export const PHASES = [
+  'Discovery',
+  'Alpha',
+  'Private Beta',
+  'Public Beta',
+  'Live'
+]
+
+export const PROFESSION_STANDARD_MATRIX = {
+  Discovery: {
+    architecture: [6, 7, 11, 12, 13, 14],
+    'business-analysis': [6, 7],
+    'delivery-management': [4, 5, 6, 7, 8],
+    'product-management': [2, 6, 7, 10],
+    'quality-assurance': [6, 7, 14],
+    'release-management': [7],
+    'software-development': [6, 7, 9, 11, 12, 13, 14],
+    'user-centred-design': [1, 2, 3, 4, 5, 6, 7]
+  },
+  Alpha: {
+    architecture: [6, 7, 8, 9, 11, 12, 13, 14],
+    'business-analysis': [7, 11],
+    'delivery-management': [4, 5, 6, 7, 8],
+    'product-management': [2, 3, 6, 7, 10],
+    'quality-assurance': [3, 4, 5, 7, 8, 9, 11, 14],
+    'release-management': [7, 14],
+    'software-development': [6, 7, 8, 9, 11, 12, 13, 14],
+    'user-centred-design': [1, 2, 3, 4, 5, 7]
+  },
+  'Private Beta': {
+    architecture: [7, 8, 9, 11, 12, 13, 14],
+    'business-analysis': [7, 11],
+    'delivery-management': [4, 5, 6, 7, 8],
+    'product-management': [2, 3, 6, 7, 10, 14],
+    'quality-assurance': [3, 4, 5, 7, 8, 9, 11, 14],
+    'release-management': [7, 14],
+    'software-development': [7, 8, 9, 11, 12, 13, 14],
+    'user-centred-design': [1, 2, 3, 4, 5, 7]
+  },
+  'Public Beta': {
+    architecture: [7, 8, 9, 11, 12, 13, 14],
+    'business-analysis': [7],
+    'delivery-management': [4, 5, 6, 7, 8],
+    'product-management': [2, 3, 6, 7, 10, 14],
+    'quality-assurance': [3, 4, 5, 7, 8, 9, 11, 14],
+    'release-management': [7, 14],
+    'software-development': [7, 8, 9, 11, 12, 13, 14],
+    'user-centred-design': [1, 2, 3, 4, 5, 7]
+  },
+  Live: {
+    architecture: [7, 8, 9, 11, 12, 13, 14],
+    'business-analysis': [7],
+    'delivery-management': [7, 8, 10, 14],
+    'product-management': [3, 6, 7, 8, 10, 14],
+    'quality-assurance': [3, 7, 8, 9, 11, 14],
+    'release-management': [7, 14],
+    'software-development': [7, 8, 9, 11, 12, 13, 14],
+    'user-centred-design': [1, 2, 3, 4, 5, 7]
+  }
+}
+
+/**
+ * The standard numbers a profession can assess in a phase.
+ * @param {string} phase - e.g. 'Alpha'
+ * @param {string} professionId - e.g. 'business-analysis'
+ * @returns {number[]}
+ * @throws {Error} if the matrix has no entry for the combination
+ */
+export function standardsFor(phase, professionId) {
+  const standards = PROFESSION_STANDARD_MATRIX[phase]?.[professionId]
+  if (!standards) {
+    throw new Error(
+      `The profession–standard matrix has no entry for "${professionId}" in ` +
+        `phase "${phase}". Check profession-standard-matrix.data.js.`
+    )
+  }
+  return standards
+}
+
+/**
+ * Compare two matrices, e.g. ours and one read from the app.
+ * @param {Object<string, Object<string, number[]>>} expected
+ * @param {Object<string, Object<string, number[]>>} actual
+ * @returns {Array<{ phase: string, professionId: string, missing: number[], unexpected: number[] }>}
+ *   one entry per phase / profession that differs; a combination absent on
+ *   one side shows all its standards as missing or unexpected
+ */
+export function diffMatrices(expected, actual) {
+  const differences = []
+  const phases = unique([...Object.keys(expected), ...Object.keys(actual)])
+
+  for (const phase of phases) {
+    const professionIds = unique([
+      ...Object.keys(expected[phase] ?? {}),
+      ...Object.keys(actual[phase] ?? {})
+    ])
+    for (const professionId of professionIds) {
+      const want = expected[phase]?.[professionId] ?? []
+      const got = actual[phase]?.[professionId] ?? []
+      const missing = want.filter((n) => !got.includes(n))
+      const unexpected = got.filter((n) => !want.includes(n))
+      if (missing.length > 0 || unexpected.length > 0) {
+        differences.push({ phase, professionId, missing, unexpected })
+      }
+    }
+  }
+  return differences
+}
+
+function unique(values) {
+  return [...new Set(values)]
+}
@@ -0,0 +1,111 @@
+/**
+ * Every route in the assurance frontend and which personas may open it.
+ * Used by test/specs/authorisation-matrix.e2e.js.
+ *
+ * Placeholders are filled from a delivery the spec creates:
+ *   :projectId            the delivery
+ *   :historyId            an update in its history
+ *   :assessmentHistoryId  an assessment in ROUTE_ASSESSMENT's history
+ * A persona not listed in `personas` must be turned away: redirected to
+ * sign in / elsewhere, or shown an error page.
+ */
+
+/** The standard and profession whose assessment history the routes open */
+export const ROUTE_ASSESSMENT = {
+  standard: 'standard-6',
+  professionId: 'architecture'
+}
+
+export const ROUTES = [
+  {
+    name: 'Home',
+    path: '/',
+    personas: ['admin', 'standard', 'anonymous']
+  },
+  {
+    name: 'Deliveries list',
+    path: '/projects',
+    personas: ['admin', 'standard', 'anonymous']
+  },
+  {
+    name: 'Delivery detail',
+    path: '/projects/:projectId',
+    personas: ['admin', 'standard', 'anonymous']
+  },
+  {
+    name: 'Add delivery',
+    path: '/projects/add',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Manage delivery',
+    path: '/projects/:projectId/manage',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Update delivery status',
+    path: '/projects/:projectId/manage/status',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Update delivery details',
+    path: '/projects/:projectId/manage/details',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Delivery history',
+    path: '/projects/:projectId/history',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Archive delivery update',
+    path: '/projects/:projectId/history/:historyId/archive',
+    personas: ['admin']
+  },
+  {
+    name: 'Add Service Standard update',
+    path: '/projects/:projectId/assessment',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Service Standard detail',
+    path: '/projects/:projectId/standards/standard-11',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Service Standard assessment history',
+    path: `/projects/:projectId/standards/${ROUTE_ASSESSMENT.standard}/professions/${ROUTE_ASSESSMENT.professionId}/history`,
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Archive Service Standard assessment',
+    path: `/projects/:projectId/standards/${ROUTE_ASSESSMENT.standard}/professions/${ROUTE_ASSESSMENT.professionId}/history/:assessmentHistoryId/archive`,
+    personas: ['admin']
+  },
+  {
+    name: 'Professions',
+    path: '/professions',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Profession detail',
+    path: '/professions/architecture',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Insights prioritisation',
+    path: '/insights/prioritisation',
+    personas: ['admin', 'standard']
+  },
+  {
+    name: 'Admin',
+    path: '/admin',
+    personas: ['admin']
+  }
+]
+
+/**
+ * Headings the frontend shows when a route is refused rather than redirected.
+ */
+export const ACCESS_DENIED_HEADING =
+  /sign in|unauthori[sz]ed|forbidden|access denied|not authori[sz]ed|you do not have (access|permission)/i
@@ -0,0 +1,108 @@
+/**
+ * The Service Standard catalogue – the 14 points of the GOV.UK Service
+ * Standard as the app defines them in src/server/data/service-standards.js.
+ *
+ * This is the suite's only copy. The app addresses each standard by its slug
+ * (/projects/:id/standards/standard-11); the compliance table and dropdowns
+ * show "<number>. <title>" (see standardLabel()). The database fixtures seed
+ * the serviceStandards collection from this list, and
+ * helpers/service-standards.helper.js fails early when the app shows a
+ * different catalogue.
+ */
+
+const SERVICE_MANUAL = 'https://www.gov.uk/service-manual/service-standard'
+
+/**
+ * @typedef {Object} ServiceStandard
+ * @property {number} number
+ * @property {string} title
+ * @property {string} slug - id the app uses in URLs, e.g. 'standard-11'
+ * @property {string} url - the point's page in the GOV.UK Service Manual
+ */
+
+/** @type {ServiceStandard[]} */
+export const SERVICE_STANDARDS = [
+  [1, 'Understand users and their needs', 'point-1-understand-user-needs'],
+  [2, 'Solve a whole problem for users', 'point-2-solve-a-whole-problem'],
+  [
+    3,
+    'Provide a joined up experience across all channels',
+    'point-3-join-up-across-channels'
+  ],
+  [
+    4,
+    'Make the service simple to use',
+    'point-4-make-the-service-simple-to-use'
+  ],
+  [
+    5,
+    'Make sure everyone can use the service',
+    'point-5-make-sure-everyone-can-use-the-service'
+  ],
+  [6, 'Have a multidisciplinary team', 'point-6-have-a-multidisciplinary-team'],
+  [7, 'Use agile ways of working', 'point-7-use-agile-ways-of-working'],
+  [
+    8,
+    'Iterate and improve frequently',
+    'point-8-iterate-and-improve-frequently'
+  ],
+  [
+    9,
+    'Create a secure service which protects users privacy',
+    'point-9-create-a-secure-service'
+  ],
+  [
+    10,
+    'Define what success looks like and publish performance data',
+    'point-10-define-what-success-looks-like'
+  ],
+  [
+    11,
+    'Choose the right tools and technology',
+    'point-11-choose-the-right-tools-and-technology'
+  ],
+  [12, 'Make new source code open', 'point-12-make-new-source-code-open'],
+  [
+    13,
+    'Use and contribute to open standards, common components and patterns',
+    'point-13-use-common-standards-components-patterns'
+  ],
+  [14, 'Operate a reliable service', 'point-14-operate-a-reliable-service']
+].map(([number, title, manualPage]) => ({
+  number,
+  title,
+  slug: `standard-${number}`,
+  url: `${SERVICE_MANUAL}/${manualPage}`
+}))
+
+/**
+ * How the app labels a standard, e.g. "11. Choose the right tools and technology".
+ * @param {ServiceStandard} standard
+ * @returns {string}
+ */
+export function standardLabel(standard) {
+  return `${standard.number}. ${standard.title}`
+}
+
+/**
+ * @param {number} number - 1 to 14
+ * @returns {ServiceStandard}
+ * @throws {RangeError} if there is no such standard
+ */
+export function standardByNumber(number) {
+  const standard = SERVICE_STANDARDS.find((s) => s.number === number)
+  if (!standard) {
+    throw new RangeError(
+      `There is no Service Standard ${number}. Must be 1–${SERVICE_STANDARDS.length}.`
+    )
+  }
+  return standard
+}
+
+/**
+ * @param {string} slug - e.g. 'standard-11'
+ * @returns {ServiceStandard|undefined}
+ */
+export function standardBySlug(slug) {
+  return SERVICE_STANDARDS.find((s) => s.slug === slug)
+}
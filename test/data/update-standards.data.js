@@ -1,12 +1,12 @@
 /**
  * Test data for Update All Standards Per Profession scenarios.
  *
- * For each profession we have:
+ * For each profession (scenarios/profession-updates.yaml) we have:
  *   - A dedicated test project (must exist in DB with the correct phase)
  *   - The phase that project is in
  *   - The profession id / label
  *   - The service-standard numbers available to that profession in that phase
- *     (mirrors src/server/services/profession-standard-matrix.js)
+ *     (derived from profession-standard-matrix.data.js)
  *   - A status to assign when saving each standard assessment
  *   - A commentary template
  *
@@ -14,7 +14,13 @@
  * each, then verifies the compliance tab shows the correct statuses.
  */
 
-import { SERVICE_STANDARDS } from './delivery.data.js'
+import { standardByNumber, standardLabel } from './service-standards.data.js'
+import {
+  PHASES,
+  PROFESSION_STANDARD_MATRIX,
+  standardsFor
+} from './profession-standard-matrix.data.js'
+import { loadScenarios } from '../helpers/scenario-loader.helper.js'
 
 // ── Service-standard assessment statuses (from SERVICE_STANDARD_STATUS_OPTIONS) ─
 export const ASSESSMENT_STATUSES = [
@@ -44,72 +50,28 @@ export function buildCommentary (professionLabel, standardNumber, statusLabel) {
 }
 
 // ── Per-profession test scenario definitions ─────────────────────────────────
-// Phase for every project is Discovery – update if your projects differ.
+// Listed in scenarios/profession-updates.yaml. Each project must be in
+// projectPhase; the standards to update follow from the phase and profession.
 
-export const PROFESSION_UPDATE_SCENARIOS = [
-  {
-    projectName: 'Auto_Proj_Dscvry_Arch',
-    projectPhase: 'Discovery',
-    professionId: 'architecture',
-    professionLabel: 'Architecture',
-    standards: [6, 7, 11, 12, 13, 14]
-  },
-  {
-    projectName: 'Auto_Proj_Alpha_BA',
-    projectPhase: 'Alpha',
-    professionId: 'business-analysis',
-    professionLabel: 'Business Analysis',
-    standards: [6, 7]
-  },
-  {
-    projectName: 'Auto_Proj_Private_Beta_DM',
-    projectPhase: 'Private Beta',
-    professionId: 'delivery-management',
-    professionLabel: 'Delivery Management',
-    standards: [4, 5, 6, 7, 8]
-  },
-  {
-    projectName: 'Auto_Proj_Live_PM',
-    projectPhase: 'Live',
-    professionId: 'product-management',
-    professionLabel: 'Product Management',
-    standards: [2, 6, 7, 10]
-  },
-  {
-    projectName: 'Auto_Proj_Public_Beta_QA',
-    projectPhase: 'Public Beta',
-    professionId: 'quality-assurance',
-    professionLabel: 'Quality Assurance',
-    standards: [6, 7, 14]
-  },
-  {
-    projectName: 'Auto_Proj_Dscvry_RM',
-    projectPhase: 'Discovery',
-    professionId: 'release-management',
-    professionLabel: 'Release Management',
-    standards: [7]
-  },
-  {
-    projectName: 'Auto_Proj_Dscvry_Soft_Dev',
-    projectPhase: 'Discovery',
-    professionId: 'software-development',
-    professionLabel: 'Software Development',
-    standards: [6, 7, 9, 11, 12, 13, 14]
-  },
-  {
-    projectName: 'Auto_Proj_Dscvry_UCD',
-    projectPhase: 'Discovery',
-    professionId: 'user-centred-design',
-    professionLabel: 'User Centred Design',
-    standards: [1, 2, 3, 4, 5, 6, 7]
-  }
+const PROFESSION_IDS = [
+  ...new Set(Object.values(PROFESSION_STANDARD_MATRIX).flatMap(Object.keys))
 ]
 
+export const PROFESSION_UPDATE_SCENARIOS = loadScenarios('profession-updates.yaml', {
+  projectName:     { type: 'string', required: true },
+  projectPhase:    { type: 'string', required: true, oneOf: PHASES },
+  professionId:    { type: 'string', required: true, oneOf: PROFESSION_IDS },
+  professionLabel: { type: 'string', required: true }
+}).map(scenario => ({
+  ...scenario,
+  standards: standardsFor(scenario.projectPhase, scenario.professionId)
+}))
+
 /**
  * Return the full standard text for a given 1-based standard number.
  * @param {number} stdNum
  * @returns {string} e.g. "6. Have a multidisciplinary team"
  */
 export function standardText (stdNum) {
-  return SERVICE_STANDARDS[stdNum - 1]
+  return standardLabel(standardByNumber(stdNum))
 }
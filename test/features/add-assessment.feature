@@ -0,0 +1,23 @@
+Feature: Add a Service Standard update
+  As a profession lead
+  I want to assess a delivery against a Service Standard
+  So that its compliance confidence is up to date
+
+  Background:
+    Given I am signed in and on the deliveries page
+    And a delivery in the "Discovery" phase at "Green" status
+
+  @smoke
+  Scenario: Architecture assesses standard 6 as Green
+    When I add a Service Standard update for "Architecture" on standard 6 at "Green" status
+    Then standard 6 is shown as "Green" on the compliance tab
+
+  Scenario Outline: <profession> assesses standard <standard> as <status>
+    When I add a Service Standard update for "<profession>" on standard <standard> at "<status>" status
+    Then standard <standard> is shown as "<status>" on the compliance tab
+
+    Examples:
+      | profession           | standard | status   |
+      | User Centred Design  | 1        | Amber    |
+      | Delivery Management  | 5        | Red      |
+      | Software Development | 9        | Excluded |
@@ -0,0 +1,27 @@
+Feature: Add a new delivery
+  As an assurance lead
+  I want to add a delivery to the service
+  So that its progress against the Service Standard can be tracked
+
+  Background:
+    Given I am signed in and on the deliveries page
+
+  @smoke
+  Scenario: Add a Discovery delivery at Green status
+    When I add a new delivery in the "Discovery" phase at "Green" status
+    Then the new delivery is listed on the deliveries page
+    And the delivery page shows its "Green" status and commentary
+    And every Service Standard is shown as "Pending"
+    And the Delivery engagement tab shows the delivery's commentary
+
+  Scenario Outline: Add a <phase> delivery at <status> status
+    When I add a new delivery in the "<phase>" phase at "<status>" status
+    Then the new delivery is listed on the deliveries page
+    And the delivery page shows its "<status>" status and commentary
+    And every Service Standard is shown as "Pending"
+
+    Examples:
+      | phase        | status      |
+      | Alpha        | Green/Amber |
+      | Private Beta | Amber/Red   |
+      | Live         | Excluded    |
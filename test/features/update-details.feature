@@ -0,0 +1,24 @@
+Feature: Update a delivery's details
+  As an assurance lead
+  I want to correct a delivery's name, phase and DEFRA code
+  So that the service shows the delivery as it is now
+
+  Background:
+    Given I am signed in and on the deliveries page
+    And a delivery in the "Discovery" phase at "Amber" status
+
+  @smoke
+  Scenario: Move a delivery into Alpha
+    When I update the delivery's details to the "Alpha" phase with a new name and DEFRA code
+    Then the sidebar shows the delivery's new phase and DEFRA code
+    And the Delivery engagement tab shows the changed details
+
+  Scenario Outline: Move a delivery into <phase>
+    When I update the delivery's details to the "<phase>" phase with a new name and DEFRA code
+    Then the sidebar shows the delivery's new phase and DEFRA code
+
+    Examples:
+      | phase        |
+      | Private Beta |
+      | Public Beta  |
+      | Live         |
@@ -0,0 +1,26 @@
+Feature: Update a delivery's status
+  As an assurance lead
+  I want to record a delivery's status and commentary
+  So that everyone can see how the delivery is going
+
+  Background:
+    Given I am signed in and on the deliveries page
+    And a delivery in the "Alpha" phase at "Green" status
+
+  @smoke
+  Scenario: Move a delivery to Amber
+    When I update the delivery's status to "Amber" with new commentary
+    Then the delivery page shows its "Amber" status and commentary
+    And the Delivery engagement tab shows the delivery's commentary
+
+  Scenario Outline: Move a delivery to <status>
+    When I update the delivery's status to "<status>" with new commentary
+    Then the delivery page shows its "<status>" status and commentary
+
+    Examples:
+      | status      |
+      | Green/Amber |
+      | Amber/Red   |
+      | Red         |
+      | Pending     |
+      | Excluded    |
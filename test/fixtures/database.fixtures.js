@@ -0,0 +1,259 @@
+/**
+ * Database fixtures for the docker compose MongoDB, built from the same
+ * constants the specs assert against (test/data/*.data.js), so the seeded
+ * database and the test expectations cannot drift apart.
+ *
+ * bin/build-fixtures.js writes the result to docker/scripts/mongodb/fixtures
+ * as Extended JSON, which 10-database-setup.js loads when the mongodb
+ * container first starts. `npm run fixtures:check` fails the PR checks if the
+ * committed files are out of date.
+ *
+ * Ids are derived from names, and dates are fixed, so the output only
+ * changes when the test data does.
+ */
+
+import { createHash } from 'node:crypto'
+import { SERVICE_STANDARDS } from '../data/service-standards.data.js'
+import {
+  MANAGE_DELIVERY_TEST_PROJECT1,
+  MANAGE_DELIVERY_TEST_PROJECT2,
+  MANAGE_DELIVERY_TEST_PROJECT_DETAILS1,
+  MANAGE_DELIVERY_TEST_PROJECT_DETAILS2
+} from '../data/delivery.data.js'
+import {
+  ASSESSMENT_PROFESSIONS,
+  ASSESSMENT_PROJECTS
+} from '../data/service-standard-assessment.data.js'
+import { PROFESSION_UPDATE_SCENARIOS } from '../data/update-standards.data.js'
+
+/** Database the assurance-api reads from */
+export const FIXTURE_DATABASE = 'assurance-api'
+
+/** Every seeded record is dated here so the fixture files are reproducible */
+const FIXTURE_DATE = '2025-01-01T09:00:00.000Z'
+
+const FIXTURE_AUTHOR = 'Journey test fixtures'
+
+/**
+ * Build every collection to seed.
+ * @returns {{ database: string, collections: Object<string, Object[]> }}
+ */
+export function buildFixtures() {
+  const serviceStandards = buildServiceStandards()
+  const professions = buildProfessions()
+  const deliveryGroups = buildDeliveryGroups()
+  const projects = buildProjects(deliveryGroups)
+  const { assessments, assessmentHistory } = buildAssessments(projects)
+
+  return {
+    database: FIXTURE_DATABASE,
+    collections: {
+      serviceStandards,
+      professions,
+      deliveryGroups,
+      projects,
+      projectHistory: buildProjectHistory(projects),
+      standardAssessments: assessments,
+      assessmentHistory
+    }
+  }
+}
+
+// ── Reference data ────────────────────────────────────────────────────────
+
+/**
+ * The app addresses each standard by its slug, e.g. standard-6.
+ */
+function buildServiceStandards() {
+  return SERVICE_STANDARDS.map(({ number, title, slug }) => ({
+    _id: slug,
+    number,
+    name: title,
+    isActive: true,
+    createdAt: date(FIXTURE_DATE),
+    updatedAt: date(FIXTURE_DATE)
+  }))
+}
+
+function buildProfessions() {
+  return ASSESSMENT_PROFESSIONS.map(({ id, label }) => ({
+    _id: id,
+    name: label,
+    isActive: true,
+    createdAt: date(FIXTURE_DATE),
+    updatedAt: date(FIXTURE_DATE)
+  }))
+}
+
+function buildDeliveryGroups() {
+  const names = unique([
+    MANAGE_DELIVERY_TEST_PROJECT_DETAILS1.deliveryGroup,
+    MANAGE_DELIVERY_TEST_PROJECT_DETAILS2.deliveryGroup
+  ])
+
+  return names.map((name) => ({
+    _id: objectId('deliveryGroups', name),
+    name,
+    isActive: true,
+    createdAt: date(FIXTURE_DATE),
+    updatedAt: date(FIXTURE_DATE)
+  }))
+}
+
+// ── Projects ──────────────────────────────────────────────────────────────
+
+/**
+ * Every project a spec expects to find already in the database.
+ */
+function buildProjects(deliveryGroups) {
+  const groupId = (name) =>
+    deliveryGroups.find((group) => group.name === name)?._id ?? null
+
+  const definitions = [
+    {
+      name: MANAGE_DELIVERY_TEST_PROJECT1,
+      phase: MANAGE_DELIVERY_TEST_PROJECT_DETAILS1.phase,
+      defCode: MANAGE_DELIVERY_TEST_PROJECT_DETAILS1.deliveryId,
+      deliveryGroupId: groupId(
+        MANAGE_DELIVERY_TEST_PROJECT_DETAILS1.deliveryGroup
+      )
+    },
+    {
+      name: MANAGE_DELIVERY_TEST_PROJECT2,
+      phase: MANAGE_DELIVERY_TEST_PROJECT_DETAILS2.phase,
+      defCode: MANAGE_DELIVERY_TEST_PROJECT_DETAILS2.deliveryId,
+      deliveryGroupId: groupId(
+        MANAGE_DELIVERY_TEST_PROJECT_DETAILS2.deliveryGroup
+      )
+    },
+    ...PROFESSION_UPDATE_SCENARIOS.map(({ projectName, projectPhase }) => ({
+      name: projectName,
+      phase: projectPhase
+    })),
+    ...ASSESSMENT_PROJECTS.map(({ name, phase }) => ({ name, phase }))
+  ]
+
+  // The same project can be needed by several specs – they must agree on it
+  const byName = new Map()
+  for (const definition of definitions) {
+    const existing = byName.get(definition.name)
+    if (existing && existing.phase !== definition.phase) {
+      throw new Error(
+        `Test data disagrees about project "${definition.name}": ` +
+          `phase "${existing.phase}" vs "${definition.phase}". ` +
+          'Fix test/data so every spec expects the same phase.'
+      )
+    }
+    byName.set(definition.name, { ...existing, ...definition })
+  }
+
+  return [...byName.values()].map((definition) => ({
+    _id: objectId('projects', definition.name),
+    name: definition.name,
+    phase: definition.phase,
+    defCode: definition.defCode ?? '',
+    status: 'AMBER',
+    commentary: `Seeded for the journey tests (${definition.phase}).`,
+    deliveryGroupId: definition.deliveryGroupId ?? null,
+    tags: [],
+    lastUpdated: date(FIXTURE_DATE),
+    createdAt: date(FIXTURE_DATE)
+  }))
+}
+
+/**
+ * One status entry per project so the Delivery engagement timeline is never
+ * empty.
+ */
+function buildProjectHistory(projects) {
+  return projects.map((project) => ({
+    _id: objectId('projectHistory', project.name),
+    projectId: project._id,
+    timestamp: date(FIXTURE_DATE),
+    changedBy: FIXTURE_AUTHOR,
+    archived: false,
+    changes: {
+      status: { from: '', to: project.status },
+      commentary: { from: '', to: project.commentary }
+    }
+  }))
+}
+
+// ── Assessments ───────────────────────────────────────────────────────────
+
+/**
+ * The accessibility suite opens standard-11 / architecture on the first
+ * manage-delivery project, so that pair has an assessment and a history entry.
+ */
+function buildAssessments(projects) {
+  const manageDeliveryProject = projects.find(
+    ({ name }) => name === MANAGE_DELIVERY_TEST_PROJECT1
+  )
+  const seeded = [
+    {
+      project: manageDeliveryProject,
+      standardId: 'standard-11',
+      professionId: 'architecture',
+      status: 'GREEN',
+      commentary: 'Seeded assessment for the journey tests.'
+    }
+  ]
+
+  const assessments = []
+  const assessmentHistory = []
+
+  for (const {
+    project,
+    standardId,
+    professionId,
+    status,
+    commentary
+  } of seeded) {
+    const key = `${project.name}:${standardId}:${professionId}`
+    assessments.push({
+      _id: objectId('standardAssessments', key),
+      projectId: project._id,
+      serviceStandardId: standardId,
+      professionId,
+      status,
+      commentary,
+      lastUpdated: date(FIXTURE_DATE)
+    })
+    assessmentHistory.push({
+      _id: objectId('assessmentHistory', key),
+      projectId: project._id,
+      serviceStandardId: standardId,
+      professionId,
+      timestamp: date(FIXTURE_DATE),
+      changedBy: FIXTURE_AUTHOR,
+      archived: false,
+      changes: {
+        status: { from: '', to: status },
+        commentary: { from: '', to: commentary }
+      }
+    })
+  }
+
+  return { assessments, assessmentHistory }
+}
+
+// ── Extended JSON values ──────────────────────────────────────────────────
+
+/**
+ * A stable ObjectId for a named record.
+ */
+function objectId(collection, key) {
+  const hex = createHash('sha1')
+    .update(`${collection}:${key}`)
+    .digest('hex')
+    .slice(0, 24)
+  return { $oid: hex }
+}
+
+function date(iso) {
+  return { $date: iso }
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))]
+}
@@ -0,0 +1,584 @@
+/**
+ * Shared Azure AD login for every spec and helper.
+ *
+ * The Microsoft login is a sequence of screens whose order depends on the
+ * tenant, the account and any cookies left in the browser (account picker,
+ * "Stay signed in?", MFA registration interrupts...). Rather than assuming a
+ * fixed order, performLogin() repeatedly detects which screen is showing and
+ * handles it until the browser is back on the assurance frontend.
+ *
+ * Anything we cannot get past is raised as a LoginError with a `reason` from
+ * LOGIN_FAILURE and a screenshot attached to the Allure report.
+ *
+ * When STUB_IDP_URL is set (docker compose with compose.stub-idp.yml) the
+ * same loop also recognises the single-page form served by docker/stub-idp.
+ */
+
+import allure from '@wdio/allure-reporter'
+import logger from '@wdio/logger'
+import dotenv from 'dotenv'
+import { PERSONAS, DEFAULT_PERSONA } from '../data/personas.data.js'
+
+// Load environment variables from .env file if present
+// This will not override existing environment variables
+dotenv.config()
+
+/** Hosts that serve the Microsoft identity platform login screens */
+const MICROSOFT_LOGIN_HOSTS = [
+  'login.microsoftonline.com',
+  'login.live.com',
+  'login.microsoft.com'
+]
+
+/** Stub identity provider used by the docker compose run, if configured */
+const STUB_IDP_URL = process.env.STUB_IDP_URL
+
+/** Maximum number of login screens to step through before giving up */
+const MAX_LOGIN_STEPS = 10
+
+/** How long to wait for a recognisable screen after each action */
+const SCREEN_TIMEOUT = 30000
+
+/**
+ * Classification of login failures, exposed on LoginError#reason.
+ */
+export const LOGIN_FAILURE = {
+  MISSING_CREDENTIALS: 'MISSING_CREDENTIALS',
+  NOT_REDIRECTED: 'NOT_REDIRECTED',
+  UNKNOWN_USERNAME: 'UNKNOWN_USERNAME',
+  INVALID_PASSWORD: 'INVALID_PASSWORD',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  MFA_REQUIRED: 'MFA_REQUIRED',
+  UNRECOGNISED_SCREEN: 'UNRECOGNISED_SCREEN',
+  TOO_MANY_STEPS: 'TOO_MANY_STEPS',
+  NOT_AUTHENTICATED: 'NOT_AUTHENTICATED'
+}
+
+/**
+ * Error raised when the login journey cannot be completed.
+ */
+export class LoginError extends Error {
+  /**
+   * @param {string} reason - one of LOGIN_FAILURE
+   * @param {string} message - human readable explanation
+   * @param {Object} [details] - e.g. { url, screen, pageMessage }
+   */
+  constructor(reason, message, details = {}) {
+    super(`[${reason}] ${message}`)
+    this.name = 'LoginError'
+    this.reason = reason
+    this.details = details
+  }
+}
+
+/**
+ * Microsoft error messages mapped to a failure reason. The first pattern that
+ * matches the visible error text wins.
+ */
+const MICROSOFT_ERROR_PATTERNS = [
+  {
+    pattern: /account or password is incorrect|password is incorrect/i,
+    reason: LOGIN_FAILURE.INVALID_PASSWORD
+  },
+  {
+    pattern:
+      /account doesn't exist|couldn't find an account|username may be incorrect|enter a valid email/i,
+    reason: LOGIN_FAILURE.UNKNOWN_USERNAME
+  },
+  {
+    pattern: /account has been locked|account is locked|too many times/i,
+    reason: LOGIN_FAILURE.ACCOUNT_LOCKED
+  }
+]
+
+/** Selectors for the individual Microsoft login screens */
+const SELECTORS = {
+  usernameInput: 'input[name="loginfmt"]',
+  passwordInput: 'input[name="passwd"]',
+  primaryButton: '#idSIButton9',
+  staySignedInCheckbox: '#KmsiCheckboxField',
+  accountTiles: '#tilesHolder [data-test-id]',
+  useAnotherAccount: '#otherTileText',
+  askLaterButton: '#btnAskLater, a#btnAskLater',
+  skipSetupLink: 'a=Skip setup',
+  mfaIndicators:
+    '#idDiv_SAOTCAS_Title, #idDiv_SAOTCC_Title, #idTxtBx_SAOTCC_OTC, #idDiv_SAASDS_Title',
+  errorMessages:
+    '#usernameError, #passwordError, #idTD_Error, .alert-error, #stub-idp-error',
+  stubLoginForm: 'form#stub-idp-login',
+  stubUsernameInput: '#stub-idp-username',
+  stubPasswordInput: '#stub-idp-password',
+  stubSignInButton: '#stub-idp-sign-in'
+}
+
+/**
+ * Get a persona's test credentials from the environment.
+ * @param {string} [personaKey=DEFAULT_PERSONA] - key in PERSONAS
+ * @returns {{ username: string, password: string }}
+ */
+export function getCredentials(personaKey = DEFAULT_PERSONA) {
+  const persona = PERSONAS[personaKey]
+  if (!persona?.signedIn) {
+    throw new Error(
+      `Persona "${personaKey}" does not sign in, so has no credentials`
+    )
+  }
+
+  const username = readFirstEnv(persona.usernameEnv)
+  const password = readFirstEnv(persona.passwordEnv)
+
+  if (!username || !password) {
+    throw new LoginError(
+      LOGIN_FAILURE.MISSING_CREDENTIALS,
+      `${persona.usernameEnv[0]} and ${persona.passwordEnv[0]} environment variables ` +
+        `must be set to sign in as the ${persona.label} persona.\n` +
+        'NEVER hardcode credentials in test files.',
+      { persona: personaKey }
+    )
+  }
+
+  return { username, password }
+}
+
+/**
+ * Whether credentials are available for a persona. Anonymous is always available.
+ * @param {string} personaKey - key in PERSONAS
+ * @returns {boolean}
+ */
+export function hasCredentials(personaKey) {
+  const persona = PERSONAS[personaKey]
+  if (!persona) return false
+  if (!persona.signedIn) return true
+  return Boolean(
+    readFirstEnv(persona.usernameEnv) && readFirstEnv(persona.passwordEnv)
+  )
+}
+
+function readFirstEnv(names) {
+  return names.map((name) => process.env[name]).find(Boolean)
+}
+
+/**
+ * Whether a URL belongs to the Microsoft login pages.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isMicrosoftLoginUrl(url) {
+  return MICROSOFT_LOGIN_HOSTS.some((host) => url.includes(host))
+}
+
+/**
+ * Whether a URL belongs to the configured stub identity provider.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isStubIdpUrl(url) {
+  return Boolean(STUB_IDP_URL) && url.startsWith(STUB_IDP_URL)
+}
+
+/**
+ * Whether a URL is on any login page we know how to complete.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isLoginProviderUrl(url) {
+  return isMicrosoftLoginUrl(url) || isStubIdpUrl(url)
+}
+
+/**
+ * Attach a screenshot of the current page to the Allure report.
+ * @param {string} label - attachment name
+ */
+export async function captureScreenshot(label) {
+  try {
+    const screenshot = await browser.takeScreenshot()
+    allure.addAttachment(label, Buffer.from(screenshot, 'base64'), 'image/png')
+  } catch {
+    // A broken session must not hide the original login failure
+  }
+}
+
+/**
+ * Navigate to /auth/login and complete the login.
+ * @param {Object} [credentials] - defaults to getCredentials()
+ */
+export async function performLogin(credentials = getCredentials()) {
+  await browser.url('/auth/login')
+  await completeLogin(credentials)
+}
+
+/**
+ * Complete the login from wherever the browser currently is, e.g. straight
+ * after clicking the "Sign in" link. Returns once the browser is back on the
+ * assurance frontend with a "Sign out" link showing.
+ * @param {Object} [credentials] - defaults to getCredentials()
+ */
+export async function completeLogin(credentials = getCredentials()) {
+  try {
+    await waitForRedirectToLoginProvider()
+
+    for (let step = 0; step < MAX_LOGIN_STEPS; step++) {
+      const screen = await waitForLoginScreen()
+
+      if (screen === 'application') {
+        await verifyAuthenticated()
+        return
+      }
+
+      await handleLoginScreen(screen, credentials)
+    }
+
+    throw new LoginError(
+      LOGIN_FAILURE.TOO_MANY_STEPS,
+      `Still on the login pages after ${MAX_LOGIN_STEPS} screens`,
+      { url: await browser.getUrl() }
+    )
+  } catch (error) {
+    await captureScreenshot('Login failure')
+    if (error instanceof LoginError) {
+      throw error
+    }
+    throw new LoginError(
+      LOGIN_FAILURE.UNRECOGNISED_SCREEN,
+      `Login did not complete: ${error.message}`,
+      { url: await safeGetUrl() }
+    )
+  }
+}
+
+/**
+ * Whether the current page shows the signed-in navigation.
+ * @returns {Promise<boolean>}
+ */
+export async function isSignedIn() {
+  return $('a=Sign out').isExisting()
+}
+
+// ── Screen detection ──────────────────────────────────────────────────────
+
+/**
+ * Wait until /auth/login (or the Sign in link) has redirected to Microsoft or
+ * the stub identity provider. A browser that already holds a session there
+ * may bounce straight back to the application, which is also accepted.
+ */
+async function waitForRedirectToLoginProvider() {
+  try {
+    await browser.waitUntil(
+      async () => {
+        const url = await browser.getUrl()
+        return isLoginProviderUrl(url) || !url.includes('/auth/')
+      },
+      { timeout: SCREEN_TIMEOUT }
+    )
+  } catch {
+    throw new LoginError(
+      LOGIN_FAILURE.NOT_REDIRECTED,
+      'Not redirected to the login page',
+      { url: await safeGetUrl() }
+    )
+  }
+}
+
+/**
+ * Wait for a screen we know how to handle and return its name.
+ * @returns {Promise<string>} one of 'application', 'error', 'stubLogin',
+ *   'mfa', 'accountPicker', 'username', 'password', 'staySignedIn',
+ *   'interrupt', 'consent'
+ */
+async function waitForLoginScreen() {
+  let screen = null
+
+  try {
+    await browser.waitUntil(
+      async () => {
+        screen = await detectLoginScreen()
+        return screen !== null
+      },
+      { timeout: SCREEN_TIMEOUT, interval: 500 }
+    )
+  } catch {
+    throw new LoginError(
+      LOGIN_FAILURE.UNRECOGNISED_SCREEN,
+      'Timed out waiting for a recognisable login screen',
+      { url: await safeGetUrl(), pageMessage: await readPageHeading() }
+    )
+  }
+
+  return screen
+}
+
+/**
+ * Identify the current login screen, or null while the page is still
+ * loading / transitioning.
+ * @returns {Promise<string|null>}
+ */
+async function detectLoginScreen() {
+  const url = await browser.getUrl()
+
+  if (!isLoginProviderUrl(url)) {
+    const readyState = await browser.execute(() => document.readyState)
+    return readyState === 'complete' ? 'application' : null
+  }
+
+  // Error text is checked first: the password screen stays visible when the
+  // password is rejected.
+  if (await findVisibleErrorMessage()) return 'error'
+  if (await isDisplayed(SELECTORS.stubLoginForm)) return 'stubLogin'
+  if (await isDisplayed(SELECTORS.mfaIndicators)) return 'mfa'
+  if (await isDisplayed(SELECTORS.accountTiles)) return 'accountPicker'
+  if (await isDisplayed(SELECTORS.usernameInput)) return 'username'
+  if (await isDisplayed(SELECTORS.passwordInput)) return 'password'
+  if (await isDisplayed(SELECTORS.staySignedInCheckbox)) return 'staySignedIn'
+  if (
+    (await isDisplayed(SELECTORS.askLaterButton)) ||
+    (await isDisplayed(SELECTORS.skipSetupLink))
+  ) {
+    return 'interrupt'
+  }
+
+  const heading = await readPageHeading()
+  if (/stay signed in/i.test(heading)) return 'staySignedIn'
+  if (/permissions requested/i.test(heading)) return 'consent'
+
+  return null
+}
+
+/**
+ * Act on a detected login screen.
+ * @param {string} screen - value from detectLoginScreen()
+ * @param {{ username: string, password: string }} credentials
+ */
+async function handleLoginScreen(screen, { username, password }) {
+  switch (screen) {
+    case 'stubLogin':
+      await handleStubLogin(username, password)
+      break
+    case 'username':
+      await fillAndSubmit(SELECTORS.usernameInput, username)
+      break
+    case 'password':
+      await fillAndSubmit(SELECTORS.passwordInput, password, { secret: true })
+      break
+    case 'accountPicker':
+      await handleAccountPicker(username)
+      break
+    case 'staySignedIn':
+    case 'consent':
+      await clickAndWaitForChange(SELECTORS.primaryButton)
+      break
+    case 'interrupt':
+      await handleInterrupt()
+      break
+    case 'mfa':
+      throw new LoginError(
+        LOGIN_FAILURE.MFA_REQUIRED,
+        `Account "${username}" is being asked for multi-factor authentication. ` +
+          'Test accounts must be excluded from MFA by conditional access.',
+        { url: await browser.getUrl() }
+      )
+    case 'error':
+      await throwMicrosoftError(username)
+      break
+    default:
+      throw new LoginError(
+        LOGIN_FAILURE.UNRECOGNISED_SCREEN,
+        `No handler for login screen "${screen}"`,
+        { url: await browser.getUrl(), screen }
+      )
+  }
+}
+
+// ── Screen handlers ───────────────────────────────────────────────────────
+
+/**
+ * Type into an input and press the primary button.
+ * @param {string} selector
+ * @param {string} value
+ * @param {{ secret?: boolean }} [options] - keep the value out of the logs
+ */
+async function fillAndSubmit(selector, value, { secret = false } = {}) {
+  const input = await $(selector)
+  await input.waitForEnabled({ timeout: SCREEN_TIMEOUT })
+  if (secret) {
+    await setSecretValue(input, value)
+  } else {
+    await input.setValue(value)
+  }
+  await clickAndWaitForChange(SELECTORS.primaryButton)
+}
+
+/**
+ * Type a secret into an input without it reaching the logs. The webdriver
+ * logger records every command and the text it sends at info level, so it
+ * is raised to warn while the secret is typed.
+ * @param {WebdriverIO.Element} input
+ * @param {string} value
+ */
+async function setSecretValue(input, value) {
+  const level =
+    browser.options.logLevels?.webdriver ?? browser.options.logLevel ?? 'info'
+  logger.setLevel('webdriver', 'warn')
+  try {
+    await input.setValue(value)
+  } finally {
+    logger.setLevel('webdriver', level)
+  }
+}
+
+/**
+ * The stub identity provider asks for both values on one form.
+ */
+async function handleStubLogin(username, password) {
+  const usernameInput = await $(SELECTORS.stubUsernameInput)
+  await usernameInput.waitForEnabled({ timeout: SCREEN_TIMEOUT })
+  await usernameInput.setValue(username)
+  await setSecretValue(await $(SELECTORS.stubPasswordInput), password)
+  await clickAndWaitForChange(SELECTORS.stubSignInButton)
+}
+
+/**
+ * Pick the tile for our account, or "Use another account" if it is not listed.
+ */
+async function handleAccountPicker(username) {
+  const tiles = await $$(SELECTORS.accountTiles)
+  for (const tile of tiles) {
+    const tileText = await tile.getText()
+    if (tileText.toLowerCase().includes(username.toLowerCase())) {
+      await clickAndWaitForChange(tile)
+      return
+    }
+  }
+
+  await clickAndWaitForChange(SELECTORS.useAnotherAccount)
+}
+
+/**
+ * Dismiss "More information required" / authenticator registration prompts
+ * that can be postponed. Mandatory registration is reported as MFA_REQUIRED.
+ */
+async function handleInterrupt() {
+  const askLater = await $(SELECTORS.askLaterButton)
+  if (await askLater.isDisplayed()) {
+    await clickAndWaitForChange(askLater)
+    return
+  }
+
+  const skipSetup = await $(SELECTORS.skipSetupLink)
+  if (await skipSetup.isDisplayed()) {
+    await clickAndWaitForChange(skipSetup)
+    return
+  }
+
+  throw new LoginError(
+    LOGIN_FAILURE.MFA_REQUIRED,
+    'Microsoft requires security information to be registered for this account',
+    { url: await browser.getUrl(), pageMessage: await readPageHeading() }
+  )
+}
+
+/**
+ * Translate the visible Microsoft (or stub) error message into a LoginError.
+ */
+async function throwMicrosoftError(username) {
+  const pageMessage = (await findVisibleErrorMessage()) || ''
+  const match = MICROSOFT_ERROR_PATTERNS.find(({ pattern }) =>
+    pattern.test(pageMessage)
+  )
+
+  throw new LoginError(
+    match ? match.reason : LOGIN_FAILURE.UNRECOGNISED_SCREEN,
+    `The identity provider rejected the login for "${username}": ${pageMessage}`,
+    { url: await browser.getUrl(), pageMessage }
+  )
+}
+
+/**
+ * Click an element and wait until the page content changes (or an error
+ * message appears), so the next detectLoginScreen() call does not see the
+ * screen we just left.
+ * @param {string|WebdriverIO.Element} target - selector or element
+ */
+async function clickAndWaitForChange(target) {
+  const element = typeof target === 'string' ? await $(target) : target
+  const before = await readScreenSignature()
+
+  await element.waitForClickable({ timeout: SCREEN_TIMEOUT })
+  await element.click()
+
+  await browser.waitUntil(
+    async () =>
+      (await readScreenSignature()) !== before ||
+      (await findVisibleErrorMessage()) !== null,
+    {
+      timeout: SCREEN_TIMEOUT,
+      timeoutMsg: 'Login screen did not change after clicking'
+    }
+  )
+}
+
+/**
+ * After returning to the application, check the signed-in navigation shows.
+ */
+async function verifyAuthenticated() {
+  try {
+    await $('a=Sign out').waitForExist({ timeout: 10000 })
+  } catch {
+    throw new LoginError(
+      LOGIN_FAILURE.NOT_AUTHENTICATED,
+      'Returned to the application but no "Sign out" link is shown',
+      { url: await browser.getUrl() }
+    )
+  }
+}
+
+// ── Page reading utilities ────────────────────────────────────────────────
+
+async function isDisplayed(selector) {
+  try {
+    return await $(selector).isDisplayed()
+  } catch {
+    return false
+  }
+}
+
+async function findVisibleErrorMessage() {
+  try {
+    const errors = await $$(SELECTORS.errorMessages)
+    for (const error of errors) {
+      if (await error.isDisplayed()) {
+        const text = (await error.getText()).trim()
+        if (text) return text
+      }
+    }
+  } catch {
+    // Page is mid-navigation; treat as no error showing
+  }
+  return null
+}
+
+async function readPageHeading() {
+  try {
+    return await browser.execute(() => {
+      const heading = document.querySelector('[role="heading"], h1, .title')
+      return heading ? heading.textContent.trim() : ''
+    })
+  } catch {
+    return ''
+  }
+}
+
+/**
+ * A cheap fingerprint of the current screen: URL plus heading text.
+ * Microsoft swaps screens client-side, so the URL alone is not enough.
+ */
+async function readScreenSignature() {
+  return `${await safeGetUrl()}|${await readPageHeading()}`
+}
+
+async function safeGetUrl() {
+  try {
+    return await browser.getUrl()
+  } catch {
+    return ''
+  }
+}
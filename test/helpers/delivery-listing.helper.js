@@ -0,0 +1,87 @@
+/**
+ * Checks that the delivery group and delivery partner pages
+ * (page-objects/delivery-group.page.js, page-objects/delivery-partner.page.js)
+ * list exactly the deliveries the assurance-api says belong to them.
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+
+/**
+ * The deliveries in a delivery group, according to the assurance-api.
+ * @param {string} groupId
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+export async function groupDeliveries(groupId) {
+  const projects = await assuranceApi.listProjects()
+  return projects
+    .filter((project) => project.deliveryGroupId === groupId)
+    .map(({ id, name }) => ({ id, name }))
+}
+
+/**
+ * The deliveries a delivery partner works on, according to the
+ * assurance-api. Asks for every project's partners, so it makes one request
+ * per project.
+ * @param {string} partnerId
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+export async function partnerDeliveries(partnerId) {
+  const deliveries = []
+  for (const { id, name } of await assuranceApi.listProjects()) {
+    const partners = await assuranceApi.listProjectDeliveryPartners(id)
+    if (partners.some((partner) => partner.id === partnerId)) {
+      deliveries.push({ id, name })
+    }
+  }
+  return deliveries
+}
+
+/**
+ * Compare the deliveries a page lists with the expected deliveries, by id.
+ * Order is not checked.
+ * @param {Array<{ id: string, name: string }>} shown
+ * @param {Array<{ id: string, name: string }>} expected
+ * @returns {string[]} one line per problem; empty when they match
+ */
+export function diffListedDeliveries(shown, expected) {
+  const problems = []
+  for (const delivery of expected) {
+    const entry = shown.find(({ id }) => id === delivery.id)
+    if (!entry) {
+      problems.push(`"${delivery.name}" (${delivery.id}) is missing.`)
+    } else if (entry.name !== delivery.name) {
+      problems.push(
+        `${delivery.id} is shown as "${entry.name}", expected "${delivery.name}".`
+      )
+    }
+  }
+  for (const { id, name } of shown) {
+    if (!expected.some((delivery) => delivery.id === id)) {
+      problems.push(`"${name}" (${id}) should not be listed.`)
+    }
+  }
+  const ids = shown.map(({ id }) => id)
+  for (const id of new Set(ids.filter((id, i) => ids.indexOf(id) !== i))) {
+    problems.push(`${id} is listed more than once.`)
+  }
+  return problems
+}
+
+/**
+ * Check a delivery group or partner page lists exactly the expected
+ * deliveries.
+ * @param {import('../page-objects/delivery-listing.page.js').DeliveryListingPage} page
+ *   - already open
+ * @param {Array<{ id: string, name: string }>} expected
+ * @param {string} description - names the page in the error, e.g. 'Delivery group "Animal Health"'
+ * @throws {Error} listing every difference
+ */
+export async function expectListedDeliveries(page, expected, description) {
+  const problems = diffListedDeliveries(await page.getDeliveries(), expected)
+  if (problems.length > 0) {
+    throw new Error(
+      `${description} does not list the deliveries the assurance-api has for it:\n` +
+        `  ${problems.join('\n  ')}`
+    )
+  }
+}
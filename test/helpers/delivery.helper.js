@@ -3,35 +3,28 @@
  * These functions are reusable across multiple spec files.
  */
 
-import { SERVICE_STANDARDS } from '../data/delivery.data.js'
+import { SERVICE_STANDARDS, standardLabel } from '../data/service-standards.data.js'
 import DeliveryPage from '../page-objects/delivery.page.js'
+import { ensureSignedIn } from './session.helper.js'
+import { expectTableToMatch } from './table.helper.js'
+import { expectServiceStandardCatalogue } from './service-standards.helper.js'
 
 /**
  * Navigate like a real user: Home → Sign in → View all deliveries → /projects.
- * Uses the GOV.UK service navigation "Sign in" link and the "View all deliveries" link.
+ * Sign in reuses the cached session from session.helper.js and only goes
+ * through the Microsoft login when that session is missing or has expired.
  */
 export async function signInAndNavigateToProjects () {
-  // 1. Go to the home page
-  await browser.url('/')
+  // 1. Go to the home page, signed in
+  await ensureSignedIn()
   await waitForPageLoad(15000)
 
-  // 2. Sign in only if not already authenticated
-  const signOutLink = await $('a=Sign out')
-  const alreadySignedIn = await signOutLink.isExisting()
-
-  if (!alreadySignedIn) {
-    const signInLink = await $('a=Sign in')
-    await signInLink.waitForClickable({ timeout: 10000 })
-    await signInLink.click()
-    await waitForPageLoad(15000)
-  }
-
-  // 3. Click "View all deliveries" link on the home page
+  // 2. Click "View all deliveries" link on the home page
   const viewDeliveriesLink = await $('a=View all deliveries')
   await viewDeliveriesLink.waitForClickable({ timeout: 10000 })
   await viewDeliveriesLink.click()
 
-  // 4. Wait for URL to contain /projects
+  // 3. Wait for URL to contain /projects
   await browser.waitUntil(
     async () => (await browser.getUrl()).includes('/projects'),
     { timeout: 15000, timeoutMsg: 'URL did not navigate to /projects' }
@@ -40,7 +33,7 @@ export async function signInAndNavigateToProjects () {
 }
 
 /**
- * Verify the Service Standard compliance table headers and all 15 standard rows.
+ * Verify the Service Standard compliance table headers and all 14 standard rows.
  * @param {string} [expectedConfidence='Pending'] - expected compliance confidence text for every row
  */
 export async function verifyServiceStandardComplianceTable(expectedConfidence = 'Pending') {
@@ -54,35 +47,22 @@ export async function verifyServiceStandardComplianceTable(expectedConfidence =
   )
 
   // ── Verify table headers ──────────────────────────────────────────────────
-  const headers = await DeliveryPage.complianceTableHeaders
-  await expect(headers[0]).toHaveText('Point')
-  await expect(headers[1]).toHaveText('Compliance confidence')
+  const headers = await DeliveryPage.complianceTable.getHeaderTexts()
+  expect(headers.slice(0, 2)).toEqual(['Point', 'Compliance confidence'])
 
   // ── Verify all service standard rows ────────────────────────────────────
-  const rows = await DeliveryPage.complianceTableRows
-  const actualCount = rows.length
-  const expectedCount = SERVICE_STANDARDS.length
-
-  if (actualCount !== expectedCount) {
-    throw new Error(
-      `Service Standards table row count mismatch: ` +
-      `Only ${actualCount} Service Standard${actualCount === 1 ? '' : 's'} loaded on screen, ` +
-      `expected ${expectedCount}. ` +
-      `Please check that all Service Standards have been seeded in the database.`
-    )
-  }
-
-  for (let i = 0; i < SERVICE_STANDARDS.length; i++) {
-    const cells = await rows[i].$$('td')
-    const pointCell = cells[0]
-    const confidenceCell = cells[1]
-
-    // Verify standard name (link text)
-    await expect(pointCell).toHaveText(SERVICE_STANDARDS[i], { containing: true })
-
-    // Verify compliance confidence against the supplied (or default) value
-    await expect(confidenceCell).toHaveText(expectedConfidence, { containing: true })
-  }
+  // Fails with a seeding hint if the app shows a different catalogue
+  await expectServiceStandardCatalogue()
+
+  // Standard names (link text) in order, each with the expected confidence
+  await expectTableToMatch(
+    DeliveryPage.complianceTable,
+    SERVICE_STANDARDS.map((standard) => ({
+      point: standardLabel(standard),
+      complianceConfidence: expectedConfidence
+    })),
+    { containing: true, description: 'Service Standard compliance table' }
+  )
 }
 
 /**
@@ -110,17 +90,12 @@ export async function verifyServiceStandardRow(standardIndex, expectedConfidence
     { timeout: 10000, timeoutMsg: 'Compliance table not displayed' }
   )
 
-  const rows = await DeliveryPage.complianceTableRows
-  const targetRow = rows[standardIndex]
-  const cells = await targetRow.$$('td')
-  const pointCell = cells[0]
-  const confidenceCell = cells[1]
-
-  // Verify the correct standard is in this row
-  await expect(pointCell).toHaveText(SERVICE_STANDARDS[standardIndex], { containing: true })
-
-  // Verify the expected compliance confidence
-  await expect(confidenceCell).toHaveText(expectedConfidence, { containing: true })
+  // Find the standard's row and verify its compliance confidence
+  await expectTableToMatch(
+    DeliveryPage.complianceTable,
+    [{ point: standardLabel(SERVICE_STANDARDS[standardIndex]), complianceConfidence: expectedConfidence }],
+    { key: 'point', containing: true, description: 'Service Standard compliance table' }
+  )
 }
 
 /**
@@ -0,0 +1,83 @@
+/**
+ * Arrange deliveries for the Insights prioritisation page and check the
+ * order and groups it lists them in (see test/data/insights.data.js).
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import InsightsPage from '../page-objects/insights.page.js'
+import {
+  PRIORITISATION_PHASE,
+  PRIORITISATION_PROFESSION,
+  priorityGroupLabel,
+  rankDeliveries
+} from '../data/insights.data.js'
+import { standardByNumber } from '../data/service-standards.data.js'
+import { diffTableRows } from './table.helper.js'
+import { createDelivery } from './test-data-factory.helper.js'
+
+/**
+ * Create each delivery through the assurance-api, with its Red and Amber
+ * standards assessed. They are deleted when the run completes.
+ * @param {import('../data/insights.data.js').PrioritisationDelivery[]} definitions
+ * @returns {Promise<Array<import('../data/insights.data.js').PrioritisationDelivery & { id: string, name: string }>>}
+ */
+export async function createPrioritisationDeliveries(definitions) {
+  const created = []
+  for (const definition of definitions) {
+    const project = await createDelivery({
+      phase: PRIORITISATION_PHASE,
+      status: definition.status,
+      label: definition.label
+    })
+
+    const assessments = [
+      ...definition.red.map((number) => ({ number, status: 'RED' })),
+      ...definition.amber.map((number) => ({ number, status: 'AMBER' }))
+    ]
+    for (const { number, status } of assessments) {
+      await assuranceApi.saveAssessment(
+        project.id,
+        standardByNumber(number).slug,
+        PRIORITISATION_PROFESSION,
+        {
+          status,
+          commentary: `Prioritisation test: standard ${number} at ${status}`
+        }
+      )
+    }
+
+    created.push({ ...definition, id: project.id, name: project.name })
+  }
+  return created
+}
+
+/**
+ * On the prioritisation page, check the deliveries are listed in the order
+ * rankDeliveries() puts them, each under its status group. Other deliveries
+ * on the page are ignored.
+ * @param {Array<{ name: string, status: string, red: number[], amber: number[] }>} deliveries
+ * @throws {Error} listing every difference
+ */
+export async function expectPrioritisation(deliveries) {
+  const names = deliveries.map(({ name }) => name)
+  const shown = []
+  for (const row of await InsightsPage.readPrioritisation()) {
+    if (names.includes(row.delivery?.text)) {
+      shown.push({ delivery: row.delivery, group: row.group })
+    }
+  }
+
+  const expected = rankDeliveries(deliveries).map(({ name, status }) => ({
+    delivery: name,
+    group: priorityGroupLabel(status)
+  }))
+
+  const mismatches = diffTableRows(shown, expected)
+  if (mismatches.length > 0) {
+    throw new Error(
+      `The prioritisation page does not list the test deliveries as expected:\n` +
+        `  ${mismatches.join('\n  ')}\n` +
+        `Shown: [${shown.map(({ delivery }) => delivery.text).join(', ')}]`
+    )
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * Keyboard-only checks (Service Standard 5, "Make sure everyone can use the
+ * service"): tab through a page recording where focus goes, check focus is
+ * visible and never trapped, and that the skip link works.
+ *
+ * Page objects declare the order their controls should be tabbed through in
+ * a `focusOrder` getter, keyed by view, e.g.
+ * { addDelivery: ['deliveryName', 'projectPhase', 'addDeliveryButton'] }.
+ * Other focusable elements may come between them. Only the first radio of a
+ * group is a tab stop, so list just that one.
+ */
+
+/** Marks each declared control, so tab stops can be matched to getters */
+const CONTROL_ATTRIBUTE = 'data-keyboard-control'
+
+/** Marks each tab stop with its position, to notice focus coming back */
+const STOP_ATTRIBUTE = 'data-keyboard-stop'
+
+/**
+ * Reload the current page, so tabbing starts from the top of it.
+ */
+async function reloadPage() {
+  await browser.refresh()
+  await browser.waitUntil(
+    async () =>
+      (await browser.execute(() => document.readyState)) === 'complete',
+    { timeout: 10000, timeoutMsg: 'Page did not reload completely' }
+  )
+}
+
+/**
+ * @typedef {Object} TabStop
+ * @property {string|null} control - getter name, when it is a declared control
+ * @property {string} description - e.g. 'input#name' or 'a.govuk-link "Cancel"'
+ * @property {boolean} focusVisible - whether it shows a focus indicator
+ */
+
+/**
+ * The declared focus order of one of a page object's views.
+ * @param {Object} page - page object with a focusOrder getter
+ * @param {string} view - key in page.focusOrder
+ * @returns {string[]} getter names
+ */
+export function getFocusOrder(page, view) {
+  const controls = page.focusOrder?.[view]
+  if (!controls) {
+    throw new Error(`${page.constructor.name}.focusOrder has no "${view}" view`)
+  }
+  return controls
+}
+
+/**
+ * Reload the current page and press Tab until focus leaves the page or
+ * comes back to the first stop.
+ * @param {Object} page - page object
+ * @param {string[]} controls - getters to mark, so their stops are named
+ * @param {Object} [options]
+ * @param {number} [options.maxStops=200]
+ * @returns {Promise<{ stops: TabStop[], trap: string|null, missing: string[] }>}
+ *   trap describes where focus got stuck; missing lists controls not on the page
+ */
+export async function tabThroughPage(page, controls, { maxStops = 200 } = {}) {
+  await reloadPage()
+
+  const missing = []
+  for (const control of controls) {
+    const element = await page[control]
+    if (!(await element.isExisting())) {
+      missing.push(control)
+      continue
+    }
+    await browser.execute(
+      (el, attribute, name) => el.setAttribute(attribute, name),
+      element,
+      CONTROL_ATTRIBUTE,
+      control
+    )
+  }
+
+  const stops = []
+  for (let index = 0; index < maxStops; index++) {
+    await browser.keys(['Tab'])
+    const stop = await browser.execute(
+      (controlAttribute, stopAttribute, position) => {
+        const element = document.activeElement
+        if (!element || element === document.body) {
+          return { left: true }
+        }
+        const previous = element.getAttribute(stopAttribute)
+        if (previous === null) {
+          element.setAttribute(stopAttribute, String(position))
+        }
+
+        const style = window.getComputedStyle(element)
+        const outline =
+          style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0
+        const shadow = style.boxShadow && style.boxShadow !== 'none'
+        const text = (element.innerText || element.value || '')
+          .trim()
+          .slice(0, 40)
+        const classes = [...element.classList]
+          .slice(0, 2)
+          .map((name) => `.${name}`)
+          .join('')
+        return {
+          previous: previous === null ? null : Number(previous),
+          control: element.getAttribute(controlAttribute),
+          description:
+            `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : classes}` +
+            (text ? ` "${text}"` : ''),
+          focusVisible: Boolean(outline || shadow)
+        }
+      },
+      CONTROL_ATTRIBUTE,
+      STOP_ATTRIBUTE,
+      index
+    )
+
+    if (stop.left || stop.previous === 0) {
+      return { stops, trap: null, missing }
+    }
+    if (stop.previous !== null) {
+      const trap =
+        stop.previous === index - 1
+          ? `Focus stays on ${stop.description} when Tab is pressed`
+          : `Focus goes back to ${stop.description} (stop ${stop.previous + 1}) ` +
+            `instead of moving on`
+      return { stops, trap, missing }
+    }
+    stops.push({
+      control: stop.control,
+      description: stop.description,
+      focusVisible: stop.focusVisible
+    })
+  }
+  return {
+    stops,
+    trap: `Focus was still moving after ${maxStops} Tab presses`,
+    missing
+  }
+}
+
+/**
+ * Operate a focused control with the keyboard and check it responded:
+ * typing into text fields, arrowing through selects, Space on checkboxes
+ * and radios, Enter on details summaries. Links and buttons are not pressed,
+ * as that would leave the page; they must be native links or buttons, which
+ * browsers operate with Enter.
+ * @param {WebdriverIO.Element} element
+ * @returns {Promise<string|null>} the problem, or null when it responded
+ */
+async function operateWithKeyboard(element) {
+  const before = await browser.execute((el) => {
+    el.focus()
+    return {
+      tag: el.tagName.toLowerCase(),
+      type: (el.getAttribute('type') || '').toLowerCase(),
+      href: el.getAttribute('href'),
+      role: el.getAttribute('role'),
+      value: el.value,
+      checked: el.checked,
+      open: el.parentElement?.open,
+      options: el.options?.length
+    }
+  }, element)
+  const after = () =>
+    browser.execute(
+      (el) => ({
+        value: el.value,
+        checked: el.checked,
+        open: el.parentElement?.open
+      }),
+      element
+    )
+
+  const { tag, type } = before
+  if (
+    tag === 'textarea' ||
+    (tag === 'input' && !/^(checkbox|radio|submit|button|hidden)$/.test(type))
+  ) {
+    await browser.keys(['x'])
+    const { value } = await after()
+    await browser.keys(['Backspace'])
+    return value === `${before.value}x`
+      ? null
+      : 'typing does not change its value'
+  }
+  if (tag === 'select') {
+    if (before.options < 2) return null
+    await browser.keys(['ArrowDown'])
+    let { value } = await after()
+    if (value === before.value) {
+      await browser.keys(['ArrowUp'])
+      value = (await after()).value
+    }
+    await browser.execute(
+      (el, original) => (el.value = original),
+      element,
+      before.value
+    )
+    return value !== before.value
+      ? null
+      : 'the arrow keys do not change the selection'
+  }
+  if (tag === 'input' && (type === 'checkbox' || type === 'radio')) {
+    await browser.keys([' '])
+    const { checked } = await after()
+    if (type === 'radio') {
+      return checked ? null : 'Space does not select it'
+    }
+    await browser.keys([' '])
+    return checked !== before.checked
+      ? null
+      : 'Space does not change whether it is checked'
+  }
+  if (tag === 'summary') {
+    await browser.keys(['Enter'])
+    const { open } = await after()
+    await browser.keys(['Enter'])
+    return open !== before.open ? null : 'Enter does not open or close it'
+  }
+  if (
+    (tag === 'a' && before.href !== null) ||
+    tag === 'button' ||
+    tag === 'input'
+  ) {
+    return null
+  }
+  return `a <${tag}>${before.role ? ` with role="${before.role}"` : ''} is not a native control, so Enter and Space may not operate it`
+}
+
+/**
+ * Tab through the current page and check the view's declared controls are
+ * reached in their declared order, that every stop shows a visible focus
+ * indicator, that focus is never trapped, and that each control can be
+ * operated with the keyboard.
+ * @param {Object} page - page object with a focusOrder getter
+ * @param {string} view - key in page.focusOrder
+ * @throws {Error} listing every problem
+ */
+export async function expectKeyboardAccess(page, view) {
+  const controls = getFocusOrder(page, view)
+  const { stops, trap, missing } = await tabThroughPage(page, controls)
+
+  const problems = []
+  if (trap) {
+    problems.push(trap)
+  }
+  for (const control of missing) {
+    problems.push(`${control} is not on the page`)
+  }
+
+  const reached = stops.map(({ control }) => control).filter(Boolean)
+  const expected = controls.filter((control) => !missing.includes(control))
+  for (const control of expected) {
+    if (!reached.includes(control)) {
+      problems.push(`${control} cannot be reached with Tab`)
+    }
+  }
+  const inOrder = expected.filter((control) => reached.includes(control))
+  if (reached.join() !== inOrder.join()) {
+    problems.push(
+      `Controls are reached in the order [${reached.join(', ')}], ` +
+        `expected [${inOrder.join(', ')}]`
+    )
+  }
+
+  for (const { description, focusVisible } of stops) {
+    if (!focusVisible) {
+      problems.push(`${description} has no visible focus indicator`)
+    }
+  }
+
+  for (const control of inOrder) {
+    const problem = await operateWithKeyboard(await page[control])
+    if (problem) {
+      problems.push(`${control}: ${problem}`)
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Keyboard access problems on ${page.constructor.name} (${view}):\n  ${problems.join('\n  ')}\n` +
+        `Tab order: ${stops.map(({ control, description }) => control ?? description).join(' → ')}`
+    )
+  }
+}
+
+/**
+ * Check the first Tab stop is a visible "Skip to main content" link and that
+ * pressing Enter on it moves focus to the main content.
+ * @throws {Error} when the skip link is missing or does not work
+ */
+export async function expectSkipLink() {
+  await reloadPage()
+  await browser.keys(['Tab'])
+  const skipLink = await browser.execute(() => {
+    const element = document.activeElement
+    return {
+      isSkipLink: element?.classList.contains('govuk-skip-link') ?? false,
+      href: element?.getAttribute('href'),
+      visible: element ? element.getBoundingClientRect().height > 1 : false
+    }
+  })
+  if (!skipLink.isSkipLink) {
+    throw new Error('The first Tab stop is not the skip link')
+  }
+  if (!skipLink.visible) {
+    throw new Error('The skip link is not visible when it has focus')
+  }
+
+  await browser.keys(['Enter'])
+  const targetId = skipLink.href.replace(/^.*#/, '')
+  await browser.waitUntil(
+    async () =>
+      (await browser.execute(() => document.activeElement?.id)) === targetId,
+    {
+      timeout: 5000,
+      timeoutMsg: `The skip link did not move focus to #${targetId}`
+    }
+  )
+}
@@ -132,17 +132,8 @@ export async function verifyStatusUpdateSuccess(newCommentary, newStatusLabel) {
  * @param {string} newCommentary - expected commentary text
  */
 export async function verifyUpdateInEngagementTab(newCommentary) {
-  // Click Delivery engagement tab
-  await DeliveryPage.deliveryEngagementTab.click()
-
-  // Wait for engagement panel to become visible
-  await browser.waitUntil(
-    async () => {
-      const classes = await $('#engagement').getAttribute('class')
-      return !classes.includes('govuk-tabs__panel--hidden')
-    },
-    { timeout: 5000, timeoutMsg: 'Delivery engagement tab did not become visible' }
-  )
+  // Click Delivery engagement tab and wait for its panel
+  await DeliveryPage.openTab('engagement')
 
   // Verify timeline label
   await expect(DeliveryPage.engagementTimelineLabel).toBeDisplayed()
@@ -277,17 +268,8 @@ export async function verifyDetailsUpdatePage(projectName) {
  * @param {Object} changes - { name, phase } – the new values to look for
  */
 export async function verifyDetailsUpdateInEngagementTab(changes = {}) {
-  // Click Delivery engagement tab
-  await DeliveryPage.deliveryEngagementTab.click()
-
-  // Wait for engagement panel to become visible
-  await browser.waitUntil(
-    async () => {
-      const classes = await $('#engagement').getAttribute('class')
-      return !classes.includes('govuk-tabs__panel--hidden')
-    },
-    { timeout: 5000, timeoutMsg: 'Delivery engagement tab did not become visible' }
-  )
+  // Click Delivery engagement tab and wait for its panel
+  await DeliveryPage.openTab('engagement')
 
   // Verify timeline label
   await expect(DeliveryPage.engagementTimelineLabel).toBeDisplayed()
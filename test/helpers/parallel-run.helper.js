@@ -0,0 +1,36 @@
+/**
+ * How many wdio workers run side by side, shared between the configs (which
+ * set it) and the workers (which isolate shared test data when it is above
+ * 1 – see project-allocator.helper.js).
+ *
+ * Kept free of page objects and the API client so the wdio configs can
+ * import it in the launcher.
+ */
+
+/**
+ * Resolve a config's maxInstances from MAX_INSTANCES, and export it back so
+ * every worker knows how many run side by side.
+ * @param {number} defaultValue - the config's own maxInstances
+ * @returns {number}
+ */
+export function resolveMaxInstances(defaultValue) {
+  const maxInstances = Number(process.env.MAX_INSTANCES ?? defaultValue)
+  if (!Number.isInteger(maxInstances) || maxInstances < 1) {
+    throw new Error(
+      `MAX_INSTANCES must be a whole number of at least 1, got "${process.env.MAX_INSTANCES}"`
+    )
+  }
+  process.env.MAX_INSTANCES = String(maxInstances)
+  return maxInstances
+}
+
+/**
+ * Whether specs should work on their own copies of the shared projects.
+ * @returns {boolean}
+ */
+export function isolateSharedProjects() {
+  if (process.env.ISOLATE_SHARED_PROJECTS) {
+    return process.env.ISOLATE_SHARED_PROJECTS === 'true'
+  }
+  return Number(process.env.MAX_INSTANCES ?? 1) > 1
+}
@@ -0,0 +1,112 @@
+/**
+ * Run suites as a test persona (admin, standard user, anonymous) and check
+ * the controls each persona should see.
+ *
+ * Personas are defined in test/data/personas.data.js. Page objects declare
+ * which personas see each of their controls through a `personaControls`
+ * getter, e.g. { manageDeliveryLink: ['admin', 'standard'] }.
+ */
+
+import logger from '@wdio/logger'
+import { PERSONAS } from '../data/personas.data.js'
+import { hasCredentials } from './auth.helper.js'
+import { ensureSignedIn, ensureSignedOut } from './session.helper.js'
+
+const log = logger('personas')
+
+/**
+ * Look up a persona by key.
+ * @param {string} personaKey - key in PERSONAS
+ * @returns {Object} the persona definition
+ */
+export function getPersona(personaKey) {
+  const persona = PERSONAS[personaKey]
+  if (!persona) {
+    throw new Error(
+      `Unknown persona "${personaKey}". ` +
+        `Expected one of: ${Object.keys(PERSONAS).join(', ')}`
+    )
+  }
+  return persona
+}
+
+/**
+ * Sign the browser in (or out) as a persona, reusing cached sessions.
+ * Leaves the browser on the home page.
+ * @param {string} personaKey - key in PERSONAS
+ */
+export async function signInAs(personaKey) {
+  const persona = getPersona(personaKey)
+  if (persona.signedIn) {
+    await ensureSignedIn(personaKey)
+  } else {
+    await ensureSignedOut()
+  }
+}
+
+/**
+ * Wrap a suite so every test in it runs as the given persona. The suite is
+ * skipped, not failed, when that persona's credentials are not configured.
+ *
+ * @param {string} personaKey - key in PERSONAS
+ * @param {(persona: Object) => void} suite - registers the tests, like a describe body
+ *
+ * @example
+ * asPersona('standard', () => {
+ *   it('should not show the Admin link', async () => { ... })
+ * })
+ */
+export function asPersona(personaKey, suite) {
+  const persona = getPersona(personaKey)
+
+  return describe(`as ${persona.label}`, function () {
+    before(async function () {
+      if (!hasCredentials(personaKey)) {
+        log.warn(
+          `Skipping "${persona.label}" suite – ${persona.usernameEnv[0]} / ` +
+            `${persona.passwordEnv[0]} are not set`
+        )
+        this.skip()
+      }
+      await signInAs(personaKey)
+    })
+
+    suite.call(this, persona)
+  })
+}
+
+/**
+ * Assert that a page shows exactly the persona-restricted controls the
+ * persona should see, as declared by the page object's personaControls.
+ *
+ * @param {Object} page - page object with a personaControls getter
+ * @param {string} personaKey - key in PERSONAS
+ * @param {string[]} [controls] - subset of personaControls to check (default all)
+ */
+export async function expectPersonaControls(
+  page,
+  personaKey,
+  controls = Object.keys(page.personaControls)
+) {
+  const persona = getPersona(personaKey)
+
+  for (const control of controls) {
+    const allowed = page.personaControls[control]
+    if (!allowed) {
+      throw new Error(
+        `${page.constructor.name}.personaControls has no entry for "${control}"`
+      )
+    }
+
+    const element = await page[control]
+    if (allowed.includes(personaKey)) {
+      await expect(element).toBeDisplayed({
+        message: `${persona.label} should see ${control}`
+      })
+    } else {
+      await expect(element).not.toBeDisplayed({
+        message: `${persona.label} should not see ${control}`
+      })
+    }
+  }
+}
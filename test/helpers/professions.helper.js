@@ -0,0 +1,86 @@
+/**
+ * Checks for the Professions pages (page-objects/professions.page.js and
+ * page-objects/profession-detail.page.js).
+ */
+
+import ProfessionDetailPage from '../page-objects/profession-detail.page.js'
+import ProfessionsPage from '../page-objects/professions.page.js'
+import { ASSESSMENT_PROFESSIONS } from '../data/service-standard-assessment.data.js'
+import {
+  standardByNumber,
+  standardLabel
+} from '../data/service-standards.data.js'
+import { diffTableRows } from './table.helper.js'
+
+/**
+ * Compare the professions the list shows with ASSESSMENT_PROFESSIONS.
+ * @param {Array<{ id: string, label: string }>} shown
+ * @returns {string[]} one line per problem; empty when they match
+ */
+export function diffProfessions(shown) {
+  const problems = []
+  for (const profession of ASSESSMENT_PROFESSIONS) {
+    const entry = shown.find(({ id }) => id === profession.id)
+    if (!entry) {
+      problems.push(`${profession.label} (${profession.id}) is missing.`)
+    } else if (entry.label !== profession.label) {
+      problems.push(
+        `${profession.id} is shown as "${entry.label}", expected "${profession.label}".`
+      )
+    }
+  }
+  for (const { id, label } of shown) {
+    if (!ASSESSMENT_PROFESSIONS.some((profession) => profession.id === id)) {
+      problems.push(`Unexpected profession "${label}" (${id}).`)
+    }
+  }
+  return problems
+}
+
+/**
+ * On /professions, check every profession is listed.
+ * @throws {Error} listing every difference
+ */
+export async function expectProfessionList() {
+  const problems = diffProfessions(await ProfessionsPage.getProfessions())
+  if (problems.length > 0) {
+    throw new Error(
+      `The Professions page does not list ASSESSMENT_PROFESSIONS:\n` +
+        `  ${problems.join('\n  ')}`
+    )
+  }
+}
+
+/**
+ * On a profession's page, check a delivery is listed with the standards
+ * the profession assessed and the status each was given.
+ * @param {string} deliveryName
+ * @param {Object<number, string>} assessed - standard number → status label
+ * @throws {Error} listing every mismatch
+ */
+export async function expectProfessionAssessments(deliveryName, assessed) {
+  const rows = (await ProfessionDetailPage.readAssessments()).filter(
+    ({ delivery }) => delivery?.text.includes(deliveryName)
+  )
+  if (rows.length === 0) {
+    throw new Error(
+      `"${deliveryName}" is not listed on the profession page ` +
+        `(${await browser.getUrl()})`
+    )
+  }
+
+  const expected = Object.entries(assessed).map(([number, status]) => ({
+    standard: standardLabel(standardByNumber(Number(number))),
+    status
+  }))
+  const mismatches = diffTableRows(rows, expected, {
+    key: 'standard',
+    containing: true
+  })
+  if (mismatches.length > 0) {
+    throw new Error(
+      `The profession page does not show what was assessed for "${deliveryName}":\n` +
+        `  ${mismatches.join('\n  ')}`
+    )
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Give each wdio worker its own copy of the seeded projects it changes, so
+ * specs can run in parallel without updating the same delivery at once.
+ *
+ * Specs that change a shared project (Auto_Test_Proj_1, Auto_Proj_* …) call
+ * useSharedProject() at the top of their describe and use the handle's name
+ * and id instead of the seeded name:
+ *
+ *   const project = useSharedProject(MANAGE_DELIVERY_TEST_PROJECT1)
+ *   …
+ *   await DeliveryPage.clickDeliveryByName(project.name)
+ *
+ * With more than one worker (MAX_INSTANCES > 1), a before hook copies the
+ * seeded project's details, status and commentary through the assurance-api
+ * into a new delivery named by the test data factory, e.g.
+ * AutoTest_<run id>_AutoTestProj1_w0_3_001. Copies are registered for
+ * deletion when the run completes. wdio starts a new worker for every spec
+ * file, so each spec file gets its own copies.
+ *
+ * With a single worker the seeded project itself is used, and
+ * preserveProjectState() puts it back afterwards.
+ *
+ * ISOLATE_SHARED_PROJECTS=true or false overrides the choice.
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import { isolateSharedProjects } from './parallel-run.helper.js'
+import { preserveProjectState } from './project-state.helper.js'
+import { createDelivery } from './test-data-factory.helper.js'
+
+/** Project fields copied from the seeded project */
+const COPIED_FIELDS = [
+  'phase',
+  'defCode',
+  'deliveryGroupId',
+  'status',
+  'commentary'
+]
+
+/**
+ * @typedef {Object} SharedProjectHandle
+ * @property {string} name - the delivery this describe block works on
+ * @property {string|null} id - null until the before hook has run
+ * @property {boolean} isolated - whether it is this worker's own copy
+ */
+
+/**
+ * Register hooks in the current describe block that give it a project to
+ * change: a copy of the seeded project when running in parallel, otherwise
+ * the seeded project itself, restored afterwards.
+ *
+ * In isolated mode the name is only known once the before hook has run, so
+ * read it inside hooks and tests, not in titles.
+ * @param {string} projectName - the seeded project's name
+ * @param {Object} [options] - passed to preserveProjectState()
+ * @returns {SharedProjectHandle}
+ */
+export function useSharedProject(projectName, options = {}) {
+  if (!isolateSharedProjects()) {
+    const preserved = preserveProjectState(projectName, options)
+    return {
+      name: projectName,
+      get id() {
+        return preserved.snapshot?.projectId ?? null
+      },
+      isolated: false
+    }
+  }
+
+  let copy = null
+  before(`copy "${projectName}" for this worker`, async () => {
+    copy = await copySharedProject(projectName)
+  })
+
+  return {
+    get name() {
+      if (!copy) {
+        throw new Error(
+          `The copy of "${projectName}" does not exist yet – read ` +
+            'project.name inside a hook or test, not while defining them.'
+        )
+      }
+      return copy.name
+    },
+    get id() {
+      return copy?.id ?? null
+    },
+    isolated: true
+  }
+}
+
+/**
+ * Create a copy of a seeded project through the assurance-api. It is
+ * registered for deletion at the end of the run.
+ * @param {string} projectName
+ * @returns {Promise<import('../api/assurance-api.client.js').Project>}
+ */
+export async function copySharedProject(projectName) {
+  const original = await assuranceApi.findProjectByName(projectName)
+  if (!original) {
+    throw new Error(
+      `Cannot copy "${projectName}": it was not found at ${assuranceApi.baseUrl}. ` +
+        'Reseed the database (docker compose down -v && docker compose up).'
+    )
+  }
+
+  const fields = Object.fromEntries(
+    COPIED_FIELDS.filter((field) => original[field] != null).map((field) => [
+      field,
+      original[field]
+    ])
+  )
+  return createDelivery({ ...fields, label: projectName })
+}
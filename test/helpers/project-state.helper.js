@@ -0,0 +1,228 @@
+/**
+ * Snapshot and restore the state of a shared test project, so a spec that
+ * mutates one leaves it as it found it even when a test fails midway.
+ *
+ * Specs call preserveProjectState() at the top of their describe block –
+ * usually through useSharedProject() in project-allocator.helper.js, which
+ * uses a per-worker copy instead when specs run in parallel. It
+ * registers a before hook that captures the project through the
+ * assurance-api, and an after hook that puts every captured field back and
+ * then checks – through the API and the project page sidebar – that the
+ * restore worked. Mocha runs after hooks whether or not the tests passed.
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import { waitForPageLoad } from './delivery.helper.js'
+import { verifyProjectSidebarDetails } from './manage-delivery.helper.js'
+
+/** Project fields shown in the sidebar and on the status page */
+const PROJECT_FIELDS = [
+  'name',
+  'phase',
+  'defCode',
+  'deliveryGroupId',
+  'status',
+  'commentary'
+]
+
+/**
+ * @typedef {Object} AssessmentKey
+ * @property {string} standardId - e.g. 'standard-11'
+ * @property {string} professionId - e.g. 'architecture'
+ */
+
+/**
+ * @typedef {Object} ProjectSnapshot
+ * @property {string} projectId
+ * @property {Object} project - the PROJECT_FIELDS values
+ * @property {Array<AssessmentKey & { assessment: Object|null }>} assessments
+ */
+
+/**
+ * Capture a project's details, status and commentary, and optionally the
+ * assessments recorded against it.
+ * @param {string} projectId
+ * @param {Object} [options]
+ * @param {AssessmentKey[]} [options.assessments] - assessments to capture;
+ *   ones that do not exist yet are recorded as null and deleted on restore
+ * @returns {Promise<ProjectSnapshot>}
+ */
+export async function captureProjectState(
+  projectId,
+  { assessments = [] } = {}
+) {
+  const project = await assuranceApi.getProject(projectId)
+
+  const capturedAssessments = []
+  for (const { standardId, professionId } of assessments) {
+    const assessment = await assuranceApi.getAssessment(
+      projectId,
+      standardId,
+      professionId
+    )
+    capturedAssessments.push({
+      standardId,
+      professionId,
+      assessment: assessment && {
+        status: assessment.status,
+        commentary: assessment.commentary
+      }
+    })
+  }
+
+  return {
+    projectId,
+    project: pick(project, PROJECT_FIELDS),
+    assessments: capturedAssessments
+  }
+}
+
+/**
+ * Put a project back to a captured snapshot. Only fields that have changed
+ * are written, so an untouched project gets no new history entries.
+ * @param {ProjectSnapshot} snapshot
+ */
+export async function restoreProjectState(snapshot) {
+  const current = await captureProjectState(snapshot.projectId, {
+    assessments: snapshot.assessments
+  })
+
+  const changes = changedFields(snapshot.project, current.project)
+  if (Object.keys(changes).length > 0) {
+    await assuranceApi.updateProject(snapshot.projectId, changes)
+  }
+
+  for (const [index, captured] of snapshot.assessments.entries()) {
+    const { standardId, professionId, assessment } = captured
+    if (sameAssessment(assessment, current.assessments[index].assessment)) {
+      continue
+    }
+
+    if (assessment) {
+      await assuranceApi.saveAssessment(
+        snapshot.projectId,
+        standardId,
+        professionId,
+        assessment
+      )
+    } else {
+      await assuranceApi.deleteAssessment(
+        snapshot.projectId,
+        standardId,
+        professionId
+      )
+    }
+  }
+}
+
+/**
+ * Check a project matches a captured snapshot, through the API and on the
+ * project page sidebar.
+ * @param {ProjectSnapshot} snapshot
+ * @throws {Error} listing every field that differs
+ */
+export async function verifyProjectState(snapshot) {
+  const current = await captureProjectState(snapshot.projectId, {
+    assessments: snapshot.assessments
+  })
+
+  const differences = Object.entries(
+    changedFields(snapshot.project, current.project)
+  ).map(
+    ([field, expected]) =>
+      `  ${field}: expected ${JSON.stringify(expected)}, ` +
+      `got ${JSON.stringify(current.project[field])}`
+  )
+
+  snapshot.assessments.forEach(
+    ({ standardId, professionId, assessment }, i) => {
+      const actual = current.assessments[i].assessment
+      if (!sameAssessment(assessment, actual)) {
+        differences.push(
+          `  ${standardId}/${professionId}: expected ${JSON.stringify(assessment)}, ` +
+            `got ${JSON.stringify(actual)}`
+        )
+      }
+    }
+  )
+
+  if (differences.length > 0) {
+    throw new Error(
+      `Project "${snapshot.project.name}" (${snapshot.projectId}) was not ` +
+        `restored:\n${differences.join('\n')}`
+    )
+  }
+
+  await browser.url(`/projects/${snapshot.projectId}`)
+  await waitForPageLoad()
+  await verifyProjectSidebarDetails({
+    deliveryId: snapshot.project.defCode,
+    phase: snapshot.project.phase
+  })
+}
+
+/**
+ * Register hooks in the current describe block that capture a project
+ * before its tests run and restore it afterwards, pass or fail.
+ *
+ * The project is looked up by name, so call this before anything renames it.
+ * @param {string} projectName - the project's name as seeded
+ * @param {Object} [options]
+ * @param {AssessmentKey[]} [options.assessments] - assessments the tests change
+ * @returns {{ readonly snapshot: ProjectSnapshot|null }} the captured state,
+ *   available once the before hook has run
+ */
+export function preserveProjectState(projectName, options = {}) {
+  let snapshot = null
+
+  before(`capture the state of "${projectName}"`, async () => {
+    const project = await assuranceApi.findProjectByName(projectName)
+    if (!project) {
+      throw new Error(
+        `Project "${projectName}" was not found at ${assuranceApi.baseUrl}. ` +
+          'If an earlier run renamed it, restore it by hand or reseed the ' +
+          'database (docker compose down -v && docker compose up).'
+      )
+    }
+    snapshot = await captureProjectState(project.id, options)
+  })
+
+  after(`restore the state of "${projectName}"`, async () => {
+    // Nothing to restore if the capture itself failed
+    if (!snapshot) {
+      return
+    }
+    await restoreProjectState(snapshot)
+    await verifyProjectState(snapshot)
+  })
+
+  return {
+    get snapshot() {
+      return snapshot
+    }
+  }
+}
+
+// ── Internals ─────────────────────────────────────────────────────────────
+
+function pick(source, fields) {
+  return Object.fromEntries(
+    fields.map((field) => [field, source[field] ?? null])
+  )
+}
+
+/**
+ * The fields of `expected` whose values differ in `actual`.
+ */
+function changedFields(expected, actual) {
+  return Object.fromEntries(
+    Object.entries(expected).filter(([field, value]) => actual[field] !== value)
+  )
+}
+
+function sameAssessment(a, b) {
+  if (!a || !b) {
+    return a === b
+  }
+  return a.status === b.status && a.commentary === b.commentary
+}
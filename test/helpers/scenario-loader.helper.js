@@ -0,0 +1,384 @@
+/**
+ * Load parameterised test scenarios from YAML files in test/data/scenarios,
+ * so cases can be added or changed without touching the specs.
+ *
+ * A scenario file looks like:
+ *
+ *   defaults:                 # optional, merged into every scenario
+ *     expectedNotification: Delivery status and commentary updated successfully
+ *   scenarios:
+ *     - scenarioName: Add New Delivery - Alpha phase with Green Amber status
+ *       tags: [smoke]         # optional, see SCENARIO_TAGS below
+ *       deliveryName: AutoTest_${runId}_Alpha
+ *       environments:         # optional, per-ENVIRONMENT overrides
+ *         perf-test:
+ *           skip: Alpha deliveries are not allowed in perf-test
+ *         test:
+ *           defraCode: ALPH-102
+ *
+ * Each data module passes a schema describing its fields. Files are checked
+ * when they are loaded, and every problem is reported at once with the file
+ * and scenario it was found in.
+ *
+ * String values can use ${name} placeholders, filled from the variables the
+ * data module passes (e.g. runId) or from the scenario's other fields.
+ *
+ * Set SCENARIO_TAGS to run a subset: `SCENARIO_TAGS=smoke` runs scenarios
+ * tagged smoke, `SCENARIO_TAGS=!slow` everything not tagged slow, and
+ * `SCENARIO_TAGS=smoke,!slow` both.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import yaml from 'js-yaml'
+
+export const SCENARIOS_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../data/scenarios'
+)
+
+/** Environment names accepted under `environments:` ('local' = no ENVIRONMENT) */
+export const SCENARIO_ENVIRONMENTS = [
+  'local',
+  'infra-dev',
+  'management',
+  'dev',
+  'test',
+  'perf-test',
+  'ext-test',
+  'prod'
+]
+
+/** Keys handled by the loader itself rather than the schema */
+const SCENARIO_KEYS = ['tags', 'environments']
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {'string'|'number'|'integer'|'boolean'|'string[]'|'integer[]'} type
+ * @property {boolean} [required=false]
+ * @property {Array<string|number>} [oneOf] - allowed values (of each item, for lists)
+ */
+
+/**
+ * Thrown when a scenario file cannot be read or does not match its schema.
+ */
+export class ScenarioFileError extends Error {
+  /**
+   * @param {string} file - path relative to the repository
+   * @param {string[]} problems
+   */
+  constructor(file, problems) {
+    super(
+      `${file} has ${problems.length} problem${problems.length === 1 ? '' : 's'}:\n` +
+        `  ${problems.join('\n  ')}`
+    )
+    this.name = 'ScenarioFileError'
+    this.file = file
+    this.problems = problems
+  }
+}
+
+/**
+ * Read, check and expand a scenario file.
+ *
+ * Overrides for the current ENVIRONMENT are applied; scenarios the
+ * environment skips are kept, with `skip` set to the reason, so the
+ * describe/it generators can report them as pending. Tags are not applied
+ * here – see selectScenarios().
+ *
+ * @param {string} fileName - e.g. 'add-delivery.yaml', in test/data/scenarios
+ * @param {Object<string, FieldSchema>} schema - the fields a scenario may have
+ * @param {Object} [options]
+ * @param {Object<string, string|number>} [options.vars] - placeholder values
+ * @param {string} [options.environment] - defaults to ENVIRONMENT, or 'local'
+ * @returns {Array<Object>} the scenarios, each with its fields plus
+ *   `tags` (string[]) and `skip` (false, or the reason)
+ * @throws {ScenarioFileError}
+ */
+export function loadScenarios(fileName, schema, options = {}) {
+  const { vars = {}, environment = process.env.ENVIRONMENT || 'local' } =
+    options
+  const filePath = path.join(SCENARIOS_DIR, fileName)
+  const file = path.relative(process.cwd(), filePath)
+
+  let document
+  try {
+    document = yaml.load(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    throw new ScenarioFileError(file, [error.message])
+  }
+
+  const problems = checkDocument(document, schema)
+  if (problems.length > 0) {
+    throw new ScenarioFileError(file, problems)
+  }
+
+  const { defaults = {}, scenarios } = document
+  const loaded = scenarios.map((entry, index) => {
+    const { tags = [], environments = {}, ...fields } = entry
+    const { skip = false, ...overrides } = environments[environment] ?? {}
+    const scenario = { ...defaults, ...fields, ...overrides }
+    const where = scenarioLabel(entry, index)
+
+    for (const [field, fieldSchema] of Object.entries(schema)) {
+      if (fieldSchema.required && scenario[field] === undefined) {
+        problems.push(`${where}: ${field} is required`)
+      }
+    }
+
+    const expanded = expandPlaceholders(scenario, vars, (name) =>
+      problems.push(`${where}: unknown placeholder \${${name}}`)
+    )
+    return {
+      ...expanded,
+      tags,
+      skip: skip === true ? `skipped in ${environment}` : skip
+    }
+  })
+
+  if (problems.length > 0) {
+    throw new ScenarioFileError(file, problems)
+  }
+  return loaded
+}
+
+/**
+ * Keep the scenarios matching a tag expression: comma-separated tags, any of
+ * which a scenario must have, and `!tag`s it must not have.
+ * @param {Array<{ tags: string[] }>} scenarios
+ * @param {string} [expression] - defaults to SCENARIO_TAGS; empty keeps all
+ * @returns {Array<Object>}
+ */
+export function selectScenarios(
+  scenarios,
+  expression = process.env.SCENARIO_TAGS ?? ''
+) {
+  const terms = expression
+    .split(',')
+    .map((term) => term.trim())
+    .filter(Boolean)
+  const excluded = terms
+    .filter((term) => term.startsWith('!'))
+    .map((term) => term.slice(1))
+  const included = terms.filter((term) => !term.startsWith('!'))
+
+  return scenarios.filter(
+    ({ tags }) =>
+      (included.length === 0 || included.some((tag) => tags.includes(tag))) &&
+      !excluded.some((tag) => tags.includes(tag))
+  )
+}
+
+/**
+ * Register one describe block per selected scenario. Scenarios skipped in
+ * this environment are registered with describe.skip.
+ * @param {Array<Object>} scenarios - from loadScenarios()
+ * @param {function(Object): string} title
+ * @param {function(Object): void} body - called with the scenario
+ */
+export function describeScenarios(scenarios, title, body) {
+  for (const scenario of selectScenarios(scenarios)) {
+    const register = scenario.skip ? describe.skip : describe
+    register(titleWithSkip(title(scenario), scenario), () => body(scenario))
+  }
+}
+
+/**
+ * Register one test per selected scenario. Scenarios skipped in this
+ * environment are registered with it.skip.
+ * @param {Array<Object>} scenarios - from loadScenarios()
+ * @param {function(Object): string} title
+ * @param {function(Object): Promise<void>} test - called with the scenario,
+ *   with mocha's `this`
+ */
+export function itScenarios(scenarios, title, test) {
+  for (const scenario of selectScenarios(scenarios)) {
+    const register = scenario.skip ? it.skip : it
+    register(titleWithSkip(title(scenario), scenario), function () {
+      return test.call(this, scenario)
+    })
+  }
+}
+
+// ── Internals ─────────────────────────────────────────────────────────────
+
+function titleWithSkip(title, { skip }) {
+  return skip ? `${title} (${skip})` : title
+}
+
+function scenarioLabel(entry, index) {
+  const name = entry?.scenarioName ?? entry?.projectName
+  return name ? `scenarios[${index}] ("${name}")` : `scenarios[${index}]`
+}
+
+/**
+ * Check the shape of a parsed file: top-level keys, and every field of the
+ * defaults, scenarios and environment overrides. Required fields are checked
+ * once defaults and overrides have been merged.
+ */
+function checkDocument(document, schema) {
+  if (!isPlainObject(document)) {
+    return ['expected a mapping with a `scenarios:` list']
+  }
+
+  const problems = []
+  for (const key of Object.keys(document)) {
+    if (!['defaults', 'scenarios'].includes(key)) {
+      problems.push(
+        `unknown top-level key "${key}" (expected defaults, scenarios)`
+      )
+    }
+  }
+
+  if (document.defaults !== undefined) {
+    if (isPlainObject(document.defaults)) {
+      problems.push(...checkFields(document.defaults, schema, 'defaults'))
+    } else {
+      problems.push('defaults: expected a mapping of field: value')
+    }
+  }
+
+  if (!Array.isArray(document.scenarios) || document.scenarios.length === 0) {
+    problems.push('scenarios: expected a list with at least one scenario')
+    return problems
+  }
+
+  document.scenarios.forEach((entry, index) => {
+    const where = scenarioLabel(entry, index)
+    if (!isPlainObject(entry)) {
+      problems.push(`${where}: expected a mapping of field: value`)
+      return
+    }
+
+    const { tags, environments, ...fields } = entry
+    problems.push(...checkFields(fields, schema, where))
+
+    if (tags !== undefined && !isListOf(tags, 'string')) {
+      problems.push(
+        `${where} › tags: expected a list of tags, got ${show(tags)}`
+      )
+    }
+
+    if (environments === undefined) {
+      return
+    }
+    if (!isPlainObject(environments)) {
+      problems.push(
+        `${where} › environments: expected a mapping of environment: overrides`
+      )
+      return
+    }
+    for (const [environment, overrides] of Object.entries(environments)) {
+      const at = `${where} › environments › ${environment}`
+      if (!SCENARIO_ENVIRONMENTS.includes(environment)) {
+        problems.push(
+          `${at}: unknown environment (expected one of ${SCENARIO_ENVIRONMENTS.join(', ')})`
+        )
+      }
+      if (!isPlainObject(overrides)) {
+        problems.push(`${at}: expected a mapping of field: value`)
+        continue
+      }
+      const { skip, ...fieldOverrides } = overrides
+      if (skip !== undefined && skip !== true && typeof skip !== 'string') {
+        problems.push(
+          `${at} › skip: expected true or a reason, got ${show(skip)}`
+        )
+      }
+      problems.push(...checkFields(fieldOverrides, schema, at))
+    }
+  })
+
+  return problems
+}
+
+function checkFields(fields, schema, where) {
+  const problems = []
+  for (const [field, value] of Object.entries(fields)) {
+    const fieldSchema = schema[field]
+    if (!fieldSchema) {
+      const allowed = [...Object.keys(schema), ...SCENARIO_KEYS]
+      problems.push(
+        `${where}: unknown field "${field}" (expected one of ${allowed.join(', ')})`
+      )
+      continue
+    }
+
+    const { type, oneOf } = fieldSchema
+    const list = type.endsWith('[]')
+    const itemType = list ? type.slice(0, -2) : type
+    if (list ? !isListOf(value, itemType) : !isOfType(value, itemType)) {
+      problems.push(
+        `${where} › ${field}: expected ${describeType(type)}, got ${show(value)}`
+      )
+      continue
+    }
+
+    const invalid = (list ? value : [value]).filter(
+      (item) => oneOf && !oneOf.includes(item)
+    )
+    if (invalid.length > 0) {
+      problems.push(
+        `${where} › ${field}: ${invalid.map(show).join(', ')} is not one of ` +
+          oneOf.map(show).join(', ')
+      )
+    }
+  }
+  return problems
+}
+
+/**
+ * Replace ${name} in string fields with vars[name], or the scenario's own
+ * (unexpanded) field of that name.
+ */
+function expandPlaceholders(scenario, vars, onUnknown) {
+  const values = { ...scenario, ...vars }
+  const expand = (text) =>
+    text.replace(/\$\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name]
+      if (value === undefined || typeof value === 'object') {
+        onUnknown(name)
+        return placeholder
+      }
+      return String(value)
+    })
+
+  return Object.fromEntries(
+    Object.entries(scenario).map(([field, value]) => [
+      field,
+      typeof value === 'string' ? expand(value) : value
+    ])
+  )
+}
+
+/** How to check each field type, e.g. 'integer' */
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number',
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean'
+}
+
+function isOfType(value, type) {
+  return TYPE_CHECKS[type](value)
+}
+
+function isListOf(value, type) {
+  return Array.isArray(value) && value.every((item) => isOfType(item, type))
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function describeType(type) {
+  if (type.endsWith('[]')) {
+    return `a list of ${type.slice(0, -2)}s`
+  }
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`
+}
+
+function show(value) {
+  return JSON.stringify(value)
+}
@@ -0,0 +1,104 @@
+/**
+ * Checks that the app shows the Service Standard catalogue the suite expects
+ * (test/data/service-standards.data.js). A missing or stale serviceStandards
+ * collection otherwise surfaces as confusing failures deep inside unrelated
+ * specs, so these fail early with a hint on how to seed the database.
+ */
+
+import DeliveryPage from '../page-objects/delivery.page.js'
+import {
+  SERVICE_STANDARDS,
+  standardLabel
+} from '../data/service-standards.data.js'
+
+export const SEEDING_HINT =
+  'Please check that all Service Standards have been seeded in the database: ' +
+  'locally, run `npm run fixtures:build` and recreate the mongodb container ' +
+  '(docker compose down -v && docker compose up); in a CDP environment, ' +
+  'check the serviceStandards collection of the assurance-api database.'
+
+/**
+ * Compare the standards the app lists with the catalogue.
+ * @param {Array<{ label: string, href?: string|null }>} shown - in page order
+ * @returns {string[]} one line per problem; empty when they match
+ */
+export function diffServiceStandards(shown) {
+  const problems = []
+
+  if (shown.length !== SERVICE_STANDARDS.length) {
+    const direction =
+      shown.length < SERVICE_STANDARDS.length ? 'Only' : 'Too many:'
+    problems.push(
+      `${direction} ${shown.length} Service Standard${shown.length === 1 ? '' : 's'} ` +
+        `shown, expected ${SERVICE_STANDARDS.length}.`
+    )
+  }
+
+  for (const standard of SERVICE_STANDARDS) {
+    const expected = standardLabel(standard)
+    const entry = shown.find(({ label }) =>
+      label.startsWith(`${standard.number}.`)
+    )
+    if (!entry) {
+      problems.push(`Standard ${standard.number} is missing ("${expected}").`)
+      continue
+    }
+    if (!entry.label.includes(expected)) {
+      problems.push(
+        `Standard ${standard.number} is shown as "${entry.label}", expected "${expected}".`
+      )
+    }
+    if (entry.href && !entry.href.endsWith(`/standards/${standard.slug}`)) {
+      problems.push(
+        `Standard ${standard.number} links to "${entry.href}", expected …/standards/${standard.slug}.`
+      )
+    }
+  }
+
+  const known = SERVICE_STANDARDS.map(({ number }) => `${number}.`)
+  for (const { label } of shown) {
+    if (!known.some((prefix) => label.startsWith(prefix))) {
+      problems.push(`Unexpected standard "${label}".`)
+    }
+  }
+
+  return problems
+}
+
+/**
+ * On a project page (/projects/:id), check the compliance table lists exactly
+ * the catalogue.
+ * @throws {Error} with a seeding hint
+ */
+export async function expectServiceStandardCatalogue() {
+  const rows = await DeliveryPage.complianceTable.read()
+  const shown = rows.map(({ point }) => ({
+    label: point?.text ?? '',
+    href: point?.href ?? null
+  }))
+
+  const problems = diffServiceStandards(shown)
+  if (problems.length > 0) {
+    throw new Error(
+      `The Service Standard compliance table does not match the catalogue:\n` +
+        `  ${problems.join('\n  ')}\n${SEEDING_HINT}`
+    )
+  }
+}
+
+/**
+ * On a standard page (/projects/:id/standards/:slug), check it is the
+ * expected standard.
+ * @param {import('../data/service-standards.data.js').ServiceStandard} standard
+ * @throws {Error} with a seeding hint
+ */
+export async function expectServiceStandardPage(standard) {
+  const heading = (await DeliveryPage.pageHeading.getText()).trim()
+  if (!heading.includes(standard.title)) {
+    throw new Error(
+      `Expected the page for standard ${standard.number} ` +
+        `("${standard.title}") at …/standards/${standard.slug}, ` +
+        `but the heading is "${heading}".\n${SEEDING_HINT}`
+    )
+  }
+}
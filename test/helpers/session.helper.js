@@ -0,0 +1,246 @@
+/**
+ * Session reuse across specs and workers.
+ *
+ * The first spec in a run that needs to be signed in as a persona goes
+ * through the full login and writes the assurance-frontend cookies to
+ * .sessions/<host>.<persona>.json. Every later browser session (in this
+ * worker or any other) injects those cookies instead of logging in again, and
+ * only falls back to a real login when the "Sign out" link does not appear,
+ * i.e. the cached session has expired.
+ *
+ * The cache is cleared in each config's onPrepare hook so a run never starts
+ * from cookies left behind by a previous run.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { performLogin, isSignedIn, getCredentials } from './auth.helper.js'
+import { DEFAULT_PERSONA } from '../data/personas.data.js'
+
+const sessionDirectory = path.join('.sessions')
+
+/** A login lock older than this is assumed to belong to a crashed worker */
+const staleLockAge = 3 * 60 * 1000
+
+/** How long a worker waits for another worker's login to finish */
+const lockWaitTimeout = 2 * 60 * 1000
+
+/**
+ * Persona this worker's browser is signed in as, so switching persona clears
+ * the previous one. null until this module has signed in or out.
+ */
+let activePersona = null
+
+/**
+ * Remove every cached session. Called from onPrepare in the wdio configs.
+ */
+export function clearSessionCache() {
+  fs.rmSync(sessionDirectory, { recursive: true, force: true })
+}
+
+/**
+ * Make sure the browser is signed in to the assurance frontend as a persona,
+ * reusing the cached session when it is still valid. Leaves the browser on
+ * the home page.
+ * @param {string} [personaKey=DEFAULT_PERSONA] - key in PERSONAS
+ */
+export async function ensureSignedIn(personaKey = DEFAULT_PERSONA) {
+  await openHomePage()
+  if (await isSignedIn()) {
+    // A login made outside this module (e.g. auth.e2e.js) used the default persona
+    if ((activePersona ?? DEFAULT_PERSONA) === personaKey) {
+      return
+    }
+    await clearApplicationCookies()
+  }
+
+  if (await restoreCachedSession(personaKey)) {
+    return
+  }
+
+  if (acquireLoginLock(personaKey)) {
+    try {
+      await loginAndCacheSession(personaKey)
+    } finally {
+      releaseLoginLock(personaKey)
+    }
+    return
+  }
+
+  // Another worker is logging in right now – wait for its cookies
+  await waitForLoginLock(personaKey)
+  if (!(await restoreCachedSession(personaKey))) {
+    await loginAndCacheSession(personaKey)
+  }
+}
+
+/**
+ * Make sure the browser is not signed in. The cached sessions are kept for
+ * the next ensureSignedIn(). Leaves the browser on the home page.
+ */
+export async function ensureSignedOut() {
+  await openHomePage()
+  if (await isSignedIn()) {
+    await clearApplicationCookies()
+  }
+  activePersona = null
+}
+
+/**
+ * Store the current browser cookies as the cached session for a persona.
+ * Call after any explicit login so later specs can reuse it.
+ * @param {string} [personaKey=DEFAULT_PERSONA] - persona that just signed in
+ */
+export async function saveSession(personaKey = DEFAULT_PERSONA) {
+  const cookies = await browser.getCookies()
+  const session = {
+    baseUrl: browser.options.baseUrl,
+    capturedAt: new Date().toISOString(),
+    cookies
+  }
+
+  fs.mkdirSync(sessionDirectory, { recursive: true })
+
+  // Write then rename so a reader in another worker never sees half a file
+  const file = sessionFile(personaKey)
+  const tempFile = `${file}.${process.pid}.tmp`
+  fs.writeFileSync(tempFile, JSON.stringify(session, null, 2))
+  fs.renameSync(tempFile, file)
+  activePersona = personaKey
+}
+
+/**
+ * Inject a persona's cached cookies into the current browser session.
+ * @param {string} [personaKey=DEFAULT_PERSONA] - key in PERSONAS
+ * @returns {Promise<boolean>} true if the browser is now signed in
+ */
+export async function restoreCachedSession(personaKey = DEFAULT_PERSONA) {
+  const session = readCachedSession(personaKey)
+  if (!session) {
+    return false
+  }
+
+  const now = Date.now() / 1000
+  const cookies = session.cookies
+    .filter((cookie) => !cookie.expiry || cookie.expiry > now)
+    .map(({ name, value, path, secure, httpOnly, sameSite, expiry }) => ({
+      // The domain is left off so the cookie is set for the current host,
+      // which BrowserStack requires when tunnelling to a local frontend
+      name,
+      value,
+      path,
+      secure,
+      httpOnly,
+      sameSite,
+      expiry
+    }))
+
+  if (cookies.length === 0) {
+    removeCachedSession(personaKey)
+    return false
+  }
+
+  await browser.setCookies(cookies)
+  await openHomePage()
+
+  if (await isSignedIn()) {
+    activePersona = personaKey
+    return true
+  }
+
+  // The frontend no longer recognises the session – it has expired
+  removeCachedSession(personaKey)
+  return false
+}
+
+// ── Internals ─────────────────────────────────────────────────────────────
+
+async function loginAndCacheSession(personaKey) {
+  await performLogin(getCredentials(personaKey))
+  await saveSession(personaKey)
+  await openHomePage()
+}
+
+/**
+ * Sign the frontend out without visiting /auth/logout, which would also end
+ * the identity provider session and slow down the next login.
+ */
+async function clearApplicationCookies() {
+  await browser.deleteAllCookies()
+  await openHomePage()
+  activePersona = null
+}
+
+/**
+ * Cookies can only be set for the page currently loaded, so every check
+ * starts from the frontend home page.
+ */
+async function openHomePage() {
+  await browser.url('/')
+  await browser.waitUntil(
+    async () =>
+      (await browser.execute(() => document.readyState)) === 'complete',
+    { timeout: 15000, timeoutMsg: 'Home page did not load completely' }
+  )
+}
+
+/**
+ * One cache file per frontend host and persona, so local and CDP runs never
+ * mix and each persona keeps its own cookies.
+ */
+function sessionFile(personaKey) {
+  const host = new URL(browser.options.baseUrl).host.replace(/[^\w.-]/g, '_')
+  return path.join(sessionDirectory, `${host}.${personaKey}.json`)
+}
+
+function lockFile(personaKey) {
+  return `${sessionFile(personaKey)}.lock`
+}
+
+function readCachedSession(personaKey) {
+  try {
+    return JSON.parse(fs.readFileSync(sessionFile(personaKey), 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+function removeCachedSession(personaKey) {
+  fs.rmSync(sessionFile(personaKey), { force: true })
+}
+
+/**
+ * Take the cross-worker login lock. Only the worker holding it logs in.
+ * @returns {boolean} true if this worker now holds the lock
+ */
+function acquireLoginLock(personaKey) {
+  fs.mkdirSync(sessionDirectory, { recursive: true })
+
+  try {
+    const { mtimeMs } = fs.statSync(lockFile(personaKey))
+    if (Date.now() - mtimeMs > staleLockAge) {
+      releaseLoginLock(personaKey)
+    }
+  } catch {
+    // No lock file yet
+  }
+
+  try {
+    fs.writeFileSync(lockFile(personaKey), String(process.pid), { flag: 'wx' })
+    return true
+  } catch {
+    return false
+  }
+}
+
+function releaseLoginLock(personaKey) {
+  fs.rmSync(lockFile(personaKey), { force: true })
+}
+
+async function waitForLoginLock(personaKey) {
+  await browser.waitUntil(async () => !fs.existsSync(lockFile(personaKey)), {
+    timeout: lockWaitTimeout,
+    interval: 1000,
+    timeoutMsg: 'Timed out waiting for another worker to finish logging in'
+  })
+}
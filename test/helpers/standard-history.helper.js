@@ -0,0 +1,105 @@
+/**
+ * Checks for a profession's assessment history of a Service Standard
+ * (page-objects/standard-history.page.js), compared with the history the
+ * assurance-api holds for it.
+ */
+
+import StandardHistoryPage from '../page-objects/standard-history.page.js'
+
+/**
+ * How the history page dates an entry, e.g. "19 October 2026".
+ * @param {string|Date} timestamp
+ * @returns {string}
+ */
+export function formatHistoryDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'Europe/London'
+  })
+}
+
+/**
+ * Put API history entries in the order the page shows them: newest first.
+ * @param {import('../api/assurance-api.client.js').HistoryEntry[]} entries
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=true] - admins see archived
+ *   entries; other personas do not
+ * @returns {import('../api/assurance-api.client.js').HistoryEntry[]}
+ */
+export function expectedHistory(entries, { includeArchived = true } = {}) {
+  return entries
+    .filter((entry) => includeArchived || !entry.archived)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+}
+
+/**
+ * Compare the entries a history page shows with the entries expected, in
+ * order: each must show its author and date, and be archived or not.
+ * @param {Array<{ historyId: string|null, title: string, text: string, archived: boolean }>} shown
+ *   - from StandardHistoryPage.getEntries()
+ * @param {import('../api/assurance-api.client.js').HistoryEntry[]} expected
+ *   - from expectedHistory()
+ * @returns {string[]} one line per problem; empty when they match
+ */
+export function diffHistoryEntries(shown, expected) {
+  const problems = []
+
+  if (shown.length !== expected.length) {
+    problems.push(
+      `${shown.length} entr${shown.length === 1 ? 'y' : 'ies'} shown, ` +
+        `expected ${expected.length}.`
+    )
+  }
+
+  expected.forEach((entry, index) => {
+    const label = `Entry ${index + 1} (${entry.id})`
+    const actual = shown[index]
+    if (!actual) {
+      problems.push(`${label}: missing`)
+      return
+    }
+
+    if (actual.historyId && actual.historyId !== entry.id) {
+      problems.push(
+        `${label}: is entry ${actual.historyId} – entries are out of order`
+      )
+    }
+    const date = formatHistoryDate(entry.timestamp)
+    if (!actual.title.includes(date) && !actual.text.includes(date)) {
+      problems.push(
+        `${label}: expected the date "${date}", got "${actual.title}"`
+      )
+    }
+    if (entry.changedBy && !actual.text.includes(entry.changedBy)) {
+      problems.push(`${label}: expected the author "${entry.changedBy}"`)
+    }
+    if (actual.archived !== Boolean(entry.archived)) {
+      problems.push(
+        `${label}: expected ${entry.archived ? 'archived' : 'not archived'}`
+      )
+    }
+  })
+
+  return problems
+}
+
+/**
+ * On a history page, check it shows the expected entries.
+ * @param {import('../api/assurance-api.client.js').HistoryEntry[]} expected
+ *   - from expectedHistory()
+ * @throws {Error} listing every difference
+ */
+export async function expectHistoryToMatch(expected) {
+  const problems = diffHistoryEntries(
+    await StandardHistoryPage.getEntries(),
+    expected
+  )
+  if (problems.length > 0) {
+    throw new Error(
+      `The assessment history does not match the assurance-api:\n` +
+        `  ${problems.join('\n  ')}`
+    )
+  }
+}
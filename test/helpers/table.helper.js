@@ -0,0 +1,136 @@
+/**
+ * Compare tables read with Table.read() (components/table.component.js)
+ * against expected data, reporting every mismatching cell at once.
+ */
+
+/**
+ * What a cell is expected to hold. A string is compared with the cell text;
+ * an object can also check the link and the tag colours.
+ * @typedef {string|{ text?: string, href?: string, colours?: string[] }} ExpectedCell
+ */
+
+/**
+ * Compare table rows with expected rows. Only the columns named in each
+ * expected row are checked.
+ *
+ * @param {Array<Object<string, import('../components/table.component.js').TableCell>>} actualRows
+ * @param {Array<Object<string, ExpectedCell>>} expectedRows
+ * @param {Object} [options]
+ * @param {string} [options.key] - column that identifies a row. Rows are
+ *   matched by this column's text (using the same text matching) instead of
+ *   by position, and unexpected extra rows are not reported.
+ * @param {boolean} [options.containing=false] - match text by substring, as
+ *   toHaveText(…, { containing: true }) does
+ * @returns {string[]} one line per mismatch; empty when the table matches
+ */
+export function diffTableRows(actualRows, expectedRows, options = {}) {
+  const { key, containing = false } = options
+  const mismatches = []
+
+  expectedRows.forEach((expected, index) => {
+    const actual = key
+      ? actualRows.find((row) =>
+          textMatches(row[key]?.text, expected[key], containing)
+        )
+      : actualRows[index]
+    const label = rowLabel(index, expected, key)
+
+    if (!actual) {
+      mismatches.push(`${label}: missing`)
+      return
+    }
+
+    for (const [column, expectedCell] of Object.entries(expected)) {
+      const cell = actual[column]
+      if (!cell) {
+        mismatches.push(`${label} › ${column}: no such column`)
+        continue
+      }
+      mismatches.push(
+        ...diffCell(cell, expectedCell, containing).map(
+          (problem) => `${label} › ${column}: ${problem}`
+        )
+      )
+    }
+  })
+
+  if (!key) {
+    for (let i = expectedRows.length; i < actualRows.length; i++) {
+      const first = Object.values(actualRows[i])[0]?.text ?? ''
+      mismatches.push(`row ${i + 1} (${first}): unexpected`)
+    }
+  }
+
+  return mismatches
+}
+
+/**
+ * Assert a table matches expected rows.
+ * @param {import('../components/table.component.js').Table} table
+ * @param {Array<Object<string, ExpectedCell>>} expectedRows
+ * @param {Object} [options] - as for diffTableRows, plus:
+ * @param {Object<string, string>} [options.columns] - passed to Table.read()
+ * @param {string} [options.description='Table'] - names the table in the report
+ * @throws {Error} listing every mismatching cell
+ */
+export async function expectTableToMatch(table, expectedRows, options = {}) {
+  const { columns, description = 'Table' } = options
+  const actualRows = await table.read({ columns })
+  const mismatches = diffTableRows(actualRows, expectedRows, options)
+
+  if (mismatches.length > 0) {
+    const divider = '─'.repeat(60)
+    throw new Error(
+      `${description} does not match the expected data ` +
+        `(${mismatches.length} mismatch${mismatches.length === 1 ? '' : 'es'}):\n` +
+        `${divider}\n  ${mismatches.join('\n  ')}\n${divider}`
+    )
+  }
+}
+
+// ── Internals ─────────────────────────────────────────────────────────────
+
+function diffCell(cell, expected, containing) {
+  const { text, href, colours } =
+    typeof expected === 'string' ? { text: expected } : expected
+  const problems = []
+
+  if (text !== undefined && !textMatches(cell.text, text, containing)) {
+    problems.push(
+      `expected ${containing ? 'text containing ' : ''}"${text}", got "${cell.text}"`
+    )
+  }
+  if (href !== undefined && cell.href !== href) {
+    problems.push(`expected link "${href}", got "${cell.href ?? 'no link'}"`)
+  }
+  if (colours !== undefined) {
+    const actualColours = cell.tags.map(({ colour }) => colour)
+    if (actualColours.join('/') !== colours.join('/')) {
+      problems.push(
+        `expected tag colours [${colours.join(', ')}], ` +
+          `got [${actualColours.join(', ')}]`
+      )
+    }
+  }
+  return problems
+}
+
+function textMatches(actual, expected, containing) {
+  if (actual === undefined) {
+    return false
+  }
+  const expectedText = typeof expected === 'string' ? expected : expected?.text
+  return containing ? actual.includes(expectedText) : actual === expectedText
+}
+
+/**
+ * Rows matched by key are named by their key text; others by position.
+ */
+function rowLabel(index, expected, key) {
+  const keyCell = key ? expected[key] : Object.values(expected)[0]
+  const text = typeof keyCell === 'string' ? keyCell : keyCell?.text
+  if (key) {
+    return `row "${text}"`
+  }
+  return text ? `row ${index + 1} (${text})` : `row ${index + 1}`
+}
@@ -0,0 +1,180 @@
+/**
+ * Factory for the deliveries the suite creates, so every name, DEFRA code
+ * and commentary is unique across runs and parallel workers, and can be
+ * traced back to the run that made it:
+ *
+ *   const delivery = buildDelivery({ phase: 'Alpha', status: 'AMBER' })
+ *   // {
+ *   //   name: 'AutoTest_1792435621455_Alpha_w0_0_001',
+ *   //   defCode: 'ALPH-MGXTR1B3-W0-0-001',
+ *   //   phase: 'Alpha',
+ *   //   status: 'AMBER',
+ *   //   commentary: 'AutoTest run 1792435621455: Alpha delivery at Amber …'
+ *   // }
+ *
+ *   const project = await createDelivery({ phase: 'Live' })
+ *   const partner = await createDeliveryPartner()
+ *
+ * Names carry the run id (TEST_RUN_ID) and match TEST_DATA_NAME_PATTERNS, so
+ * bin/sweep-test-data.js can remove them if a run crashes. Fields not given
+ * are chosen with a pseudo-random generator seeded from TEST_DATA_SEED
+ * (default: the run id), so running again with the same TEST_RUN_ID and
+ * TEST_DATA_SEED builds the same data.
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import { PHASES } from '../data/profession-standard-matrix.data.js'
+import {
+  TEST_RUN_ID,
+  registerDeliveryPartner,
+  registerProject
+} from './test-data-registry.helper.js'
+
+/** Seeds the choices the factory makes; shared by every worker in a run */
+export const TEST_DATA_SEED = process.env.TEST_DATA_SEED ?? TEST_RUN_ID
+
+/** Statuses a new delivery can be given (TBC is legacy data only) */
+const STATUS_LABELS = {
+  GREEN: 'Green',
+  GREEN_AMBER: 'Green/Amber',
+  AMBER: 'Amber',
+  AMBER_RED: 'Amber/Red',
+  RED: 'Red',
+  PENDING: 'Pending',
+  EXCLUDED: 'Excluded'
+}
+
+/**
+ * wdio runs each spec file in its own worker (WDIO_WORKER_ID, e.g. '0-3'),
+ * which starts counting from 1 again – the worker id keeps them apart.
+ */
+const workerId = (process.env.WDIO_WORKER_ID ?? '0').replace(/\D+/g, '_')
+
+const random = seededRandom(`${TEST_DATA_SEED}:${workerId}`)
+let sequence = 0
+
+/**
+ * Build the fields for a new delivery, without creating it.
+ * @param {Partial<import('../api/assurance-api.client.js').ProjectInput> & { label?: string }} [fields]
+ *   - any field given is used as is; phase and status are picked at random
+ *   when not given. `label` goes into the generated name and DEFRA code in
+ *   place of the phase.
+ * @returns {import('../api/assurance-api.client.js').ProjectInput}
+ * @throws {RangeError} for an unknown status
+ */
+export function buildDelivery(fields = {}) {
+  const {
+    phase = pick(PHASES),
+    status = pick(Object.keys(STATUS_LABELS)),
+    label = phase,
+    ...rest
+  } = fields
+  if (!STATUS_LABELS[status]) {
+    throw new RangeError(
+      `Unknown delivery status "${status}" ` +
+        `(expected one of ${Object.keys(STATUS_LABELS).join(', ')})`
+    )
+  }
+
+  const n = nextSequence()
+  const name = `AutoTest_${TEST_RUN_ID}_${label.replace(/[\W_]+/g, '')}_w${workerId}_${pad(n)}`
+  return {
+    name,
+    phase,
+    defCode: defCode(label, n),
+    status,
+    commentary:
+      `AutoTest run ${TEST_RUN_ID}: ${phase} delivery at ` +
+      `${STATUS_LABELS[status]} status (${name})`,
+    ...rest
+  }
+}
+
+/**
+ * Build a delivery and create it through the assurance-api. It is registered
+ * for deletion at the end of the run.
+ * @param {Partial<import('../api/assurance-api.client.js').ProjectInput>} [fields]
+ *   - as for buildDelivery()
+ * @returns {Promise<import('../api/assurance-api.client.js').Project>}
+ */
+export async function createDelivery(fields = {}) {
+  const delivery = buildDelivery(fields)
+  const project = await assuranceApi.createProject(delivery)
+  registerProject({
+    id: project.id,
+    name: delivery.name,
+    defCode: delivery.defCode
+  })
+  return project
+}
+
+/**
+ * Create an active delivery partner through the assurance-api, named like
+ * the factory's deliveries. It is registered for deletion at the end of the
+ * run.
+ * @param {{ label?: string, isActive?: boolean }} [fields] - `label` goes
+ *   into the generated name
+ * @returns {Promise<import('../api/assurance-api.client.js').DeliveryPartner>}
+ */
+export async function createDeliveryPartner({
+  label = 'DeliveryPartner',
+  isActive = true
+} = {}) {
+  const name = `AutoTest_${TEST_RUN_ID}_${label.replace(/[\W_]+/g, '')}_w${workerId}_${pad(nextSequence())}`
+  const partner = await assuranceApi.createDeliveryPartner({ name, isActive })
+  registerDeliveryPartner({ id: partner.id, name })
+  return partner
+}
+
+/**
+ * A DEFRA code no other run or worker will use, e.g. 'ALPH-MGXTR1B3-W0-0-001'.
+ * @param {string} label - phase or other label; its first four letters
+ *   start the code
+ * @returns {string}
+ */
+export function uniqueDefCode(label) {
+  return defCode(label, nextSequence())
+}
+
+// ── Internals ─────────────────────────────────────────────────────────────
+
+function nextSequence() {
+  sequence += 1
+  return sequence
+}
+
+function defCode(label, n) {
+  const prefix = label
+    .replace(/[^a-z]/gi, '')
+    .slice(0, 4)
+    .toUpperCase()
+  const runTag = Number(TEST_RUN_ID).toString(36).toUpperCase()
+  const workerTag = workerId.replace(/_/g, '-')
+  return `${prefix}-${runTag}-W${workerTag}-${pad(n)}`
+}
+
+function pad(n) {
+  return String(n).padStart(3, '0')
+}
+
+function pick(values) {
+  return values[Math.floor(random() * values.length)]
+}
+
+/**
+ * mulberry32, seeded with an FNV-1a hash of the seed string.
+ * @param {string} seed
+ * @returns {function(): number} values in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = 2166136261
+  for (const char of seed) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619)
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
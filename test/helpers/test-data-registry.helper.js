@@ -0,0 +1,266 @@
+/**
+ * Run-scoped registry of the test data a run creates, so it can be removed
+ * when the run finishes.
+ *
+ * Every create helper records what it made with registerProject() or
+ * registerDeliveryPartner() (the factory in test-data-factory.helper.js does
+ * this for you); the onComplete hook in each wdio config calls
+ * cleanupRegisteredTestData(), which deletes it all through the assurance-api. Records are appended to
+ * .test-runs/<TEST_RUN_ID>.jsonl so every worker writes to the same list.
+ *
+ * TEST_RUN_ID is fixed the first time this module loads in the launcher and
+ * inherited by every worker through the environment. If you set it yourself,
+ * keep it a Date.now() timestamp so names still match TEST_DATA_NAME_PATTERNS. Set KEEP_TEST_DATA=true
+ * to leave the data in place for debugging.
+ *
+ * Anything left behind by a crashed run is removed by bin/sweep-test-data.js,
+ * which relies on the naming conventions in TEST_DATA_NAME_PATTERNS.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import logger from '@wdio/logger'
+import assuranceApi, { AssuranceApiError } from '../api/assurance-api.client.js'
+
+process.env.TEST_RUN_ID ??= String(Date.now())
+
+/** Identifies this run; shared by the launcher and all workers */
+export const TEST_RUN_ID = process.env.TEST_RUN_ID
+
+const log = logger('test-data')
+
+const registryDirectory = path.join('.test-runs')
+const reportDirectory = path.join('reports')
+
+/**
+ * Names the suite gives the deliveries and delivery partners it creates. The
+ * first capture group is the Date.now() timestamp embedded in the name.
+ */
+export const TEST_DATA_NAME_PATTERNS = [
+  // test-data-factory.helper.js and add-new-delivery.spec.js –
+  // AutoTest_<run id>_<label>
+  /^AutoTest_(\d{13})_\w+$/,
+  // auth.e2e.js – "Test Project <ts>" and "<Phase> Test Project <ts>"
+  /^(?:(?:Discovery|Alpha|Private Beta|Public Beta|Beta|Live) )?Test Project (\d{13})$/
+]
+
+/**
+ * How each type of record is found by name and deleted. Deliveries are
+ * deleted before the delivery partners working on them.
+ */
+const RECORD_TYPES = {
+  project: {
+    find: (api, name) => api.findProjectByName(name),
+    remove: (api, id) => api.deleteProject(id)
+  },
+  deliveryPartner: {
+    find: async (api, name) =>
+      (await api.listDeliveryPartners()).find(
+        (partner) => partner.name === name
+      ) ?? null,
+    remove: (api, id) => api.deleteDeliveryPartner(id)
+  }
+}
+
+/**
+ * Whether a delivery or delivery partner name follows one of the suite's naming conventions.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isTestDataName(name) {
+  return TEST_DATA_NAME_PATTERNS.some((pattern) => pattern.test(name))
+}
+
+/**
+ * When a test delivery was created, read from the timestamp in its name.
+ * @param {string} name
+ * @returns {Date|null} null if the name does not follow the conventions
+ */
+export function testDataCreatedAt(name) {
+  for (const pattern of TEST_DATA_NAME_PATTERNS) {
+    const match = name.match(pattern)
+    if (match) {
+      return new Date(Number(match[1]))
+    }
+  }
+  return null
+}
+
+/**
+ * Record a delivery created by this run. Pass the id when it is known (API
+ * creates); deliveries created through the UI can be registered by name and
+ * are looked up at cleanup time.
+ * @param {{ id?: string, name: string, defCode?: string }} project
+ */
+export function registerProject({ id, name, defCode }) {
+  appendRecord({ type: 'project', id, name, defCode: defCode ?? null })
+}
+
+/**
+ * Record a delivery partner created by this run, as registerProject() does
+ * for deliveries.
+ * @param {{ id?: string, name: string }} partner
+ */
+export function registerDeliveryPartner({ id, name }) {
+  appendRecord({ type: 'deliveryPartner', id, name })
+}
+
+/**
+ * Everything registered so far by a run.
+ * @param {string} [runId=TEST_RUN_ID]
+ * @returns {Array<{ type: string, id: string|null, name: string, defCode?: string|null, registeredAt: string }>}
+ */
+export function readRegistry(runId = TEST_RUN_ID) {
+  const file = registryFile(runId)
+  if (!fs.existsSync(file)) {
+    return []
+  }
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+}
+
+/**
+ * Delete everything a run registered. Never throws – a failed cleanup must
+ * not fail the run – but logs what it could not remove through the wdio
+ * logger and records it in the report. Records registered by name that no
+ * longer match a delivery or delivery partner are counted as not found.
+ * @param {Object} [options]
+ * @param {string} [options.runId=TEST_RUN_ID]
+ * @param {import('../api/assurance-api.client.js').AssuranceApiClient} [options.api]
+ * @returns {Promise<{ deleted: string[], notFound: string[], failed: string[] }>}
+ */
+export async function cleanupRegisteredTestData({
+  runId = TEST_RUN_ID,
+  api = assuranceApi
+} = {}) {
+  const summary = { deleted: [], notFound: [], failed: [] }
+  const records = readRegistry(runId)
+
+  if (records.length === 0) {
+    return summary
+  }
+
+  if (process.env.KEEP_TEST_DATA === 'true') {
+    log.info(
+      `KEEP_TEST_DATA is set – leaving ${records.length} test records in place`
+    )
+    return summary
+  }
+
+  for (const record of byDeletionOrder(dedupe(records))) {
+    const { find, remove } = RECORD_TYPES[record.type]
+    try {
+      const id = record.id ?? (await find(api, record.name))?.id
+      if (!id) {
+        summary.notFound.push(record.name)
+        continue
+      }
+      await deleteIgnoringMissing(() => remove(api, id))
+      summary.deleted.push(record.name)
+    } catch (error) {
+      summary.failed.push(record.name)
+      log.error(`Could not delete "${record.name}": ${error.message}`)
+    }
+  }
+
+  writeReport(runId, records, summary)
+  if (summary.failed.length === 0) {
+    fs.rmSync(registryFile(runId), { force: true })
+  }
+
+  log.info(
+    `Test data cleanup: deleted ${summary.deleted.length}, ` +
+      `not found ${summary.notFound.length}, ` +
+      `failed ${summary.failed.length} (run ${runId})`
+  )
+  return summary
+}
+
+// ── Internals ─────────────────────────────────────────────────────────────
+
+/**
+ * Append a record to the run's registry. Records without an id are looked
+ * up by name at cleanup, so their names must follow the conventions.
+ */
+function appendRecord({ type, id, name, ...fields }) {
+  if (!id && !isTestDataName(name)) {
+    throw new Error(
+      `Cannot register "${name}" for cleanup by name – it does not match ` +
+        'TEST_DATA_NAME_PATTERNS, so it could be real data. Register it by id, ' +
+        'or give it a name that follows the test data naming conventions.'
+    )
+  }
+
+  fs.mkdirSync(registryDirectory, { recursive: true })
+  const record = {
+    type,
+    id: id ?? null,
+    name,
+    ...fields,
+    registeredAt: new Date().toISOString()
+  }
+  // One short line per append, so concurrent workers never interleave
+  fs.appendFileSync(registryFile(), `${JSON.stringify(record)}\n`)
+}
+
+function registryFile(runId = TEST_RUN_ID) {
+  return path.join(registryDirectory, `${runId}.jsonl`)
+}
+
+/**
+ * Keep a record of what the run created and whether it was removed in
+ * reports/test-data-<run id>.json, alongside the other run reports. Records
+ * that could not be found are not claimed as cleaned up.
+ */
+function writeReport(runId, records, { deleted, notFound }) {
+  const report = dedupe(records).map((record) => ({
+    ...record,
+    notFound: notFound.includes(record.name),
+    cleanedUp: deleted.includes(record.name)
+  }))
+  try {
+    fs.mkdirSync(reportDirectory, { recursive: true })
+    fs.writeFileSync(
+      path.join(reportDirectory, `test-data-${runId}.json`),
+      JSON.stringify(report, null, 2)
+    )
+  } catch (error) {
+    log.error(`Could not write the test data report: ${error.message}`)
+  }
+}
+
+/**
+ * A record registered both by name and id (or twice) is deleted once.
+ */
+function dedupe(records) {
+  const byName = new Map()
+  for (const record of records) {
+    const key = `${record.type}:${record.name}`
+    const existing = byName.get(key)
+    byName.set(key, {
+      ...record,
+      id: record.id ?? existing?.id ?? null
+    })
+  }
+  return [...byName.values()]
+}
+
+function byDeletionOrder(records) {
+  const order = Object.keys(RECORD_TYPES)
+  return [...records].sort(
+    (a, b) => order.indexOf(a.type) - order.indexOf(b.type)
+  )
+}
+
+async function deleteIgnoringMissing(remove) {
+  try {
+    await remove()
+  } catch (error) {
+    if (!(error instanceof AssuranceApiError && error.status === 404)) {
+      throw error
+    }
+  }
+}
@@ -1,3 +1,8 @@
+import { Autocomplete } from '../components/autocomplete.component.js'
+import { Select } from '../components/select.component.js'
+import { Table } from '../components/table.component.js'
+import { Tabs } from '../components/tabs.component.js'
+
 /**
  * Page Object: Service Standard Assessment page
  * (/projects/:id/assessment)
@@ -13,13 +18,16 @@ class AssessmentPage {
   get insetText () { return $('.govuk-inset-text') }
 
   // ── Profession dropdown ───────────────────────────────────────────────────
-  get professionSelect () { return $('#professionId') }
+  get professionField () { return new Select('#professionId') }
+  get professionSelect () { return this.professionField.root }
 
   // ── Service Standard dropdown ─────────────────────────────────────────────
-  get standardSelect () { return $('#standardId') }
+  get standardField () { return new Select('#standardId') }
+  get standardSelect () { return this.standardField.root }
 
   // ── Status dropdown ───────────────────────────────────────────────────────
-  get statusSelect () { return $('#status') }
+  get statusField () { return new Select('#status') }
+  get statusSelect () { return this.statusField.root }
 
   // ── Commentary fields ─────────────────────────────────────────────────────
   get greenCommentaryTextarea () { return $('#commentary-green') }
@@ -29,11 +37,27 @@ class AssessmentPage {
   // ── Save / Submit ─────────────────────────────────────────────────────────
   get saveUpdateButton () { return $('button.govuk-button:not(.govuk-button--secondary)') }
 
+  // ── Keyboard focus order (see helpers/keyboard.helper.js) ─────────────────
+  // The commentary fields only show once a status is chosen, so they are not
+  // tab stops when the form loads
+  get focusOrder () {
+    return {
+      addAssessment: ['professionSelect', 'standardSelect', 'statusSelect', 'saveUpdateButton']
+    }
+  }
+
+  // ── Projects list – search ────────────────────────────────────────────────
+  get projectSearch () { return new Autocomplete('#search') }
+  get projectSearchButton () { return $('.gem-c-search__submit') }
+  get projectsTable () { return new Table('table.govuk-table') }
+
   // ── Project detail – compliance tab ──────────────────────────────────────
-  get serviceStandardComplianceTab () { return $('a[href="#compliance"]') }
+  get tabs () { return new Tabs() }
+  get serviceStandardComplianceTab () { return this.tabs.tab('compliance') }
+  get complianceTable () { return new Table('#compliance .govuk-table') }
 
   /** All rows inside the compliance table body */
-  get complianceTableRows () { return $$('#compliance .govuk-table__body .govuk-table__row') }
+  get complianceTableRows () { return this.complianceTable.rows }
 
   // ── Project detail – Add Service Standard update link ────────────────────
   // Uses link text match since the href contains a dynamic project ID
@@ -64,20 +88,15 @@ class AssessmentPage {
     )
 
     // Wait for the autocomplete search input to be present (dynamically rendered by JS)
-    const searchInput = await $('#search')
-    await searchInput.waitForExist({ timeout: 15000 })
+    await this.projectSearch.waitForReady()
     await browser.pause(500) // allow autocomplete JS to fully initialise
-    await searchInput.waitForDisplayed({ timeout: 10000 })
 
     // Type the project name character by character to trigger input events
-    await searchInput.clearValue()
-    await searchInput.click()
-    await browser.keys(projectName.split(''))
+    await this.projectSearch.type(projectName)
     await browser.pause(500)
 
     // Click the search submit button to do a server-side GET search
-    const submitBtn = await $('.gem-c-search__submit')
-    await submitBtn.click()
+    await this.projectSearchButton.click()
 
     // Wait for the filtered results page to load
     await browser.waitUntil(
@@ -92,9 +111,7 @@ class AssessmentPage {
     const link = await $(`a*=${projectName}`)
     const exists = await link.isExisting()
     if (!exists) {
-      const allLinks = await $$('table.govuk-table a')
-      const names = []
-      for (const l of allLinks) names.push(await l.getText())
+      const names = await this.projectsTable.getColumnTexts(0)
       throw new Error(
         `Project "${projectName}" not found in search results.\n` +
         `Results shown: [${names.join(', ')}]\n` +
@@ -130,17 +147,7 @@ class AssessmentPage {
    * @param {number} rowIndex  1-based index of the standard to click
    */
   async clickStandardFromComplianceTab (rowIndex = 1) {
-    await this.serviceStandardComplianceTab.waitForDisplayed({ timeout: 5000 })
-    await this.serviceStandardComplianceTab.click()
-
-    // Wait for the compliance panel to become visible
-    await browser.waitUntil(
-      async () => {
-        const cls = await $('#compliance').getAttribute('class')
-        return !cls.includes('govuk-tabs__panel--hidden')
-      },
-      { timeout: 5000, timeoutMsg: 'Compliance tab panel did not become visible' }
-    )
+    await this.tabs.select('compliance')
 
     const rows = await this.complianceTableRows
     if (rows.length < rowIndex) {
@@ -174,13 +181,7 @@ class AssessmentPage {
    * @returns {string[]}
    */
   async getProfessionOptions () {
-    const options = await this.professionSelect.$$('option')
-    const texts = []
-    for (const opt of options) {
-      const val = await opt.getValue()
-      if (val) texts.push(await opt.getText())
-    }
-    return texts
+    return await this.professionField.getOptionTexts()
   }
 
   /**
@@ -188,7 +189,7 @@ class AssessmentPage {
    * @param {string} professionId
    */
   async selectProfession (professionId) {
-    await this.professionSelect.selectByAttribute('value', professionId)
+    await this.professionField.selectByValue(professionId)
     // Small pause to allow JS to repopulate the standards dropdown
     await browser.pause(600)
   }
@@ -198,13 +199,7 @@ class AssessmentPage {
    * @returns {string[]}
    */
   async getStandardOptions () {
-    const options = await this.standardSelect.$$('option')
-    const texts = []
-    for (const opt of options) {
-      const val = await opt.getValue()
-      if (val) texts.push(await opt.getText())
-    }
-    return texts
+    return await this.standardField.getOptionTexts()
   }
 
   /**
@@ -212,13 +207,25 @@ class AssessmentPage {
    * @returns {string[]} option value attributes
    */
   async getStandardOptionValues () {
-    const options = await this.standardSelect.$$('option')
-    const vals = []
-    for (const opt of options) {
-      const val = await opt.getValue()
-      if (val) vals.push(val)
+    return await this.standardField.getOptionValues()
+  }
+
+  /**
+   * Read the standard numbers the dropdown offers for every profession, by
+   * selecting each profession in turn.
+   * @returns {Promise<Object<string, number[]>>} profession id → standard numbers
+   */
+  async readStandardsByProfession () {
+    const result = {}
+    for (const professionId of await this.professionField.getOptionValues()) {
+      await this.selectProfession(professionId)
+      const texts = await this.getStandardOptions()
+      result[professionId] = texts
+        .map(text => /^(\d+)\./.exec(text))
+        .filter(Boolean)
+        .map(match => Number.parseInt(match[1], 10))
     }
-    return vals
+    return result
   }
 
   /**
@@ -226,7 +233,7 @@ class AssessmentPage {
    * @param {string} standardValue
    */
   async selectStandard (standardValue) {
-    await this.standardSelect.selectByAttribute('value', standardValue)
+    await this.standardField.selectByValue(standardValue)
     await browser.pause(400)
   }
 
@@ -236,7 +243,7 @@ class AssessmentPage {
    * @param {string} statusValue  e.g. 'GREEN', 'AMBER', 'RED'
    */
   async selectStatus (statusValue) {
-    await this.statusSelect.selectByAttribute('value', statusValue)
+    await this.statusField.selectByValue(statusValue)
     await browser.pause(400)
   }
 
@@ -303,15 +310,11 @@ class AssessmentPage {
    * @returns {Array<{standard: string, status: string}>}
    */
   async getComplianceTableData () {
-    const rows = await this.complianceTableRows
-    const data = []
-    for (const row of rows) {
-      const cells = await row.$$('.govuk-table__cell')
-      const standardText = cells[0] ? (await cells[0].getText()).trim() : ''
-      const statusText = cells[1] ? (await cells[1].getText()).trim() : ''
-      data.push({ standard: standardText, status: statusText })
-    }
-    return data
+    const rows = await this.complianceTable.read()
+    return rows.map(({ point, complianceConfidence }) => ({
+      standard: point?.text ?? '',
+      status: complianceConfidence?.text ?? ''
+    }))
   }
 }
 
@@ -0,0 +1,22 @@
+import { DeliveryListingPage } from './delivery-listing.page.js'
+
+/**
+ * Page Object for a delivery group's page (/delivery-groups/:id), listing
+ * the deliveries in the group.
+ * Selectors derived from src/server/delivery-groups/views/index.njk
+ */
+class DeliveryGroupPage extends DeliveryListingPage {
+  constructor() {
+    super('/delivery-groups')
+  }
+
+  /**
+   * Navigate to a delivery group's page.
+   * @param {string} groupId
+   */
+  async openGroup(groupId) {
+    await this.openListing(groupId)
+  }
+}
+
+export default new DeliveryGroupPage()
@@ -0,0 +1,57 @@
+import { Page } from './page.js'
+import { Table } from '../components/table.component.js'
+
+/**
+ * Base Page Object for pages listing the deliveries that share something,
+ * such as a delivery group or partner (/delivery-groups/:id,
+ * /delivery-partners/:id). Each delivery links to /projects/:id.
+ */
+class DeliveryListingPage extends Page {
+  /**
+   * @param {string} basePath - e.g. '/delivery-groups'
+   */
+  constructor(basePath) {
+    super()
+    this.basePath = basePath
+  }
+
+  /** Deliveries table */
+  get deliveriesTable() {
+    return new Table('main .govuk-table')
+  }
+
+  /** Links to the listed deliveries */
+  get deliveryLinks() {
+    return $$('main a[href^="/projects/"]')
+  }
+
+  // ── Helper methods ────────────────────────────────────────────────────────
+
+  /**
+   * Navigate to the page for one group or partner.
+   * @param {string} id
+   */
+  async openListing(id) {
+    await this.open(`${this.basePath}/${id}`)
+    await this.pageHeading.waitForDisplayed({ timeout: 10000 })
+  }
+
+  /**
+   * The deliveries listed, in page order, read from their links.
+   * @returns {Promise<Array<{ id: string, name: string }>>}
+   */
+  async getDeliveries() {
+    const deliveries = []
+    for (const link of await this.deliveryLinks) {
+      const match = (await link.getAttribute('href')).match(
+        /^\/projects\/([^/?#]+)$/
+      )
+      if (match) {
+        deliveries.push({ id: match[1], name: (await link.getText()).trim() })
+      }
+    }
+    return deliveries
+  }
+}
+
+export { DeliveryListingPage }
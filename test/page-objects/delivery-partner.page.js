@@ -0,0 +1,22 @@
+import { DeliveryListingPage } from './delivery-listing.page.js'
+
+/**
+ * Page Object for a delivery partner's page (/delivery-partners/:id),
+ * listing the deliveries the partner works on.
+ * Selectors derived from src/server/delivery-partners/views/index.njk
+ */
+class DeliveryPartnerPage extends DeliveryListingPage {
+  constructor() {
+    super('/delivery-partners')
+  }
+
+  /**
+   * Navigate to a delivery partner's page.
+   * @param {string} partnerId
+   */
+  async openPartner(partnerId) {
+    await this.openListing(partnerId)
+  }
+}
+
+export default new DeliveryPartnerPage()
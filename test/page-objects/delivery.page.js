@@ -1,4 +1,12 @@
 import { Page } from './page.js'
+import { NotificationBanner } from '../components/notification-banner.component.js'
+import { ErrorSummary } from '../components/error-summary.component.js'
+import { Select } from '../components/select.component.js'
+import { Table } from '../components/table.component.js'
+import { Tabs } from '../components/tabs.component.js'
+import { Tag } from '../components/tag.component.js'
+import { Timeline } from '../components/timeline.component.js'
+import { registerProject } from '../helpers/test-data-registry.helper.js'
 
 /**
  * Page Object for the Add New Delivery and Delivery Detail pages.
@@ -15,7 +23,12 @@ class DeliveryPage extends Page {
 
   /** GDS Phase select  (id="phase") */
   get projectPhase() {
-    return $('#phase')
+    return this.phaseField.root
+  }
+
+  /** GDS Phase select as a component */
+  get phaseField() {
+    return new Select('#phase')
   }
 
   /** DEFRA Code input  (id="defCode") */
@@ -25,7 +38,12 @@ class DeliveryPage extends Page {
 
   /** Current Status select  (id="status") */
   get currentStatus() {
-    return $('#status')
+    return this.statusField.root
+  }
+
+  /** Current Status select as a component */
+  get statusField() {
+    return new Select('#status')
   }
 
   /** Delivery commentary textarea  (id="commentary") */
@@ -38,6 +56,11 @@ class DeliveryPage extends Page {
     return $('button[type="submit"]')
   }
 
+  /** Validation errors on the Add delivery form */
+  get errorSummary() {
+    return new ErrorSummary()
+  }
+
   // ── Projects list page ────────────────────────────────────────────────────
 
   /** "Add new delivery" link on /projects */
@@ -45,9 +68,14 @@ class DeliveryPage extends Page {
     return $('a[href="/projects/add"]')
   }
 
+  /** Deliveries table on /projects */
+  get deliveriesTable() {
+    return new Table('.govuk-table')
+  }
+
   /** All rows in the deliveries table body */
   get deliveryTableRows() {
-    return $$('.govuk-table tbody tr')
+    return this.deliveriesTable.rows
   }
 
   // ── Delivery detail page ──────────────────────────────────────────────────
@@ -62,6 +90,16 @@ class DeliveryPage extends Page {
     return $('div.govuk-body-m')
   }
 
+  /** RAG tag showing the current delivery status */
+  get currentStatusTag() {
+    return new Tag(this.currentDeliveryStatusBlock.$('.govuk-tag'))
+  }
+
+  /** Banner shown after a save, e.g. "Delivery updated successfully" */
+  get notificationBanner() {
+    return new NotificationBanner()
+  }
+
   /** Inset text containing delivery commentary */
   get deliveryCommentaryInsetText() {
     return $('.govuk-inset-text')
@@ -79,31 +117,41 @@ class DeliveryPage extends Page {
 
   // ── Tabs ──────────────────────────────────────────────────────────────────
 
+  /** Tabs on the delivery detail page, addressed by panel id */
+  get tabs() {
+    return new Tabs()
+  }
+
   /** "Service Standard compliance" tab */
   get serviceStandardComplianceTab() {
-    return $('a[href="#compliance"]')
+    return this.tabs.tab('compliance')
   }
 
   /** "Delivery engagement" tab */
   get deliveryEngagementTab() {
-    return $('a[href="#engagement"]')
+    return this.tabs.tab('engagement')
+  }
+
+  /** "Profession updates" tab – signed-in users only */
+  get professionUpdatesTab() {
+    return this.tabs.tab('professions')
   }
 
   // ── Service Standard compliance tab ──────────────────────────────────────
 
   /** Compliance table within the compliance tab panel */
   get complianceTable() {
-    return $('#compliance .govuk-table')
+    return new Table('#compliance .govuk-table')
   }
 
   /** Table header cells in compliance table */
   get complianceTableHeaders() {
-    return $$('#compliance .govuk-table__head .govuk-table__header')
+    return this.complianceTable.headers
   }
 
   /** All rows in the compliance table body */
   get complianceTableRows() {
-    return $$('#compliance .govuk-table__body .govuk-table__row')
+    return this.complianceTable.rows
   }
 
   // ── Delivery engagement tab ───────────────────────────────────────────────
@@ -118,9 +166,14 @@ class DeliveryPage extends Page {
     return $('p=Timeline of key delivery changes and updates.')
   }
 
+  /** Timeline of delivery updates */
+  get timeline() {
+    return new Timeline()
+  }
+
   /** All timeline event entries */
   get timelineEvents() {
-    return $$('.timeline__event')
+    return this.timeline.events
   }
 
   /** "Edit this update" link (most recent entry) */
@@ -140,6 +193,44 @@ class DeliveryPage extends Page {
     return $('.project-sidebar')
   }
 
+  // ── Persona-restricted controls ───────────────────────────────────────────
+
+  /**
+   * Which personas should see each restricted control, keyed by getter name.
+   * addNewDeliveryLink is on /projects; the rest are on the delivery detail
+   * page (edit / archive only when the timeline has an update).
+   * Checked by expectPersonaControls() in helpers/persona.helper.js.
+   */
+  get personaControls() {
+    return {
+      addNewDeliveryLink: ['admin', 'standard'],
+      manageDeliveryLink: ['admin', 'standard'],
+      addServiceStandardUpdateLink: ['admin', 'standard'],
+      professionUpdatesTab: ['admin', 'standard'],
+      editUpdateLink: ['admin'],
+      archiveUpdateLink: ['admin']
+    }
+  }
+
+  // ── Keyboard focus order ──────────────────────────────────────────────────
+
+  /**
+   * The order Tab should reach each view's controls, keyed by view.
+   * Checked by expectKeyboardAccess() in helpers/keyboard.helper.js.
+   */
+  get focusOrder() {
+    return {
+      addDelivery: [
+        'deliveryName',
+        'projectPhase',
+        'defraCode',
+        'currentStatus',
+        'deliveryCommentary',
+        'addDeliveryButton'
+      ]
+    }
+  }
+
   // ── Helper methods ────────────────────────────────────────────────────────
 
   /**
@@ -157,8 +248,11 @@ class DeliveryPage extends Page {
   }
 
   /**
-   * Fill in and submit the Add New Delivery form.
+   * Fill in and submit the Add New Delivery form, and wait for the redirect
+   * away from it. Only then is the delivery registered for deletion at the
+   * end of the run, so a rejected form leaves nothing to clean up.
    * @param {Object} data - delivery scenario data
+   * @throws {Error} when the form does not redirect
    */
   async fillAndSubmitDeliveryForm(data) {
     await this.deliveryName.setValue(data.deliveryName)
@@ -173,6 +267,15 @@ class DeliveryPage extends Page {
 
     await this.deliveryCommentary.setValue(data.deliveryCommentary)
     await this.addDeliveryButton.click()
+
+    await browser.waitUntil(
+      async () => {
+        const url = await browser.getUrl()
+        return url.includes('/projects') && !url.includes('/projects/add')
+      },
+      { timeout: 10000, timeoutMsg: 'URL did not redirect to /projects' }
+    )
+    registerProject({ name: data.deliveryName })
   }
 
   /**
@@ -192,6 +295,14 @@ class DeliveryPage extends Page {
     const link = await $(`a.govuk-link*=${deliveryName}`)
     await link.click()
   }
+
+  /**
+   * Switch to a tab on the delivery detail page and wait for its panel.
+   * @param {'compliance'|'engagement'|'professions'} panelId
+   */
+  async openTab(panelId) {
+    await this.tabs.select(panelId)
+  }
 }
 
 export default new DeliveryPage()
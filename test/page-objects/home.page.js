@@ -1,9 +1,77 @@
 import { Page } from 'page-objects/page'
 
 class HomePage extends Page {
+  /** "Admin" link in the service navigation */
+  get adminNavLink() {
+    return $('a[href="/admin"]')
+  }
+
+  /** "Sign in" link in the header */
+  get signInLink() {
+    return $('a[href="/auth/login"]')
+  }
+
+  /** "Sign out" link in the header */
+  get signOutLink() {
+    return $('a[href="/auth/logout"]')
+  }
+
+  /** Links under "Deliveries by Delivery Group" */
+  get deliveryGroupLinks() {
+    return $$('a[href*="/delivery-groups/"]')
+  }
+
+  /** Links under "Deliveries by Delivery Partner" */
+  get deliveryPartnerLinks() {
+    return $$('a[href*="/delivery-partners/"]')
+  }
+
+  /**
+   * Which personas should see each restricted control, keyed by getter name.
+   * Checked by expectPersonaControls() in helpers/persona.helper.js.
+   */
+  get personaControls() {
+    return {
+      adminNavLink: ['admin'],
+      signInLink: ['anonymous'],
+      signOutLink: ['admin', 'standard']
+    }
+  }
+
   open() {
     return super.open('/')
   }
+
+  /**
+   * The delivery groups linked from the home page.
+   * @returns {Promise<Array<{ id: string, name: string }>>}
+   */
+  async getDeliveryGroups() {
+    return await readLinks(this.deliveryGroupLinks, '/delivery-groups/')
+  }
+
+  /**
+   * The delivery partners linked from the home page.
+   * @returns {Promise<Array<{ id: string, name: string }>>}
+   */
+  async getDeliveryPartners() {
+    return await readLinks(this.deliveryPartnerLinks, '/delivery-partners/')
+  }
+}
+
+/**
+ * Read links as the id at the end of their href and their text.
+ */
+async function readLinks(links, prefix) {
+  const result = []
+  for (const link of await links) {
+    const href = await link.getAttribute('href')
+    result.push({
+      id: href.slice(href.indexOf(prefix) + prefix.length),
+      name: (await link.getText()).trim()
+    })
+  }
+  return result
 }
 
 export default new HomePage()
@@ -0,0 +1,57 @@
+import { Page } from './page.js'
+import { Table } from '../components/table.component.js'
+
+/**
+ * Page Object for the Insights prioritisation page (/insights/prioritisation).
+ * Deliveries are listed in priority order, in one table per group, each
+ * introduced by an `h2` naming the group, e.g. "Amber/Red (3)". The delivery
+ * cell links to /projects/:id.
+ * Selectors derived from src/server/insights/views/prioritisation.njk
+ */
+class InsightsPage extends Page {
+  /** One table per priority group */
+  get prioritisationTables() {
+    return $$('main .govuk-table')
+  }
+
+  // ── Helper methods ────────────────────────────────────────────────────────
+
+  /**
+   * Navigate to the prioritisation page.
+   */
+  async openPrioritisation() {
+    await this.open('/insights/prioritisation')
+    await this.pageHeading.waitForDisplayed({ timeout: 10000 })
+  }
+
+  /**
+   * Read every listed delivery, in page order. Each row is read with
+   * Table.read(), keyed by its column headers, with the cell linking to the
+   * delivery also keyed `delivery` and a `group` cell added for the heading
+   * it is listed under (without its count), so rows can be compared with
+   * diffTableRows() in helpers/table.helper.js.
+   * @returns {Promise<Array<Object<string, import('../components/table.component.js').TableCell>>>}
+   */
+  async readPrioritisation() {
+    const rows = []
+    for (const element of await this.prioritisationTables) {
+      const heading = await element.$('./preceding::h2[1]')
+      const group = (await heading.getText()).trim().replace(/\s*\(\d+\)$/, '')
+      for (const row of await new Table(element).read()) {
+        rows.push({
+          ...row,
+          delivery: Object.values(row).find(({ href }) =>
+            DELIVERY_HREF.test(href ?? '')
+          ),
+          group: { text: group, href: null, tags: [] }
+        })
+      }
+    }
+    return rows
+  }
+}
+
+/** A link to a delivery's page */
+const DELIVERY_HREF = /^\/projects\/[^/?#]+$/
+
+export default new InsightsPage()
@@ -1,4 +1,8 @@
 import { Page } from './page.js'
+import { ErrorSummary } from '../components/error-summary.component.js'
+import { Radios } from '../components/radios.component.js'
+import { Select } from '../components/select.component.js'
+import { Table } from '../components/table.component.js'
 
 /**
  * Page Object for the Manage Delivery pages.
@@ -25,6 +29,11 @@ class ManageDeliveryPage extends Page {
     return $('legend.govuk-fieldset__legend')
   }
 
+  /** "What would you like to update?" radio group */
+  get updateTypeRadios() {
+    return new Radios()
+  }
+
   /** Radio option: "Update the delivery status and commentary" */
   get updateStatusRadio() {
     return $('#updateType')
@@ -71,7 +80,12 @@ class ManageDeliveryPage extends Page {
 
   /** Current status dropdown (id="status") */
   get currentStatusDropdown() {
-    return $('#status')
+    return this.statusField.root
+  }
+
+  /** Current status dropdown as a component */
+  get statusField() {
+    return new Select('#status')
   }
 
   /** Current status label */
@@ -128,17 +142,17 @@ class ManageDeliveryPage extends Page {
 
   /** Standards at risk table */
   get standardsAtRiskTable() {
-    return $('.app-standards-table')
+    return new Table('.app-standards-table')
   }
 
   /** Standards at risk table headers */
   get standardsAtRiskTableHeaders() {
-    return $$('.app-standards-table .govuk-table__head .govuk-table__header')
+    return this.standardsAtRiskTable.headers
   }
 
   /** Standards at risk table rows */
   get standardsAtRiskTableRows() {
-    return $$('.app-standards-table .govuk-table__body .govuk-table__row')
+    return this.standardsAtRiskTable.rows
   }
 
   // ── Edit mode elements ────────────────────────────────────────────────────
@@ -169,7 +183,12 @@ class ManageDeliveryPage extends Page {
 
   /** GDS Phase select (id="phase") */
   get phaseSelect() {
-    return $('#phase')
+    return this.phaseField.root
+  }
+
+  /** GDS Phase select as a component */
+  get phaseField() {
+    return new Select('#phase')
   }
 
   /** Phase label */
@@ -189,7 +208,12 @@ class ManageDeliveryPage extends Page {
 
   /** Delivery group select (id="deliveryGroupId") */
   get deliveryGroupSelect() {
-    return $('#deliveryGroupId')
+    return this.deliveryGroupField.root
+  }
+
+  /** Delivery group select as a component */
+  get deliveryGroupField() {
+    return new Select('#deliveryGroupId')
   }
 
   /** Delivery group label */
@@ -207,6 +231,44 @@ class ManageDeliveryPage extends Page {
     return $('a.govuk-button--secondary')
   }
 
+  // ══════════════════════════════════════════════════════════════════════════
+  // Validation (status and details pages)
+  // ══════════════════════════════════════════════════════════════════════════
+
+  /** Error summary shown when a save is rejected */
+  get errorSummary() {
+    return new ErrorSummary()
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Keyboard focus order
+  // ══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * The order Tab should reach each page's controls, keyed by page. Only the
+   * first radio of a group is a tab stop.
+   * Checked by expectKeyboardAccess() in helpers/keyboard.helper.js.
+   */
+  get focusOrder() {
+    return {
+      selection: ['updateStatusRadio', 'continueButton', 'cancelButton'],
+      status: [
+        'currentStatusDropdown',
+        'projectCommentaryTextarea',
+        'saveChangesButton',
+        'cancelLink'
+      ],
+      details: [
+        'projectNameInput',
+        'phaseSelect',
+        'projectIdInput',
+        'deliveryGroupSelect',
+        'detailsSaveButton',
+        'detailsCancelLink'
+      ]
+    }
+  }
+
   // ══════════════════════════════════════════════════════════════════════════
   // Breadcrumbs
   // ══════════════════════════════════════════════════════════════════════════
@@ -264,9 +326,9 @@ class ManageDeliveryPage extends Page {
   async captureCurrentDetails() {
     return {
       name: await this.projectNameInput.getValue(),
-      phase: await this.phaseSelect.getValue(),
+      phase: await this.phaseField.getSelectedValue(),
       defCode: await this.projectIdInput.getValue(),
-      deliveryGroup: await this.deliveryGroupSelect.getValue()
+      deliveryGroup: await this.deliveryGroupField.getSelectedValue()
     }
   }
 
@@ -280,14 +342,14 @@ class ManageDeliveryPage extends Page {
       await this.projectNameInput.setValue(name)
     }
     if (phase !== undefined) {
-      await this.phaseSelect.selectByAttribute('value', phase)
+      await this.phaseField.selectByValue(phase)
     }
     if (defCode !== undefined) {
       await this.projectIdInput.clearValue()
       await this.projectIdInput.setValue(defCode)
     }
     if (deliveryGroup !== undefined) {
-      await this.deliveryGroupSelect.selectByVisibleText(deliveryGroup)
+      await this.deliveryGroupField.selectByText(deliveryGroup)
     }
     await this.detailsSaveButton.click()
   }
@@ -305,7 +367,7 @@ class ManageDeliveryPage extends Page {
    * @returns {Promise<string>} the current status value
    */
   async getCurrentStatusValue() {
-    return await this.currentStatusDropdown.getValue()
+    return await this.statusField.getSelectedValue()
   }
 
   /**
@@ -322,7 +384,7 @@ class ManageDeliveryPage extends Page {
    * @param {string} newCommentary - new commentary text
    */
   async updateStatusAndCommentary(newStatus, newCommentary) {
-    await this.currentStatusDropdown.selectByAttribute('value', newStatus)
+    await this.statusField.selectByValue(newStatus)
     await this.projectCommentaryTextarea.clearValue()
     await this.projectCommentaryTextarea.setValue(newCommentary)
     await this.saveChangesButton.click()
@@ -333,35 +395,34 @@ class ManageDeliveryPage extends Page {
    * @returns {Promise<Array>} array of { standard, status, profession, commentary, lastUpdated }
    */
   async getStandardsRequiringAttention() {
-    const rows = await this.standardsAtRiskTableRows
-    const standards = []
-
-    for (const row of rows) {
-      const cells = await row.$$('td')
-      if (cells.length >= 5) {
-        standards.push({
-          standard: await cells[0].getText(),
-          status: await cells[1].getText(),
-          profession: await cells[2].getText(),
-          commentary: await cells[3].getText(),
-          lastUpdated: await cells[4].getText()
-        })
+    const rows = await this.standardsAtRiskTable.read({
+      columns: {
+        'Service Standard': 'standard',
+        'Assessment Commentary': 'commentary'
       }
-    }
+    })
 
-    return standards
+    // Skip any row without the full set of columns, e.g. an empty-state row
+    return rows
+      .filter((row) => row.lastUpdated)
+      .map(({ standard, status, profession, commentary, lastUpdated }) => ({
+        standard: standard.text,
+        status: status.text,
+        profession: profession.text,
+        commentary: commentary.text,
+        lastUpdated: lastUpdated.text
+      }))
   }
 
   /**
    * Verify the Standards Requiring Attention table headers.
    */
   async verifyStandardsAtRiskTableHeaders() {
-    const headers = await this.standardsAtRiskTableHeaders
     const expectedHeaders = ['Service Standard', 'Status', 'Profession', 'Assessment Commentary', 'Last Updated']
 
-    for (let i = 0; i < expectedHeaders.length; i++) {
-      await expect(headers[i]).toHaveText(expectedHeaders[i])
-    }
+    const headers = await this.standardsAtRiskTable.getHeaderTexts()
+
+    expect(headers.slice(0, expectedHeaders.length)).toEqual(expectedHeaders)
   }
 }
 
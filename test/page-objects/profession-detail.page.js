@@ -0,0 +1,65 @@
+import { Page } from './page.js'
+import { Table } from '../components/table.component.js'
+
+/**
+ * Page Object for a profession's page (/professions/:profession): the
+ * standards the profession has assessed, across every delivery.
+ * Selectors derived from src/server/professions/views/detail.njk
+ */
+class ProfessionDetailPage extends Page {
+  /** Assessment tables – one per delivery or a single roll-up */
+  get assessmentTables() {
+    return $$('main .govuk-table')
+  }
+
+  // ── Helper methods ────────────────────────────────────────────────────────
+
+  /**
+   * Navigate to a profession's page.
+   * @param {string} professionId - e.g. 'architecture'
+   */
+  async openProfession(professionId) {
+    await this.open(`/professions/${professionId}`)
+    await this.pageHeading.waitForDisplayed({ timeout: 10000 })
+  }
+
+  /**
+   * Every assessment row on the page, read with Table.read() and keyed
+   * `delivery`, `standard` and `status`. Tables grouped under a delivery
+   * heading get the heading as their `delivery` cell.
+   * @returns {Promise<Array<Object<string, import('../components/table.component.js').TableCell>>>}
+   */
+  async readAssessments() {
+    const rows = []
+    for (const element of await this.assessmentTables) {
+      const heading = await browser.execute((table) => {
+        const caption = table.querySelector('caption')
+        let node = table.previousElementSibling
+        while (node && !/^H[2-4]$/.test(node.tagName)) {
+          node = node.previousElementSibling
+        }
+        return (caption ?? node)?.textContent.trim() ?? ''
+      }, element)
+
+      const tableRows = await new Table(element).read({
+        columns: {
+          Delivery: 'delivery',
+          Project: 'delivery',
+          'Service Standard': 'standard',
+          Standard: 'standard',
+          Status: 'status',
+          'Compliance confidence': 'status'
+        }
+      })
+      for (const row of tableRows) {
+        rows.push({
+          delivery: { text: heading, href: null, tags: [] },
+          ...row
+        })
+      }
+    }
+    return rows
+  }
+}
+
+export default new ProfessionDetailPage()
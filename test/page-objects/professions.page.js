@@ -0,0 +1,64 @@
+import { Page } from './page.js'
+
+/**
+ * Page Object for the Professions list (/professions).
+ * Selectors derived from src/server/professions/views/index.njk
+ */
+class ProfessionsPage extends Page {
+  /** Links to each profession's page */
+  get professionLinks() {
+    return $$('main a[href^="/professions/"]')
+  }
+
+  /**
+   * Profession link by id.
+   * @param {string} professionId - e.g. 'architecture'
+   */
+  professionLink(professionId) {
+    return $(`main a[href="/professions/${professionId}"]`)
+  }
+
+  // ── Helper methods ────────────────────────────────────────────────────────
+
+  /**
+   * Navigate to the Professions list.
+   */
+  async openProfessionsPage() {
+    await this.open('/professions')
+    await this.pageHeading.waitForDisplayed({ timeout: 10000 })
+  }
+
+  /**
+   * Every profession listed, in page order.
+   * @returns {Promise<Array<{ id: string, label: string }>>}
+   */
+  async getProfessions() {
+    const professions = []
+    for (const link of await this.professionLinks) {
+      const href = await link.getAttribute('href')
+      professions.push({
+        id: href.replace('/professions/', ''),
+        label: (await link.getText()).trim()
+      })
+    }
+    return professions
+  }
+
+  /**
+   * Click a profession and wait for its page.
+   * @param {string} professionId
+   */
+  async clickProfession(professionId) {
+    await this.professionLink(professionId).click()
+    await browser.waitUntil(
+      async () =>
+        (await browser.getUrl()).includes(`/professions/${professionId}`),
+      {
+        timeout: 10000,
+        timeoutMsg: `Profession page for "${professionId}" did not load`
+      }
+    )
+  }
+}
+
+export default new ProfessionsPage()
@@ -0,0 +1,139 @@
+import { Page } from './page.js'
+import { Timeline } from '../components/timeline.component.js'
+
+/**
+ * Page Object for a profession's assessment history of one Service Standard,
+ * and the page that confirms archiving an entry.
+ * Covers /projects/:id/standards/:slug/professions/:profession/history
+ * and …/history/:historyId/archive
+ * Selectors derived from src/server/projects/standards/views/*.njk
+ */
+class StandardHistoryPage extends Page {
+  // ══════════════════════════════════════════════════════════════════════════
+  // History page (…/professions/:profession/history)
+  // ══════════════════════════════════════════════════════════════════════════
+
+  /** History entries, newest first */
+  get timeline() {
+    return new Timeline()
+  }
+
+  /** "Archive" links – admins only, on entries that are not archived */
+  get archiveLinks() {
+    return $$('a[href*="/history/"][href$="/archive"]')
+  }
+
+  /**
+   * "Archive" link of one entry.
+   * @param {string} historyId
+   */
+  archiveLink(historyId) {
+    return $(`a[href*="/history/${historyId}/archive"]`)
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Archive confirmation page (…/history/:historyId/archive)
+  // ══════════════════════════════════════════════════════════════════════════
+
+  /** Button that archives the entry */
+  get confirmArchiveButton() {
+    return $('form button[type="submit"]')
+  }
+
+  /** "Cancel" link back to the history */
+  get cancelArchiveLink() {
+    return $('a=Cancel')
+  }
+
+  // ── Persona-restricted controls ───────────────────────────────────────────
+
+  /**
+   * Which personas should see each restricted control, keyed by getter name.
+   * Checked by expectPersonaControls() in helpers/persona.helper.js.
+   */
+  get personaControls() {
+    return {
+      archiveLinks: ['admin']
+    }
+  }
+
+  // ── Helper methods ────────────────────────────────────────────────────────
+
+  /**
+   * Navigate to a profession's history of a standard.
+   * @param {string} projectId
+   * @param {string} standardSlug - e.g. 'standard-11'
+   * @param {string} professionId - e.g. 'architecture'
+   */
+  async openHistory(projectId, standardSlug, professionId) {
+    await this.open(
+      `/projects/${projectId}/standards/${standardSlug}/professions/${professionId}/history`
+    )
+    await this.timeline.waitForDisplayed({ timeout: 10000 })
+  }
+
+  /**
+   * Every entry as data, newest first.
+   * @returns {Promise<Array<{ historyId: string|null, title: string, text: string, archived: boolean }>>}
+   *   historyId is read from the entry's archive link, so it is null for
+   *   archived entries and for personas who cannot archive
+   */
+  async getEntries() {
+    const entries = []
+    for (const event of await this.timeline.events) {
+      const title = await event.$('.timeline__event-title')
+      const archiveLink = await event.$('a[href$="/archive"]')
+      const href = (await archiveLink.isExisting())
+        ? await archiveLink.getAttribute('href')
+        : null
+      entries.push({
+        historyId: href?.match(/\/history\/([^/]+)\/archive$/)?.[1] ?? null,
+        title: (await title.isExisting()) ? (await title.getText()).trim() : '',
+        text: (await event.getText()).trim(),
+        archived: ((await event.getAttribute('class')) ?? '').includes(
+          'timeline__event--archived'
+        )
+      })
+    }
+    return entries
+  }
+
+  /**
+   * Click an entry's "Archive" link and wait for the confirmation page.
+   * @param {string} historyId
+   */
+  async startArchive(historyId) {
+    await this.archiveLink(historyId).click()
+    await browser.waitUntil(
+      async () => (await browser.getUrl()).endsWith('/archive'),
+      { timeout: 10000, timeoutMsg: 'Archive confirmation page did not load' }
+    )
+  }
+
+  /**
+   * On the confirmation page, archive the entry and wait to leave the page.
+   */
+  async confirmArchive() {
+    await this.confirmArchiveButton.click()
+    await browser.waitUntil(
+      async () => !(await browser.getUrl()).includes('/archive'),
+      {
+        timeout: 15000,
+        timeoutMsg: 'Still on the archive page after confirming'
+      }
+    )
+  }
+
+  /**
+   * On the confirmation page, go back without archiving.
+   */
+  async cancelArchive() {
+    await this.cancelArchiveLink.click()
+    await browser.waitUntil(
+      async () => /\/history(\?|$)/.test(await browser.getUrl()),
+      { timeout: 10000, timeoutMsg: 'Did not return to the history page' }
+    )
+  }
+}
+
+export default new StandardHistoryPage()
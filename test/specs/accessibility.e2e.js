@@ -1,169 +1,63 @@
 import {
   initialiseAccessibilityChecking,
   analyseAccessibility,
+  checkAccessibilityBaseline,
   generateAccessibilityReports,
   generateAccessibilityReportIndex
 } from '../accessibility-checking.js'
-import allure from '@wdio/allure-reporter'
- 
-/**
- * Helper function to handle the username screen during Azure AD login
- */
-async function handleUsernameScreen() {
-  // Wait for page to be ready and stable
-  await browser.waitUntil(
-    async () => {
-      const readyState = await browser.execute(() => document.readyState)
-      return readyState === 'complete'
-    },
-    {
-      timeout: 10000,
-      timeoutMsg: 'Page did not load completely'
-    }
-  )
- 
-  // Wait for username input field and ensure it's interactable
-  const screenshot = await browser.takeScreenshot()
-      allure.addAttachment("Email id field", Buffer.from(screenshot, 'base64'), 'image/png')
-  const logs = await browser.getLogs('browser')
-  allure.addAttachment('Browser Logs',JSON.stringify(logs, null, 2),'text/plain')
-  const usernameInput = await $('input[type="email"]')
-  await expect(usernameInput).toBeDisplayed()
-  await expect(usernameInput).toBeEnabled()
- 
-  // Clear any existing value and enter username
-  await usernameInput.clearValue()
-  await usernameInput.setValue(process.env.TEST_USERNAME, { sensitive: true })
- 
-  // Find and click Next button
-  const nextButton = await $('input[type="submit"]')
-  await expect(nextButton).toBeDisplayed()
-  await expect(nextButton).toBeEnabled()
-  await nextButton.click()
- 
-  // Wait for navigation to password screen (password field appears)
-  await browser.waitUntil(
-    async () => {
-      const passwordInput = await $('input[type="password"]')
-      return await passwordInput.isExisting()
-    },
-    {
-      timeout: 15000,
-      timeoutMsg: 'Expected to navigate to password screen'
-    }
-  )
-}
- 
-/**
- * Helper function to handle the password screen during Azure AD login
- */
-async function handlePasswordScreen() {
-  // Wait for page to be ready and stable
-  await browser.waitUntil(
-    async () => {
-      const readyState = await browser.execute(() => document.readyState)
-      return readyState === 'complete'
-    },
-    {
-      timeout: 10000,
-      timeoutMsg: 'Page did not load completely'
-    }
-  )
- 
-  // Wait for password input field and ensure it's interactable
-  const passwordInput = await $('input[type="password"]')
-  await passwordInput.waitForDisplayed({ timeout: 15000 })
-  await expect(passwordInput).toBeDisplayed()
-  await expect(passwordInput).toBeEnabled()
- 
-  // Clear any existing value and enter password
-  await passwordInput.clearValue()
-  await passwordInput.setValue(process.env.TEST_PASSWORD, { sensitive: true })
- 
-  // Find and click Sign in button
-  const signInButton = await $('input[type="submit"]')
-  await expect(signInButton).toBeDisplayed()
-  await expect(signInButton).toBeEnabled()
-  await signInButton.click()
- 
-  // Check if "Stay signed in?" page appears and handle it
-  const currentUrl = await browser.getUrl()
-  if (currentUrl.includes('login.microsoftonline.com')) {
-    const pageText = await browser.execute(() => document.body.textContent)
-    if (pageText.includes('Stay signed in')) {
-      const yesButton = await $('input[type="submit"][value="Yes"]')
-      if (await yesButton.isExisting()) {
-        await yesButton.click()
-      }
-    }
-  }
- 
-  // Wait for final redirect away from Microsoft login
-  await browser.waitUntil(
-    async () => {
-      const url = await browser.getUrl()
-      return (
-        !url.includes('login.microsoftonline.com') &&
-        !url.includes('microsoft.com')
-      )
-    },
-    {
-      timeout: 20000,
-      timeoutMsg:
-        'Expected to be redirected after password entry and Stay signed in handling'
-    }
-  )
-}
- 
+import {
+  nonDefaultTabStates,
+  openAutocomplete,
+  openDetails,
+  scanStates,
+  submitEmpty
+} from '../accessibility/state-scan.js'
+import {
+  ENGINES,
+  mergeFindings,
+  normaliseAxeResults,
+  normaliseWcagResult
+} from '../accessibility/findings.js'
+import assuranceApi from '../api/assurance-api.client.js'
+import AssessmentPage from '../page-objects/assessment.page.js'
+import DeliveryPage from '../page-objects/delivery.page.js'
+import ManageDeliveryPage from '../page-objects/manage-delivery.page.js'
+import { standardsFor } from '../data/profession-standard-matrix.data.js'
+import { standardByNumber } from '../data/service-standards.data.js'
+import { waitForPageLoad } from '../helpers/delivery.helper.js'
+import { ensureSignedIn } from '../helpers/session.helper.js'
+import { createDelivery } from '../helpers/test-data-factory.helper.js'
+
 /**
- * Helper function to perform Azure AD login
+ * A new delivery with a Red assessment, so its status page suggests an
+ * update. It is deleted when the run completes.
  */
-async function performLogin() {
-  // Navigate to login page
-  await browser.url('/auth/login')
- 
-  // Wait for redirect to Microsoft login
-  await browser.waitUntil(
-    async () => {
-      const url = await browser.getUrl()
-      return (
-        url.includes('login.microsoftonline.com') ||
-        url.includes('microsoft.com/')
-      )
-    },
-    {
-      timeout: 30000,
-      timeoutMsg: 'Not redirected to Microsoft login page'
-    }
-  )
- 
-  await handleUsernameScreen()
-  await handlePasswordScreen()
- 
-  // Wait for redirect back to application and page to load
-  await browser.waitUntil(
-    async () => {
-      const url = await browser.getUrl()
-      return (
-        !url.includes('login.microsoftonline.com') &&
-        !url.includes('microsoft.com') &&
-        !url.includes('login')
-      )
-    },
+async function createDeliveryWithConcerns() {
+  const project = await createDelivery({
+    phase: 'Discovery',
+    status: 'AMBER',
+    label: 'AccessibilityStates'
+  })
+  const [standardNumber] = standardsFor('Discovery', 'architecture')
+  await assuranceApi.saveAssessment(
+    project.id,
+    standardByNumber(standardNumber).slug,
+    'architecture',
     {
-      timeout: 20000,
-      timeoutMsg: 'Expected to be redirected back to application'
+      status: 'RED',
+      commentary: `Accessibility states test: standard ${standardNumber} at Red`
     }
   )
+  return project
 }
- 
+
 describe('Accessibility Testing', () => {
   before(async () => {
     // Initialize accessibility checking
     await initialiseAccessibilityChecking()
  
-    // Perform login to access authenticated pages
-    await performLogin()
+    // Sign in (reusing the cached session if there is one) to access authenticated pages
+    await ensureSignedIn()
  
     // After login, we're redirected to home page, but we need to navigate to projects
     // for tests that require project functionality
@@ -764,6 +658,111 @@ describe('Accessibility Testing', () => {
     }
   })
  
+  describe('Interaction states', () => {
+    let project
+
+    before(async () => {
+      project = await createDeliveryWithConcerns()
+    })
+
+    it('should test add new project page accessibility when submitted empty', async () => {
+      await scanStates({
+        page: 'add-new-project-page',
+        open: async () => {
+          await DeliveryPage.openAddDeliveryForm()
+          await waitForPageLoad()
+        },
+        states: {
+          'empty-submit': submitEmpty(() => DeliveryPage.addDeliveryButton)
+        }
+      })
+    })
+
+    it('should test status update page accessibility with the suggested update open', async () => {
+      await scanStates({
+        page: 'status-update-page',
+        open: async () => {
+          await browser.url(`/projects/${project.id}/manage/status`)
+          await waitForPageLoad()
+        },
+        states: {
+          'suggested-update-open': openDetails(
+            () => ManageDeliveryPage.suggestedUpdateDetails
+          )
+        }
+      })
+    })
+
+    it('should test project detail page accessibility on each tab', async () => {
+      const open = async () => {
+        await browser.url(`/projects/${project.id}`)
+        await waitForPageLoad()
+      }
+      await scanStates({
+        page: 'project-detail-page',
+        open,
+        states: await nonDefaultTabStates(open)
+      })
+    })
+
+    it('should test projects page accessibility with the search suggestions open', async () => {
+      await scanStates({
+        page: 'authenticated-projects-page',
+        open: async () => {
+          await browser.url('/projects')
+          await waitForPageLoad()
+        },
+        states: {
+          'autocomplete-open': openAutocomplete(
+            AssessmentPage.projectSearch,
+            project.name
+          )
+        }
+      })
+    })
+  })
+
+  describe('Merging engine findings', () => {
+    it('should list a finding reported by both engines once, with both engines', () => {
+      const contrast = {
+        id: 'color-contrast',
+        impact: 'serious',
+        tags: ['wcag2aa', 'wcag143'],
+        help: 'Elements must meet minimum color contrast ratio thresholds',
+        helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/color-contrast',
+        nodes: [{ target: ['.govuk-hint'] }]
+      }
+      const url = 'http://localhost:3000/projects'
+
+      const merged = mergeFindings(
+        normaliseWcagResult({
+          axeViolations: [{ [`${url}[projects-page]`]: [contrast] }]
+        }),
+        normaliseAxeResults([{ ...contrast, impact: 'critical' }], {
+          page: 'projects-page',
+          url,
+          engine: ENGINES.axeCore
+        })
+      )
+
+      expect(merged).toHaveLength(1)
+      expect(merged[0]).toMatchObject({
+        page: 'projects-page',
+        rule: 'color-contrast',
+        selector: '.govuk-hint',
+        impact: 'critical',
+        engines: [ENGINES.wcagJs, ENGINES.axeCore]
+      })
+    })
+  })
+
+  // In a describe of its own so it runs after the interaction states
+  describe('Baseline', () => {
+    it('should not introduce new serious or critical accessibility issues', () => {
+      checkAccessibilityBaseline()
+    })
+  })
+
   after(async () => {
     // Generate individual reports for our accessibility tests
     generateAccessibilityReports('accessibility-tests')
@@ -7,24 +7,23 @@
  *   - Commentary inset text
  *   - Action links (Manage delivery / Add Service Standard update)
  *   - Tabs (Service Standard compliance, Delivery engagement)
- *   - All 15 Service Standards with initial 'Pending' compliance confidence
+ *   - All 14 Service Standards with initial 'Pending' compliance confidence
  *   - Delivery engagement timeline content
  *
- * Test data is parameterised via test/data/delivery.data.js
+ * Test data is parameterised via test/data/scenarios/add-delivery.yaml
+ * Created deliveries are deleted when the run completes
+ * (see helpers/test-data-registry.helper.js).
  */
 
 import DeliveryPage from '../page-objects/delivery.page.js'
-import AdminPage from '../page-objects/admin.page.js'
-import { deliveryScenarios, DELIVERY_RUN_ID } from '../data/delivery.data.js'
+import { deliveryScenarios } from '../data/delivery.data.js'
 import {
   verifyServiceStandardComplianceTable,
   verifyDeliveryEngagementTab,
   waitForPageLoad,
   signInAndNavigateToProjects
 } from '../helpers/delivery.helper.js'
-
-/** Track every delivery name created during this run so we can clean up */
-const createdDeliveryNames = []
+import { itScenarios } from '../helpers/scenario-loader.helper.js'
 
 describe('Add New Delivery', () => {
   before(async () => {
@@ -33,15 +32,14 @@ describe('Add New Delivery', () => {
   })
 
   // ── Parameterised scenarios ───────────────────────────────────────────────
-  for (const scenario of deliveryScenarios) {
-    it(`Scenario: ${scenario.scenarioName}`, async () => {
+  itScenarios(
+    deliveryScenarios,
+    (scenario) => `Scenario: ${scenario.scenarioName}`,
+    async (scenario) => {
       const data = {
         ...scenario
       }
 
-      // Track the delivery name for cleanup
-      createdDeliveryNames.push(data.deliveryName)
-
       // ── Arrange ────────────────────────────────────────────────────────────
 
       // Navigate to /projects and click "Add new delivery"
@@ -144,44 +142,6 @@ describe('Add New Delivery', () => {
       // ── Assert: Delivery engagement tab content ───────────────────────────
       await expect(DeliveryPage.engagementTimelineLabel).toBeDisplayed()
       await verifyDeliveryEngagementTab(data.deliveryCommentary, data.currentStatusLabel)
-    })
-  }
-
-  // ── Cleanup: Delete all deliveries created during this run ──────────────
-//   after(async () => {
-//     if (createdDeliveryNames.length === 0) return
-
-//     for (const name of createdDeliveryNames) {
-//       // Safety check – only delete deliveries whose name matches our run ID
-//       if (!name.includes(`AutoTest_${DELIVERY_RUN_ID}`)) {
-//         console.log(`⚠️  Skipping deletion of "${name}" – does not match run ID`)
-//         continue
-//       }
-
-//       try {
-//         // Navigate to Admin → Bulk Operations → View Deliveries
-//         await AdminPage.openBulkDeliveries()
-//         await waitForPageLoad()
-
-//         // Find the delivery row and click Delete
-//         const found = await AdminPage.deleteDeliveryByName(name)
-//         if (!found) {
-//           console.log(`⚠️  Delivery "${name}" not found in admin table – skipping`)
-//           continue
-//         }
-
-//         // Confirm deletion on the confirm-delete page
-//         await waitForPageLoad()
-//         await AdminPage.confirmDelete()
-//         await waitForPageLoad()
-
-//         // Verify success notification
-//         await expect(AdminPage.notificationBanner).toBeDisplayed()
-//         await expect(AdminPage.notificationBanner).toHaveText('Delivery deleted successfully', { containing: true })
-//         console.log(`  Deleted delivery: "${name}"`)
-//       } catch (err) {
-//         console.error(`❌  Failed to delete delivery "${name}":`, err.message)
-//       }
-//     }
-//   })
+    }
+  )
 })
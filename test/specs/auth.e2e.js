@@ -1,312 +1,11 @@
-import dotenv from 'dotenv'
-import allure from '@wdio/allure-reporter'
-
-// Load environment variables from .env file if present
-// This will not override existing environment variables
-dotenv.config()
-
-/**
- * Helper function to get credentials securely
- */
-const getCredentials = () => {
-  const username = process.env.TEST_USERNAME
-
-  if (!username) {
-    throw new Error(
-      'TEST_USERNAME and TEST_PASSWORD environment variables must be set.\n' +
-        'NEVER hardcode credentials in test files.'
-    )
-  }
-
-  return { username }
-}
-
-/**
- * Helper function to wait for and handle the username screen
- */
-async function handleUsernameScreen() {
-  // Wait for page to be ready and stable with a longer timeout for remote environments
-  await browser.waitUntil(
-    async () => {
-      const readyState = await browser.execute(() => document.readyState)
-      return readyState === 'complete'
-    },
-    {
-      timeout: 30000,
-      timeoutMsg: 'Page did not load completely'
-    }
-  )
-
-  async captureScreenshot(label) {
-    const screenshot = await browser.takeScreenshot()
-    allure.addAttachment(label, Buffer.from(screenshot, 'base64'), 'image/png')
-  }
-  
-  // Wait for Microsoft login page to be fully loaded
-  await browser.waitUntil(
-    async () => {
-      const url = await browser.getUrl()
-
-      const logs = await browser.getLogs('browser')
-      allure.addAttachment(
-      'Browser Logs',
-      JSON.stringify(logs, null, 2),
-      'text/plain')
-      this.captureScreenshot('Waiting for email field to be displayed')
-      
-      
-      return (
-        url.includes('login.microsoftonline.com') ||
-        url.includes('microsoft.com/') ||
-        url.includes('login.live.com')
-      )
-    },
-    {
-      timeout: 30000,
-      timeoutMsg: 'Not redirected to Microsoft login page'
-    }
-  )
-
-  // Wait for the page to be fully interactive
-  await browser.waitUntil(
-    async () => {
-      try {
-        // Try to find any input field on the page
-        const inputs = await $$('input')
-        return inputs.length > 0
-      } catch (e) {
-        return false
-      }
-    },
-    {
-      timeout: 30000,
-      timeoutMsg: 'Page not interactive'
-    }
-  )
-
-  // Try multiple selectors for the email input field
-  const emailSelectors = [
-    '#i0116', // Microsoft's specific ID for email input
-    'input[type="email"]',
-    'input[name="loginfmt"]',
-    'input[type="email"][name="loginfmt"]',
-    'input[data-bind*="email"]',
-    'input[placeholder*="email" i]',
-    'input[placeholder*="account" i]',
-    'input[aria-label*="email" i]',
-    'input[aria-label*="account" i]',
-    'input[type="text"]',
-    'input[name="email"]',
-    'input[id*="email"]',
-    'input[id*="account"]'
-  ]
-
-  let emailInput = null
-  for (const selector of emailSelectors) {
-    try {
-      const element = await $(selector)
-      // Wait for element to be displayed
-      await browser.waitUntil(
-        async () => {
-          try {
-            return await element.isDisplayed()
-          } catch (e) {
-            return false
-          }
-        },
-        {
-          timeout: 5000,
-          timeoutMsg: `Element ${selector} not displayed`
-        }
-      )
-      emailInput = element
-      break
-    } catch (e) {
-      continue
-    }
-  }
-
-  if (!emailInput) {
-    // Take screenshot for debugging
-    await browser.takeScreenshot()
-    throw new Error('Could not find email input field on Microsoft login page')
-  }
-
-  // Additional wait to ensure the field is truly ready
-  await browser.waitUntil(
-    async () => {
-      try {
-        return (
-          (await emailInput.isEnabled()) && (await emailInput.isDisplayed())
-        )
-      } catch (e) {
-        return false
-      }
-    },
-    {
-      timeout: 20000,
-      timeoutMsg: 'Email input field not ready for interaction'
-    }
-  )
-
-  // Clear any existing value and enter username
-  await emailInput.clearValue()
-  const { username } = getCredentials()
-  await emailInput.setValue(username)
-
-  // Find and click Next button - try multiple selectors
-  const nextButtonSelectors = [
-    '#idSIButton9', // Microsoft's specific ID for next button
-    'input[type="submit"]',
-    'input[value="Next"]',
-    'input[value="Sign in"]',
-    'input[type="submit"][value="Next"]',
-    'input[type="submit"][value="Sign in"]',
-    'button[type="submit"]',
-    'button:contains("Next")',
-    'button:contains("Sign in")'
-  ]
-
-  let nextButton = null
-  for (const selector of nextButtonSelectors) {
-    try {
-      const element = await $(selector)
-      // Wait for element to be displayed
-      await browser.waitUntil(
-        async () => {
-          try {
-            return await element.isDisplayed()
-          } catch (e) {
-            return false
-          }
-        },
-        {
-          timeout: 5000,
-          timeoutMsg: `Element ${selector} not displayed`
-        }
-      )
-      nextButton = element
-      break
-    } catch (e) {
-      continue
-    }
-  }
-
-  if (!nextButton) {
-    // Take screenshot for debugging
-    await browser.takeScreenshot()
-    throw new Error('Could not find Next button on Microsoft login page')
-  }
-
-  await expect(nextButton).toBeDisplayed()
-  await expect(nextButton).toBeEnabled()
-  await nextButton.click()
-
-  // Wait for navigation to complete and password field to appear
-  const passwordInput = await $('input[type="password"]')
-  await expect(passwordInput).toBeDisplayed()
-}
-
-/**
- * Helper function to wait for and handle the password screen
- */
-async function handlePasswordScreen() {
-  // Wait for page to be ready and stable
-  await browser.waitUntil(
-    async () => {
-      const readyState = await browser.execute(() => document.readyState)
-      return readyState === 'complete'
-    },
-    {
-      timeout: 10000,
-      timeoutMsg: 'Page did not load completely'
-    }
-  )
-
-  // Wait for password input field and ensure it's interactable
-  const passwordInput = await $('input[type="password"]')
-  await passwordInput.waitForDisplayed({ timeout: 15000 })
-  await expect(passwordInput).toBeDisplayed()
-  await expect(passwordInput).toBeEnabled()
-
-  // Clear any existing value and enter password
-  await passwordInput.clearValue()
-  await passwordInput.setValue(process.env.TEST_PASSWORD, { sensitive: true })
-
-  // Find and click Sign in button
-  const signInButton = await $('input[type="submit"]')
-  await expect(signInButton).toBeDisplayed()
-  await expect(signInButton).toBeEnabled()
-  await signInButton.click()
-
-  // Check if "Stay signed in?" page appears and handle it
-  const currentUrl = await browser.getUrl()
-  if (currentUrl.includes('login.microsoftonline.com')) {
-    const pageText = await browser.execute(() => document.body.textContent)
-    if (pageText.includes('Stay signed in')) {
-      const yesButton = await $('input[type="submit"][value="Yes"]')
-      if (await yesButton.isExisting()) {
-        await yesButton.click()
-      }
-    }
-  }
-
-  // Wait for final redirect away from Microsoft login
-  await browser.waitUntil(
-    async () => {
-      const url = await browser.getUrl()
-      return (
-        !url.includes('login.microsoftonline.com') &&
-        !url.includes('microsoft.com')
-      )
-    },
-    {
-      timeout: 20000,
-      timeoutMsg:
-        'Expected to be redirected after password entry and Stay signed in handling'
-    }
-  )
-}
-
-/**
- * Helper function to wait for and handle the authorization screen
- */
-async function handleAuthorizationScreen() {
-  // Wait for page to be ready
-  await browser.waitUntil(
-    async () => {
-      const readyState = await browser.execute(() => document.readyState)
-      return readyState === 'complete'
-    },
-    {
-      timeout: 10000,
-      timeoutMsg: 'Page did not load completely'
-    }
-  )
-
-  // Wait for and click the Continue button
-  const continueButton = await $('input[type="submit"]')
-  await expect(continueButton).toBeDisplayed()
-  await expect(continueButton).toBeEnabled()
-  await continueButton.click()
-
-  // Wait for navigation to complete
-  await browser.waitUntil(
-    async () => {
-      const url = await browser.getUrl()
-      return !url.includes('login.microsoftonline.com')
-    },
-    {
-      timeout: 10000,
-      timeoutMsg: 'Expected to be redirected after authorization'
-    }
-  )
-}
-
-/**
- * Helper function to wait for and handle the stay signed in screen
- */
-// Note: handleStaySignedInScreen function removed - now handled inline in the login flow
+import { completeLogin } from '../helpers/auth.helper.js'
+import { saveSession } from '../helpers/session.helper.js'
+import { registerProject } from '../helpers/test-data-registry.helper.js'
+import {
+  buildDelivery,
+  createDelivery,
+  uniqueDefCode
+} from '../helpers/test-data-factory.helper.js'
 
 describe('Authentication', () => {
   describe('Login Flow', () => {
@@ -319,57 +18,9 @@ describe('Authentication', () => {
     })
 
     it('should complete the Azure AD login flow and verify authentication', async () => {
-      // Wait for redirect to Microsoft login
-      await browser.waitUntil(
-        async () => {
-          const url = await browser.getUrl()
-          return (
-            url.includes('login.microsoftonline.com') ||
-            url.includes('microsoft.com/')
-          )
-        },
-        {
-          timeout: 30000,
-          timeoutMsg: 'Not redirected to Microsoft login page'
-        }
-      )
-
-      await handleUsernameScreen()
-      await handlePasswordScreen() // Now handles "Stay signed in?" page internally
-
-      try {
-        await handleAuthorizationScreen()
-      } catch (e) {
-        // Authorization screen not present, continuing...
-      }
-
-      // Wait for redirect back to application and page to load
-      await browser.waitUntil(
-        async () => {
-          const url = await browser.getUrl()
-          return (
-            !url.includes('login.microsoftonline.com') &&
-            !url.includes('microsoft.com') &&
-            !url.includes('login')
-          )
-        },
-        {
-          timeout: 20000,
-          timeoutMsg: 'Expected to be redirected back to application'
-        }
-      )
-
-      // Wait for the page to be fully loaded
-      await browser.waitUntil(
-        async () => {
-          const readyState = await browser.execute(() => document.readyState)
-          return readyState === 'complete'
-        },
-        {
-          timeout: 10000,
-          timeoutMsg: 'Expected page to be fully loaded'
-        }
-      )
+      // Drives every Microsoft screen (account picker, password, "Stay signed
+      // in?" etc.) and fails with a classified LoginError if one cannot be passed
+      await completeLogin()
 
       // Verify we're authenticated by checking for admin tab and sign out button
       const adminTab = await $('a[href="/admin"]')
@@ -379,6 +30,9 @@ describe('Authentication', () => {
       await expect(signOutButton).toBeDisplayed()
       await expect(signOutButton).toHaveText('Sign out')
 
+      // Let later specs reuse this login instead of repeating it
+      await saveSession()
+
       // Navigate to projects page to access project functionality
       await browser.url('/projects')
 
@@ -527,7 +181,8 @@ describe('Authentication', () => {
       )
 
       // Fill in project details
-      const projectName = `Test Project ${Date.now()}` // Unique name
+      const delivery = buildDelivery()
+      const projectName = delivery.name
       const nameInput = await $('input[name="name"]')
       await expect(nameInput).toBeDisplayed()
       await nameInput.setValue(projectName)
@@ -540,7 +195,7 @@ describe('Authentication', () => {
       // Add DEFRA Code (optional)
       const defCodeInput = await $('input[name="defCode"]')
       await expect(defCodeInput).toBeDisplayed()
-      await defCodeInput.setValue('TEST-' + Date.now())
+      await defCodeInput.setValue(delivery.defCode)
 
       // Wait for status select to be ready and check available options
       const statusSelect = await $('select[name="status"]')
@@ -574,6 +229,7 @@ describe('Authentication', () => {
             'Expected to be redirected to deliveries page with deliveries heading'
         }
       )
+      registerProject({ name: projectName })
 
       // Find and click the newly created project
       const projectLink = await $(`a.govuk-link*=${projectName}`)
@@ -805,7 +461,8 @@ describe('Authentication', () => {
       // Update project name
       const editNameInput = await $('input[name="name"]')
       await expect(editNameInput).toBeDisplayed()
-      await editNameInput.setValue(projectName + ' - Updated')
+      const updatedName = `${projectName}_Updated`
+      await editNameInput.setValue(updatedName)
 
       // Update phase
       const editPhaseSelect = await $('select[name="phase"]')
@@ -815,7 +472,7 @@ describe('Authentication', () => {
       // Update DEFRA code
       const editDefCodeInput = await $('input[name="defCode"]')
       await expect(editDefCodeInput).toBeDisplayed()
-      await editDefCodeInput.setValue('UPDATED-' + Date.now())
+      await editDefCodeInput.setValue(uniqueDefCode('Updated'))
 
       // Save changes
       const saveDetailsButton = await $('button.govuk-button=Save changes')
@@ -834,6 +491,8 @@ describe('Authentication', () => {
             'Expected to be redirected back to project page after details update'
         }
       )
+      // Cleanup looks deliveries up by name, so record the new one
+      registerProject({ name: updatedName })
     })
   })
 
@@ -867,92 +526,24 @@ describe('Authentication', () => {
 
       // Create projects for each phase
       for (const phaseInfo of projectPhases) {
-        const projectName = `${phaseInfo.phase} Test Project ${Date.now()}`
-
-        // Navigate to add project page
-        const addLink = await $('a.govuk-link[href="/projects/add"]')
-        await expect(addLink).toBeDisplayed()
-        await addLink.click()
-
-        // Wait for add project page
-        await browser.waitUntil(
-          async () => {
-            return (await browser.getUrl()).includes('/projects/add')
-          },
-          {
-            timeout: 10000,
-            timeoutMsg: 'Expected to be on add project page'
-          }
-        )
-
-        // Fill project details
-        const nameInput = await $('input[name="name"]')
-        await expect(nameInput).toBeDisplayed()
-        await nameInput.setValue(projectName)
-
-        // Select specific phase
-        const phaseSelect = await $('select[name="phase"]')
-        await expect(phaseSelect).toBeDisplayed()
-        await phaseSelect.selectByIndex(phaseInfo.index)
-
-        // Add DEFRA Code
-        const defCodeInput = await $('input[name="defCode"]')
-        await expect(defCodeInput).toBeDisplayed()
-        await defCodeInput.setValue(
-          `${phaseInfo.phase.toUpperCase()}-${Date.now()}`
-        )
-
-        // Set specific status for this project
-        const statusSelect = await $('select[name="status"]')
-        await expect(statusSelect).toBeDisplayed()
-
-        // Select the specific status for this project
-        // Note: PENDING and EXCLUDED are now available options alongside TBC
-        try {
-          await statusSelect.selectByAttribute('value', phaseInfo.status)
-        } catch (error) {
-          // Fallback to selecting by visible text if value doesn't work
-          await statusSelect.selectByVisibleText(phaseInfo.status)
-        }
-
-        // Add commentary
-        const commentaryInput = await $('textarea[name="commentary"]')
-        await expect(commentaryInput).toBeDisplayed()
-        await commentaryInput.setValue(
-          `${phaseInfo.phase} phase project for assessment testing - Status: ${phaseInfo.status} - TBC filtering test project`
-        )
-
-        // Submit form
-        const submitButton = await $('button[type="submit"]')
-        await expect(submitButton).toBeDisplayed()
-        await submitButton.click()
+        // Arrange the delivery through the API – the add form itself is
+        // covered by add-new-delivery.spec.js
+        const project = await createDelivery({
+          phase: phaseInfo.phase,
+          status: phaseInfo.status,
+          commentary: `${phaseInfo.phase} phase project for assessment testing - Status: ${phaseInfo.status} - TBC filtering test project`
+        })
+        const projectId = project.id
+        const projectName = project.name
 
-        // Wait for redirect to projects page
+        await browser.url(`/projects/${projectId}`)
         await browser.waitUntil(
           async () => {
             const heading = await $('h1.govuk-heading-xl')
-            if (await heading.isDisplayed()) {
-              const headingText = await heading.getText()
-              return headingText === 'Deliveries'
-            }
-            return false
-          },
-          {
-            timeout: 10000,
-            timeoutMsg: 'Expected to be redirected to deliveries page'
-          }
-        )
-
-        // Find the created project and navigate to it
-        const projectLink = await $(`a.govuk-link*=${projectName}`)
-        await expect(projectLink).toBeDisplayed()
-        await projectLink.click()
-
-        // Wait for project page
-        await browser.waitUntil(
-          async () => {
-            const url = await browser.getUrl()
-            return url.includes('/projects/') && !url.includes('/add')
+            return (
+              (await heading.isDisplayed()) &&
+              (await heading.getText()) === projectName
+            )
           },
           {
             timeout: 10000,
@@ -960,9 +551,6 @@ describe('Authentication', () => {
           }
         )
 
-        // Get project ID from URL for assessments
-        const currentUrl = await browser.getUrl()
-        const projectId = currentUrl.split('/projects/')[1].split('/')[0]
         testProjects.push({
           id: projectId,
           name: projectName,
@@ -0,0 +1,178 @@
+// test/specs/authorisation-matrix.e2e.js
+
+/**
+ * Authorisation matrix
+ *
+ * Opens every route in test/data/routes.data.js as every persona in
+ * test/data/personas.data.js and checks the persona is either let in or
+ * turned away, then checks the persona-restricted controls declared by the
+ * page objects.
+ *
+ * Personas without credentials configured are skipped (see asPersona).
+ *
+ * Test data: a new Discovery delivery with a status update and an
+ * assessment, created through the assurance-api so every route has
+ * something to open. It is deleted when the run completes (see
+ * helpers/test-data-registry.helper.js).
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import {
+  ROUTES,
+  ROUTE_ASSESSMENT,
+  ACCESS_DENIED_HEADING
+} from '../data/routes.data.js'
+import { isLoginProviderUrl } from '../helpers/auth.helper.js'
+import { waitForPageLoad } from '../helpers/delivery.helper.js'
+import { asPersona, expectPersonaControls } from '../helpers/persona.helper.js'
+import { createDelivery } from '../helpers/test-data-factory.helper.js'
+import DeliveryPage from '../page-objects/delivery.page.js'
+import HomePage from '../page-objects/home.page.js'
+
+/**
+ * Anonymous runs first: once a signed-in persona has been through the
+ * Microsoft login, the identity provider cookies would sign an "anonymous"
+ * browser straight back in when a protected route redirects to it.
+ */
+const PERSONA_ORDER = ['anonymous', 'standard', 'admin']
+
+/**
+ * Create a delivery with an update in its history and an assessment in
+ * ROUTE_ASSESSMENT's history, and return the ids the routes need.
+ * @returns {Promise<{ projectId: string, historyId: string, assessmentHistoryId: string }>}
+ */
+async function createRouteData() {
+  const project = await createDelivery({
+    phase: 'Discovery',
+    status: 'GREEN',
+    label: 'Authorisation'
+  })
+  await assuranceApi.updateProject(project.id, {
+    status: 'AMBER',
+    commentary: 'Authorisation matrix: status update to archive'
+  })
+  await assuranceApi.saveAssessment(
+    project.id,
+    ROUTE_ASSESSMENT.standard,
+    ROUTE_ASSESSMENT.professionId,
+    { status: 'GREEN', commentary: 'Authorisation matrix: assessment' }
+  )
+
+  const [update] = await assuranceApi.getProjectHistory(project.id)
+  const [assessment] = await assuranceApi.getAssessmentHistory(
+    project.id,
+    ROUTE_ASSESSMENT.standard,
+    ROUTE_ASSESSMENT.professionId
+  )
+  if (!update || !assessment) {
+    throw new Error(
+      `The assurance-api recorded no history for delivery ${project.id}`
+    )
+  }
+  return {
+    projectId: project.id,
+    historyId: update.id,
+    assessmentHistoryId: assessment.id
+  }
+}
+
+/**
+ * Replace a route's placeholders, e.g. ':projectId', with ids.
+ * @param {string} path
+ * @param {Object<string, string>} ids
+ * @returns {string}
+ */
+function fillRoute(path, ids) {
+  return path.replace(
+    /:(\w+)/g,
+    (placeholder, name) => ids[name] ?? placeholder
+  )
+}
+
+/**
+ * Open a route and report whether the persona ended up on it.
+ * @param {string} path - route with placeholders already filled in
+ * @returns {Promise<{ allowed: boolean, url: string, heading: string }>}
+ */
+async function openRoute(path) {
+  await browser.url(path)
+  await waitForPageLoad(15000)
+
+  const url = await browser.getUrl()
+  const headingElement = await $('h1')
+  const heading = (await headingElement.isExisting())
+    ? await headingElement.getText()
+    : ''
+
+  const onRoute =
+    !isLoginProviderUrl(url) && new URL(url).pathname === path.split('?')[0]
+
+  return {
+    allowed: onRoute && !ACCESS_DENIED_HEADING.test(heading),
+    url,
+    heading
+  }
+}
+
+describe('Authorisation matrix', () => {
+  let ids
+
+  before(async () => {
+    ids = await createRouteData()
+  })
+
+  for (const personaKey of PERSONA_ORDER) {
+    asPersona(personaKey, (persona) => {
+      describe('routes', () => {
+        for (const route of ROUTES) {
+          const expectedAllowed = route.personas.includes(personaKey)
+
+          it(`${expectedAllowed ? 'can' : 'cannot'} open ${route.name} (${route.path})`, async () => {
+            const path = fillRoute(route.path, ids)
+            const { allowed, url, heading } = await openRoute(path)
+
+            if (allowed !== expectedAllowed) {
+              throw new Error(
+                `${persona.label} ${expectedAllowed ? 'should' : 'should not'} be able to open ${path}, ` +
+                  `but ended on ${url} with heading "${heading}"`
+              )
+            }
+          })
+        }
+      })
+
+      describe('controls', () => {
+        it('should show the header links for this persona', async () => {
+          await HomePage.open()
+          await waitForPageLoad()
+          await expectPersonaControls(HomePage, personaKey)
+        })
+
+        it('should show "Add new delivery" only to permitted personas', async () => {
+          await DeliveryPage.openProjectsPage()
+          await waitForPageLoad()
+          await expectPersonaControls(DeliveryPage, personaKey, [
+            'addNewDeliveryLink'
+          ])
+        })
+
+        it('should show the delivery management controls only to permitted personas', async () => {
+          await DeliveryPage.open(`/projects/${ids.projectId}`)
+          await waitForPageLoad()
+          await expectPersonaControls(DeliveryPage, personaKey, [
+            'manageDeliveryLink',
+            'addServiceStandardUpdateLink',
+            'professionUpdatesTab'
+          ])
+
+          // The created delivery has an update, so edit / archive are shown
+          await DeliveryPage.deliveryEngagementTab.click()
+          await expectPersonaControls(DeliveryPage, personaKey, [
+            'editUpdateLink',
+            'archiveUpdateLink'
+          ])
+        })
+      })
+    })
+  }
+})
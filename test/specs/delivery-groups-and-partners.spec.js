@@ -0,0 +1,143 @@
+/**
+ * Spec: Delivery group and delivery partner pages
+ *
+ * Covers the pages linked from "Deliveries by Delivery Group" and
+ * "Deliveries by Delivery Partner" on the home page:
+ *   - Each delivery group page lists exactly the deliveries in that group
+ *   - Each delivery partner page lists exactly the deliveries it works on
+ *   - Changing a delivery's group through /projects/:id/manage/details moves
+ *     it from one group page to the other
+ *
+ * What belongs where is read from the assurance-api just after each page is
+ * read. Deliveries created by other workers at that moment can make the
+ * listing checks fail when running in parallel, so run this spec on its own
+ * if that happens.
+ *
+ * Test data: the delivery groups seeded for the manage delivery projects
+ * (MANAGE_DELIVERY_TEST_PROJECT_DETAILS1/2 in delivery.data.js), and new
+ * deliveries created through the assurance-api and deleted when the run
+ * completes (see helpers/test-data-registry.helper.js). No delivery partners
+ * are seeded, so one is created the same way and linked to a new delivery.
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import DeliveryGroupPage from '../page-objects/delivery-group.page.js'
+import DeliveryPartnerPage from '../page-objects/delivery-partner.page.js'
+import HomePage from '../page-objects/home.page.js'
+import ManageDeliveryPage from '../page-objects/manage-delivery.page.js'
+import {
+  MANAGE_DELIVERY_TEST_PROJECT_DETAILS1,
+  MANAGE_DELIVERY_TEST_PROJECT_DETAILS2
+} from '../data/delivery.data.js'
+import {
+  signInAndNavigateToProjects,
+  waitForPageLoad
+} from '../helpers/delivery.helper.js'
+import {
+  expectListedDeliveries,
+  groupDeliveries,
+  partnerDeliveries
+} from '../helpers/delivery-listing.helper.js'
+import {
+  navigateToDetailsUpdate,
+  waitForSuccessNotification
+} from '../helpers/manage-delivery.helper.js'
+import {
+  createDelivery,
+  createDeliveryPartner
+} from '../helpers/test-data-factory.helper.js'
+
+describe('Delivery groups and partners', () => {
+  let partner
+
+  before(async () => {
+    const project = await createDelivery({ label: 'PartnerListing' })
+    partner = await createDeliveryPartner()
+    await assuranceApi.addProjectDeliveryPartner(project.id, partner.id)
+
+    await signInAndNavigateToProjects()
+  })
+
+  it('should list exactly the deliveries in each delivery group', async () => {
+    await HomePage.open()
+    await waitForPageLoad()
+    const groups = await HomePage.getDeliveryGroups()
+    expect(groups.length).toBeGreaterThan(0)
+
+    for (const { id, name } of groups) {
+      await DeliveryGroupPage.openGroup(id)
+      await expectListedDeliveries(
+        DeliveryGroupPage,
+        await groupDeliveries(id),
+        `Delivery group "${name}"`
+      )
+    }
+  })
+
+  it('should list exactly the deliveries each delivery partner works on', async () => {
+    await HomePage.open()
+    await waitForPageLoad()
+    const partners = await HomePage.getDeliveryPartners()
+    expect(partners.map(({ id }) => id)).toContain(partner.id)
+
+    for (const { id, name } of partners) {
+      await DeliveryPartnerPage.openPartner(id)
+      await expectListedDeliveries(
+        DeliveryPartnerPage,
+        await partnerDeliveries(id),
+        `Delivery partner "${name}"`
+      )
+    }
+  })
+
+  describe('Moving a delivery to another group', () => {
+    let fromGroup
+    let toGroup
+    let project
+
+    before(async () => {
+      const groups = await assuranceApi.listDeliveryGroups()
+      const byName = (name) => {
+        const group = groups.find((candidate) => candidate.name === name)
+        if (!group) {
+          throw new Error(
+            `Delivery group "${name}" not found at ${assuranceApi.baseUrl}. ` +
+              'Reseed the database (docker compose down -v && docker compose up).'
+          )
+        }
+        return group
+      }
+      fromGroup = byName(MANAGE_DELIVERY_TEST_PROJECT_DETAILS1.deliveryGroup)
+      toGroup = byName(MANAGE_DELIVERY_TEST_PROJECT_DETAILS2.deliveryGroup)
+
+      project = await createDelivery({
+        deliveryGroupId: fromGroup.id,
+        label: 'GroupMove'
+      })
+    })
+
+    it('should list the delivery on its group page', async () => {
+      await DeliveryGroupPage.openGroup(fromGroup.id)
+      const shown = await DeliveryGroupPage.getDeliveries()
+      expect(shown.map(({ id }) => id)).toContain(project.id)
+    })
+
+    it('should move the delivery to the new group page when its group is changed', async () => {
+      await navigateToDetailsUpdate(project.id)
+      await ManageDeliveryPage.updateDetails({ deliveryGroup: toGroup.name })
+      await waitForSuccessNotification()
+
+      await DeliveryGroupPage.openGroup(toGroup.id)
+      const inNewGroup = await DeliveryGroupPage.getDeliveries()
+      expect(inNewGroup.map(({ id }) => id)).toContain(project.id)
+
+      await DeliveryGroupPage.openGroup(fromGroup.id)
+      const inOldGroup = await DeliveryGroupPage.getDeliveries()
+      expect(inOldGroup.map(({ id }) => id)).not.toContain(project.id)
+    })
+  })
+
+  after(async () => {
+    await browser.deleteAllCookies()
+  })
+})
@@ -0,0 +1,80 @@
+/**
+ * Spec: Insights prioritisation
+ *
+ * Checks /insights/prioritisation ranks deliveries as expected:
+ *   - Status groups are listed worst first
+ *   - Each test delivery is listed under its status group
+ *   - Within a group, deliveries with more Red, then more Amber, standards come first
+ *   - Each delivery links to its page
+ *   - A delivery moves group when its status changes
+ *
+ * Test data: test/data/insights.data.js. The deliveries and their assessments
+ * are created through the assurance-api and deleted when the run completes
+ * (see helpers/test-data-registry.helper.js).
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import InsightsPage from '../page-objects/insights.page.js'
+import {
+  PRIORITISATION_DELIVERIES,
+  PRIORITY_GROUPS
+} from '../data/insights.data.js'
+import { signInAndNavigateToProjects } from '../helpers/delivery.helper.js'
+import {
+  createPrioritisationDeliveries,
+  expectPrioritisation
+} from '../helpers/insights.helper.js'
+
+describe('Insights prioritisation', () => {
+  let deliveries = []
+
+  before(async () => {
+    deliveries = await createPrioritisationDeliveries(PRIORITISATION_DELIVERIES)
+    await signInAndNavigateToProjects()
+  })
+
+  it('should list the status groups worst first', async () => {
+    await InsightsPage.openPrioritisation()
+
+    const groups = []
+    for (const { group } of await InsightsPage.readPrioritisation()) {
+      if (!groups.includes(group.text)) {
+        groups.push(group.text)
+      }
+    }
+    // The test deliveries cover every group, so all of them must be listed
+    const expected = PRIORITY_GROUPS.map(({ label }) => label)
+    expect(groups.filter((group) => expected.includes(group))).toEqual(expected)
+  })
+
+  it('should list each test delivery under its status group, in priority order', async () => {
+    await InsightsPage.openPrioritisation()
+    await expectPrioritisation(deliveries)
+  })
+
+  it('should link each test delivery to its page', async () => {
+    await InsightsPage.openPrioritisation()
+
+    const rows = await InsightsPage.readPrioritisation()
+    for (const { id, name } of deliveries) {
+      const row = rows.find(({ delivery }) => delivery?.text === name)
+      expect(row?.delivery.href).toMatch(new RegExp(`/projects/${id}$`))
+    }
+  })
+
+  it('should move a delivery up when its status gets worse', async () => {
+    const green = deliveries.find(({ status }) => status === 'GREEN')
+    await assuranceApi.updateProject(green.id, {
+      status: 'RED',
+      commentary: 'Prioritisation test: moved from Green to Red'
+    })
+    green.status = 'RED'
+
+    await InsightsPage.openPrioritisation()
+    await expectPrioritisation(deliveries)
+  })
+
+  after(async () => {
+    await browser.deleteAllCookies()
+  })
+})
@@ -0,0 +1,94 @@
+/**
+ * Spec: Keyboard-only navigation
+ *
+ * Service Standard 5 ("Make sure everyone can use the service") needs every
+ * journey to work without a mouse. For each form page:
+ *   - The first Tab stop is a skip link that moves focus to the main content
+ *   - Tab reaches the controls in the order declared in the page object's
+ *     focusOrder, with a visible focus indicator at every stop
+ *   - Focus is never trapped
+ *   - Each control can be operated with the keyboard
+ *
+ * See helpers/keyboard.helper.js.
+ *
+ * Test data: a new delivery created through the assurance-api and deleted
+ * when the run completes (see helpers/test-data-registry.helper.js). Nothing
+ * is submitted.
+ */
+
+import AssessmentPage from '../page-objects/assessment.page.js'
+import DeliveryPage from '../page-objects/delivery.page.js'
+import ManageDeliveryPage from '../page-objects/manage-delivery.page.js'
+import {
+  signInAndNavigateToProjects,
+  waitForPageLoad
+} from '../helpers/delivery.helper.js'
+import {
+  expectKeyboardAccess,
+  expectSkipLink
+} from '../helpers/keyboard.helper.js'
+import { createDelivery } from '../helpers/test-data-factory.helper.js'
+
+/** Pages checked, each with the path it opens at and its focusOrder view */
+const KEYBOARD_PAGES = [
+  {
+    name: 'Add delivery',
+    path: () => '/projects/add',
+    page: DeliveryPage,
+    view: 'addDelivery'
+  },
+  {
+    name: 'Manage delivery',
+    path: (projectId) => `/projects/${projectId}/manage`,
+    page: ManageDeliveryPage,
+    view: 'selection'
+  },
+  {
+    name: 'Update delivery status',
+    path: (projectId) => `/projects/${projectId}/manage/status`,
+    page: ManageDeliveryPage,
+    view: 'status'
+  },
+  {
+    name: 'Update delivery details',
+    path: (projectId) => `/projects/${projectId}/manage/details`,
+    page: ManageDeliveryPage,
+    view: 'details'
+  },
+  {
+    name: 'Add Service Standard update',
+    path: (projectId) => `/projects/${projectId}/assessment`,
+    page: AssessmentPage,
+    view: 'addAssessment'
+  }
+]
+
+describe('Keyboard-only navigation', () => {
+  let project
+
+  before(async () => {
+    project = await createDelivery({ status: 'GREEN', label: 'Keyboard' })
+    await signInAndNavigateToProjects()
+  })
+
+  for (const { name, path, page, view } of KEYBOARD_PAGES) {
+    describe(name, () => {
+      beforeEach(async () => {
+        await browser.url(path(project.id))
+        await waitForPageLoad()
+      })
+
+      it('should move focus to the main content from the skip link', async () => {
+        await expectSkipLink()
+      })
+
+      it('should reach and operate every control in order with the keyboard', async () => {
+        await expectKeyboardAccess(page, view)
+      })
+    })
+  }
+
+  after(async () => {
+    await browser.deleteAllCookies()
+  })
+})
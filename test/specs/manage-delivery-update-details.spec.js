@@ -8,7 +8,7 @@
  *   - Successful save with notification
  *   - Updated values reflected in the sidebar
  *   - Delivery engagement tab showing detail change entries
- *   - Original values restored after all tests
+ *   - Original values restored after all tests, even if a scenario fails
  *
  * Test data uses existing project: CP_Test Project
  * Parameterised scenarios for each of the 5 GDS phases
@@ -28,12 +28,16 @@ import {
   navigateToDetailsUpdate,
   waitForSuccessNotification
 } from '../helpers/manage-delivery.helper.js'
+import { useSharedProject } from '../helpers/project-allocator.helper.js'
 
 const detailsScenarios = generateDetailsUpdateScenarios()
 
 describe('Manage Delivery - Update Details', () => {
   let projectId = ''
-  let originalDetails = null
+
+  // This worker's copy of the project when running in parallel; otherwise the
+  // project itself, with its name, phase and ID restored afterwards
+  const project = useSharedProject(MANAGE_DELIVERY_TEST_PROJECT2)
 
   before(async () => {
     // Navigate like a real user: Home → Sign in → View all deliveries
@@ -45,7 +49,7 @@ describe('Manage Delivery - Update Details', () => {
       await DeliveryPage.openProjectsPage()
       await waitForPageLoad()
 
-      const projectLink = $(`a*=${MANAGE_DELIVERY_TEST_PROJECT2}`)
+      const projectLink = $(`a*=${project.name}`)
       await expect(projectLink).toBeDisplayed()
       await projectLink.click()
       await waitForPageLoad()
@@ -57,18 +61,15 @@ describe('Manage Delivery - Update Details', () => {
       projectId = match[1]
     })
 
-    it('should navigate to details page and capture original values', async () => {
+    it('should navigate to details page', async () => {
       await navigateToDetailsUpdate(projectId)
-
-      // Capture original values so we can restore later
-      originalDetails = await ManageDeliveryPage.captureCurrentDetails()
     })
   })
 
   describe('Verify details update page elements', () => {
     it('should display all expected form elements on the details page', async () => {
       // Already on details page from previous step
-      await verifyDetailsUpdatePage(MANAGE_DELIVERY_TEST_PROJECT2)
+      await verifyDetailsUpdatePage(project.name)
     })
   })
 
@@ -112,27 +113,6 @@ describe('Manage Delivery - Update Details', () => {
     })
   })
 
-  describe('Restore original details', () => {
-    it('should restore the project to its original details', async () => {
-      await navigateToDetailsUpdate(projectId)
-
-      // Restore original values
-      await ManageDeliveryPage.updateDetails({
-        name: originalDetails.name,
-        phase: originalDetails.phase,
-        defCode: originalDetails.defCode
-      })
-
-      await waitForSuccessNotification()
-
-      // Verify sidebar shows original details
-      await verifyProjectSidebarDetails({
-        deliveryId: originalDetails.defCode,
-        phase: originalDetails.phase
-      })
-    })
-  })
-
   after(async () => {
     await browser.deleteAllCookies()
   })
@@ -11,18 +11,18 @@
  *   - Updated values on delivery detail page
  *   - Delivery engagement tab showing the update
  *   - Edit via "Edit this update" link from engagement tab
+ *   - Original status and commentary restored after all tests
  *
  * Test data uses existing project: CP_Test Project
- * Parameterised scenarios for each of the 7 status values
+ * Parameterised scenarios for each status in test/data/scenarios/status-update.yaml
  */
 
 import DeliveryPage from '../page-objects/delivery.page.js'
 import ManageDeliveryPage from '../page-objects/manage-delivery.page.js'
 import {
-  DELIVERY_STATUSES,
   MANAGE_DELIVERY_TEST_PROJECT1,
   MANAGE_DELIVERY_TEST_PROJECT_DETAILS1,
-  formatTimestamp
+  generateStatusUpdateScenarios
 } from '../data/delivery.data.js'
 import { waitForPageLoad, signInAndNavigateToProjects } from '../helpers/delivery.helper.js'
 import {
@@ -34,12 +34,20 @@ import {
   verifyProjectSidebarDetails,
   waitForSuccessNotification
 } from '../helpers/manage-delivery.helper.js'
+import { useSharedProject } from '../helpers/project-allocator.helper.js'
+import { itScenarios } from '../helpers/scenario-loader.helper.js'
+
+const statusScenarios = generateStatusUpdateScenarios()
 
 describe('Manage Delivery - Update Status and Commentary', () => {
   let projectId = ''
   let existingStatus = ''
   let standardsRequiringAttention = []
 
+  // This worker's copy of the project when running in parallel; otherwise the
+  // project itself, with its status and commentary restored afterwards
+  const project = useSharedProject(MANAGE_DELIVERY_TEST_PROJECT1)
+
   before(async () => {
     // Navigate like a real user: Home → Sign in → View all deliveries
     await signInAndNavigateToProjects()
@@ -52,7 +60,7 @@ describe('Manage Delivery - Update Status and Commentary', () => {
       await waitForPageLoad()
 
       // Find and click on the test project
-      const projectLink = $(`a*=${MANAGE_DELIVERY_TEST_PROJECT1}`)
+      const projectLink = $(`a*=${project.name}`)
       await expect(projectLink).toBeDisplayed()
       await projectLink.click()
       await waitForPageLoad()
@@ -66,31 +74,21 @@ describe('Manage Delivery - Update Status and Commentary', () => {
       projectId = url.split('/projects/')[1].split('/')[0].split('?')[0]
 
       // Verify project detail page loaded
-      await expect(DeliveryPage.deliveryHeading).toHaveText(MANAGE_DELIVERY_TEST_PROJECT1, { containing: true })
+      await expect(DeliveryPage.deliveryHeading).toHaveText(project.name, { containing: true })
     })
 
     it('should capture compliance confidence statuses (Red/Amber) for Standards Requiring Attention', async () => {
       // Ensure compliance tab is visible (default)
       await expect($('#compliance')).toBeDisplayed()
 
-      // Get all compliance table rows and find Red/Amber statuses
-      const rows = await DeliveryPage.complianceTableRows
-      standardsRequiringAttention = []
-
-      for (const row of rows) {
-        const cells = await row.$$('td')
-        if (cells.length >= 2) {
-          const statusText = await cells[1].getText()
-          // Check for Red or Amber status (not Green, Pending, etc.)
-          if (statusText.includes('Red') || statusText.includes('Amber')) {
-            const standardText = await cells[0].getText()
-            standardsRequiringAttention.push({
-              standard: standardText,
-              status: statusText
-            })
-          }
-        }
-      }
+      // Read the compliance table and keep the Red/Amber statuses (not Green, Pending, etc.)
+      const rows = await DeliveryPage.complianceTable.read()
+      standardsRequiringAttention = rows
+        .filter(({ complianceConfidence }) => /Red|Amber/.test(complianceConfidence?.text ?? ''))
+        .map(({ point, complianceConfidence }) => ({
+          standard: point.text,
+          status: complianceConfidence.text
+        }))
 
       // Log captured standards (optional - for debugging)
       if (standardsRequiringAttention.length > 0) {
@@ -100,16 +98,17 @@ describe('Manage Delivery - Update Status and Commentary', () => {
   })
 
   describe('Update Status via Manage Delivery link', () => {
-    // Generate test scenarios for each status
-    for (const targetStatus of DELIVERY_STATUSES) {
-      it(`should update delivery status to ${targetStatus.label}`, async () => {
-        const formattedTime = formatTimestamp(new Date())
-        const newCommentary = `Status updated to ${targetStatus.label} - ${formattedTime}`
+    // One test per status scenario
+    itScenarios(
+      statusScenarios,
+      (scenario) => `should update delivery status to ${scenario.targetStatusLabel}`,
+      async (scenario) => {
+        const { targetStatus, targetStatusLabel, newCommentary } = scenario
 
         // Navigate to project and click Manage delivery
         await browser.url(`/projects/${projectId}`)
         await waitForPageLoad()
-        await expect(DeliveryPage.deliveryHeading).toHaveText(MANAGE_DELIVERY_TEST_PROJECT1, { containing: true })
+        await expect(DeliveryPage.deliveryHeading).toHaveText(project.name, { containing: true })
 
         await expect(DeliveryPage.manageDeliveryLink).toBeDisplayed()
         await DeliveryPage.manageDeliveryLink.click()
@@ -120,7 +119,7 @@ describe('Manage Delivery - Update Status and Commentary', () => {
           async () => (await browser.getUrl()).includes('/manage'),
           { timeout: 10000, timeoutMsg: 'URL did not contain /manage' }
         )
-        await verifyManageDeliverySelectionPage(MANAGE_DELIVERY_TEST_PROJECT1)
+        await verifyManageDeliverySelectionPage(project.name)
 
         // Select status update and continue
         await ManageDeliveryPage.updateStatusRadio.click()
@@ -132,12 +131,12 @@ describe('Manage Delivery - Update Status and Commentary', () => {
           async () => (await browser.getUrl()).includes('/manage/status'),
           { timeout: 10000, timeoutMsg: 'URL did not contain /manage/status' }
         )
-        await verifyStatusUpdatePage(MANAGE_DELIVERY_TEST_PROJECT1, false)
+        await verifyStatusUpdatePage(project.name, false)
 
         // Capture existing status and skip if same as target
         existingStatus = await ManageDeliveryPage.getCurrentStatusValue()
-        if (existingStatus === targetStatus.value) {
-          console.log(`Skipping: current status is already ${targetStatus.label}`)
+        if (existingStatus === targetStatus) {
+          console.log(`Skipping: current status is already ${targetStatusLabel}`)
           return
         }
 
@@ -145,7 +144,7 @@ describe('Manage Delivery - Update Status and Commentary', () => {
         await verifyStandardsRequiringAttentionSection(standardsRequiringAttention)
 
         // Update status and commentary
-        await ManageDeliveryPage.currentStatusDropdown.selectByAttribute('value', targetStatus.value)
+        await ManageDeliveryPage.currentStatusDropdown.selectByAttribute('value', targetStatus)
         await ManageDeliveryPage.projectCommentaryTextarea.clearValue()
         await ManageDeliveryPage.projectCommentaryTextarea.setValue(newCommentary)
         await ManageDeliveryPage.saveChangesButton.click()
@@ -154,7 +153,7 @@ describe('Manage Delivery - Update Status and Commentary', () => {
         await waitForSuccessNotification()
 
         // Verify updated values on detail page
-        await verifyStatusUpdateSuccess(newCommentary, targetStatus.label)
+        await verifyStatusUpdateSuccess(newCommentary, targetStatusLabel)
 
         // Verify project sidebar details (Delivery ID, Phase, Delivery group)
         await verifyProjectSidebarDetails(MANAGE_DELIVERY_TEST_PROJECT_DETAILS1)
@@ -164,16 +163,17 @@ describe('Manage Delivery - Update Status and Commentary', () => {
 
         // Also verify sidebar in engagement tab
         await verifyProjectSidebarDetails(MANAGE_DELIVERY_TEST_PROJECT_DETAILS1)
-      })
-    }
+      }
+    )
   })
 
   describe('Update Status via Edit this update link', () => {
-    // Generate test scenarios for each status via Edit link
-    for (const targetStatus of DELIVERY_STATUSES) {
-      it(`should edit and update status to ${targetStatus.label} from Delivery engagement tab`, async () => {
-        const formattedTime = formatTimestamp(new Date())
-        const editedCommentary = `Edited to ${targetStatus.label} via Edit link - ${formattedTime}`
+    // One test per status scenario, via the Edit link
+    itScenarios(
+      statusScenarios,
+      (scenario) => `should edit and update status to ${scenario.targetStatusLabel} from Delivery engagement tab`,
+      async (scenario) => {
+        const { targetStatus, targetStatusLabel, editedCommentary } = scenario
 
         // Navigate to project detail page
         await browser.url(`/projects/${projectId}`)
@@ -207,17 +207,17 @@ describe('Manage Delivery - Update Status and Commentary', () => {
           async () => (await browser.getUrl()).includes('/manage/status'),
           { timeout: 10000, timeoutMsg: 'URL did not contain /manage/status' }
         )
-        await verifyStatusUpdatePage(MANAGE_DELIVERY_TEST_PROJECT1, true)
+        await verifyStatusUpdatePage(project.name, true)
 
         // Capture existing status and skip if same as target
         existingStatus = await ManageDeliveryPage.getCurrentStatusValue()
-        if (existingStatus === targetStatus.value) {
-          console.log(`Skipping: current status is already ${targetStatus.label}`)
+        if (existingStatus === targetStatus) {
+          console.log(`Skipping: current status is already ${targetStatusLabel}`)
           return
         }
 
         // Update status and commentary
-        await ManageDeliveryPage.currentStatusDropdown.selectByAttribute('value', targetStatus.value)
+        await ManageDeliveryPage.currentStatusDropdown.selectByAttribute('value', targetStatus)
         await ManageDeliveryPage.projectCommentaryTextarea.clearValue()
         await ManageDeliveryPage.projectCommentaryTextarea.setValue(editedCommentary)
         await ManageDeliveryPage.saveChangesButton.click()
@@ -226,7 +226,7 @@ describe('Manage Delivery - Update Status and Commentary', () => {
         await waitForSuccessNotification()
 
         // Verify updated values on detail page
-        await verifyStatusUpdateSuccess(editedCommentary, targetStatus.label)
+        await verifyStatusUpdateSuccess(editedCommentary, targetStatusLabel)
 
         // Verify project sidebar details
         await verifyProjectSidebarDetails(MANAGE_DELIVERY_TEST_PROJECT_DETAILS1)
@@ -236,7 +236,7 @@ describe('Manage Delivery - Update Status and Commentary', () => {
 
         // Also verify sidebar in engagement tab
         await verifyProjectSidebarDetails(MANAGE_DELIVERY_TEST_PROJECT_DETAILS1)
-      })
-    }
+      }
+    )
   })
 })
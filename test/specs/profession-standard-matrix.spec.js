@@ -0,0 +1,123 @@
+/**
+ * Spec: Profession–Standard Matrix drift check
+ *
+ * Reads the profession–standard matrix from the running app and compares it
+ * with our copy in test/data/profession-standard-matrix.data.js:
+ *   • For each phase, open that phase's test project
+ *   • Click "Add Service Standard update"
+ *   • Select every profession in the dropdown and record the standard
+ *     numbers the #standardId dropdown offers
+ *   • Diff the result against PROFESSION_STANDARD_MATRIX
+ *
+ * The diff is printed, attached to the Allure report and written to
+ * reports/profession-standard-matrix-drift.json. When it fails, update the
+ * data file to match the app (or raise the difference with the app team).
+ *
+ * Test data: test/data/service-standard-assessment.data.js (one project per phase)
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import allure from '@wdio/allure-reporter'
+import AssessmentPage from '../page-objects/assessment.page.js'
+import { ASSESSMENT_PROJECTS } from '../data/service-standard-assessment.data.js'
+import {
+  PHASES,
+  PROFESSION_STANDARD_MATRIX,
+  diffMatrices
+} from '../data/profession-standard-matrix.data.js'
+import {
+  waitForPageLoad,
+  signInAndNavigateToProjects
+} from '../helpers/delivery.helper.js'
+
+const REPORT_FILE = path.join(
+  'reports',
+  'profession-standard-matrix-drift.json'
+)
+
+/**
+ * One line per difference, e.g.
+ *   Live / product-management: app has [3, 6, 7, 8, 10, 14], we have [2, 6, 7, 10] (missing 2; unexpected 3, 8, 14)
+ */
+function formatDifferences(differences, liveMatrix) {
+  return differences.map(({ phase, professionId, missing, unexpected }) => {
+    const app = liveMatrix[phase]?.[professionId] ?? []
+    const ours = PROFESSION_STANDARD_MATRIX[phase]?.[professionId] ?? []
+    const detail = [
+      missing.length > 0 ? `missing ${missing.join(', ')}` : null,
+      unexpected.length > 0 ? `unexpected ${unexpected.join(', ')}` : null
+    ]
+      .filter(Boolean)
+      .join('; ')
+    return `${phase} / ${professionId}: app has [${app.join(', ')}], we have [${ours.join(', ')}] (${detail})`
+  })
+}
+
+describe('Profession–Standard Matrix drift check', () => {
+  /** Phase → profession id → standard numbers, as the app shows them */
+  const liveMatrix = {}
+
+  before(async () => {
+    await signInAndNavigateToProjects()
+  })
+
+  for (const project of ASSESSMENT_PROJECTS) {
+    it(`should read the ${project.phase} matrix from the assessment page (${project.name})`, async () => {
+      await AssessmentPage.openProject(project.name)
+      await waitForPageLoad()
+
+      await AssessmentPage.clickAddServiceStandardUpdate()
+      await waitForPageLoad()
+      await expect(AssessmentPage.professionSelect).toBeDisplayed()
+
+      liveMatrix[project.phase] =
+        await AssessmentPage.readStandardsByProfession()
+    })
+  }
+
+  it('should match test/data/profession-standard-matrix.data.js', async () => {
+    const unread = PHASES.filter((phase) => !liveMatrix[phase])
+    if (unread.length === PHASES.length) {
+      throw new Error(
+        'No phase could be read from the app – see the failures above'
+      )
+    }
+
+    // Only compare the phases we managed to read
+    const expected = Object.fromEntries(
+      Object.keys(liveMatrix).map((phase) => [
+        phase,
+        PROFESSION_STANDARD_MATRIX[phase] ?? {}
+      ])
+    )
+    const differences = diffMatrices(expected, liveMatrix)
+
+    // Phases that could not be read have already failed above; the report
+    // lists them under unreadPhases
+    const report = {
+      generatedAt: new Date().toISOString(),
+      baseUrl: browser.options.baseUrl,
+      unreadPhases: unread,
+      differences,
+      app: liveMatrix,
+      ours: PROFESSION_STANDARD_MATRIX
+    }
+    fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true })
+    fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2))
+    allure.addAttachment(
+      'Profession–standard matrix drift',
+      JSON.stringify(report, null, 2),
+      'application/json'
+    )
+
+    if (differences.length > 0) {
+      const divider = '─'.repeat(80)
+      throw new Error(
+        `The app's profession–standard matrix differs from ours in ${differences.length} place(s):\n` +
+          `${divider}\n${formatDifferences(differences, liveMatrix).join('\n')}\n${divider}\n` +
+          `Full report: ${REPORT_FILE}`
+      )
+    }
+  })
+})
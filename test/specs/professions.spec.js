@@ -0,0 +1,100 @@
+/**
+ * Spec: Professions
+ *
+ * Covers the Professions list and each profession's page:
+ *   - /professions lists every profession in ASSESSMENT_PROFESSIONS
+ *   - Each profession opens its own page from the list
+ *   - Each profession page rolls up the assessments that profession has
+ *     made across deliveries
+ *
+ * Test data: two new Discovery deliveries, each assessed by every profession
+ * on the first standard it can assess in Discovery, through the
+ * assurance-api. They are deleted when the run completes (see
+ * helpers/test-data-registry.helper.js).
+ *
+ * update-all-standards-per-profession.spec.js also checks each profession
+ * page lists the assessments it saves through the UI.
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import ProfessionDetailPage from '../page-objects/profession-detail.page.js'
+import ProfessionsPage from '../page-objects/professions.page.js'
+import { ASSESSMENT_PROFESSIONS } from '../data/service-standard-assessment.data.js'
+import { standardsFor } from '../data/profession-standard-matrix.data.js'
+import { standardByNumber } from '../data/service-standards.data.js'
+import { signInAndNavigateToProjects } from '../helpers/delivery.helper.js'
+import {
+  expectProfessionAssessments,
+  expectProfessionList
+} from '../helpers/professions.helper.js'
+import { createDelivery } from '../helpers/test-data-factory.helper.js'
+
+/** Status each of the two deliveries is given, so they can be told apart */
+const DELIVERY_ASSESSMENTS = [
+  { label: 'ProfessionsFirst', status: 'AMBER', statusLabel: 'Amber' },
+  { label: 'ProfessionsSecond', status: 'RED', statusLabel: 'Red' }
+]
+
+describe('Professions', () => {
+  /** One entry per DELIVERY_ASSESSMENTS entry, once created */
+  const deliveries = []
+
+  before(async () => {
+    for (const { label, status } of DELIVERY_ASSESSMENTS) {
+      const project = await createDelivery({
+        phase: 'Discovery',
+        status: 'GREEN',
+        label
+      })
+      for (const profession of ASSESSMENT_PROFESSIONS) {
+        const [standardNumber] = standardsFor('Discovery', profession.id)
+        await assuranceApi.saveAssessment(
+          project.id,
+          standardByNumber(standardNumber).slug,
+          profession.id,
+          {
+            status,
+            commentary: `Professions test: ${profession.label} on standard ${standardNumber}`
+          }
+        )
+      }
+      deliveries.push(project)
+    }
+
+    await signInAndNavigateToProjects()
+  })
+
+  it('should list every profession', async () => {
+    await ProfessionsPage.openProfessionsPage()
+    await expectProfessionList()
+  })
+
+  for (const profession of ASSESSMENT_PROFESSIONS) {
+    describe(profession.label, () => {
+      it(`should open the ${profession.label} page from the list`, async () => {
+        await ProfessionsPage.openProfessionsPage()
+        await ProfessionsPage.clickProfession(profession.id)
+
+        await expect(ProfessionDetailPage.pageHeading).toHaveText(
+          profession.label,
+          { containing: true }
+        )
+      })
+
+      it(`should roll up ${profession.label} assessments across deliveries`, async () => {
+        const [standardNumber] = standardsFor('Discovery', profession.id)
+        await ProfessionDetailPage.openProfession(profession.id)
+
+        for (const [index, project] of deliveries.entries()) {
+          await expectProfessionAssessments(project.name, {
+            [standardNumber]: DELIVERY_ASSESSMENTS[index].statusLabel
+          })
+        }
+      })
+    })
+  }
+
+  after(async () => {
+    await browser.deleteAllCookies()
+  })
+})
@@ -0,0 +1,56 @@
+/**
+ * Spec: Service Standard catalogue
+ *
+ * Fails fast, with a seeding hint, when the app's Service Standards differ
+ * from test/data/service-standards.data.js – otherwise a missing or stale
+ * serviceStandards collection shows up as confusing failures in other specs.
+ *   - /projects/:id lists every standard, in order, linking to its slug
+ *   - /projects/:id/standards/:slug shows the right standard for every slug
+ *
+ * Test data uses existing project: MANAGE_DELIVERY_TEST_PROJECT1
+ */
+
+import DeliveryPage from '../page-objects/delivery.page.js'
+import { MANAGE_DELIVERY_TEST_PROJECT1 } from '../data/delivery.data.js'
+import {
+  SERVICE_STANDARDS,
+  standardLabel
+} from '../data/service-standards.data.js'
+import {
+  waitForPageLoad,
+  signInAndNavigateToProjects
+} from '../helpers/delivery.helper.js'
+import {
+  expectServiceStandardCatalogue,
+  expectServiceStandardPage
+} from '../helpers/service-standards.helper.js'
+
+describe('Service Standard catalogue', () => {
+  let projectId = ''
+
+  before(async () => {
+    await signInAndNavigateToProjects()
+
+    await DeliveryPage.clickDeliveryByName(MANAGE_DELIVERY_TEST_PROJECT1)
+    await waitForPageLoad()
+    const match = (await browser.getUrl()).match(/\/projects\/([^/?#]+)/)
+    expect(match).toBeTruthy()
+    projectId = match[1]
+  })
+
+  it('should list every Service Standard on the project page', async () => {
+    await browser.url(`/projects/${projectId}`)
+    await waitForPageLoad()
+
+    await expectServiceStandardCatalogue()
+  })
+
+  for (const standard of SERVICE_STANDARDS) {
+    it(`should show "${standardLabel(standard)}" at /standards/${standard.slug}`, async () => {
+      await browser.url(`/projects/${projectId}/standards/${standard.slug}`)
+      await waitForPageLoad()
+
+      await expectServiceStandardPage(standard)
+    })
+  }
+})
@@ -0,0 +1,177 @@
+/**
+ * Spec: Service Standard assessment history and archiving
+ *
+ * Covers a profession's history of one Service Standard on a delivery:
+ *   - The history lists every assessment, newest first, with its author and date
+ *   - The compliance tab on /projects/:id rolls up the latest assessment
+ *   - Archiving an entry asks for confirmation, and cancelling leaves it alone
+ *   - A confirmed archive marks the entry archived
+ *   - The archived assessment no longer shows in the compliance roll-up
+ *
+ * Test data: a new Discovery delivery, assessed three times for standard 6
+ * by Architecture through the assurance-api. It is deleted when the run
+ * completes (see helpers/test-data-registry.helper.js).
+ */
+
+import assuranceApi from '../api/assurance-api.client.js'
+import AssessmentPage from '../page-objects/assessment.page.js'
+import StandardHistoryPage from '../page-objects/standard-history.page.js'
+import { standardByNumber } from '../data/service-standards.data.js'
+import {
+  waitForPageLoad,
+  signInAndNavigateToProjects
+} from '../helpers/delivery.helper.js'
+import {
+  expectHistoryToMatch,
+  expectedHistory
+} from '../helpers/standard-history.helper.js'
+import { createDelivery } from '../helpers/test-data-factory.helper.js'
+
+const STANDARD = standardByNumber(6)
+const PROFESSION_ID = 'architecture'
+
+/** Saved in this order, so the Red assessment is the latest */
+const ASSESSMENTS = [
+  { status: 'GREEN', commentary: 'History test: first assessment (Green)' },
+  { status: 'AMBER', commentary: 'History test: second assessment (Amber)' },
+  { status: 'RED', commentary: 'History test: latest assessment (Red)' }
+]
+
+/**
+ * The compliance confidence /projects/:id shows for STANDARD.
+ * @param {string} projectId
+ * @returns {Promise<string>}
+ */
+async function complianceStatus(projectId) {
+  await browser.url(`/projects/${projectId}`)
+  await waitForPageLoad()
+  await AssessmentPage.tabs.select('compliance')
+
+  const rows = await AssessmentPage.getComplianceTableData()
+  const row = rows.find(({ standard }) =>
+    standard.startsWith(`${STANDARD.number}.`)
+  )
+  if (!row) {
+    throw new Error(
+      `Standard ${STANDARD.number} is not in the compliance table (${rows.length} rows)`
+    )
+  }
+  return row.status
+}
+
+describe('Service Standard assessment history', () => {
+  let project
+  const history = () =>
+    assuranceApi.getAssessmentHistory(project.id, STANDARD.slug, PROFESSION_ID)
+
+  before(async () => {
+    project = await createDelivery({
+      phase: 'Discovery',
+      status: 'GREEN',
+      label: 'History'
+    })
+    for (const assessment of ASSESSMENTS) {
+      await assuranceApi.saveAssessment(
+        project.id,
+        STANDARD.slug,
+        PROFESSION_ID,
+        assessment
+      )
+    }
+
+    await signInAndNavigateToProjects()
+  })
+
+  describe('History page', () => {
+    it('should be linked from the standard page', async () => {
+      await browser.url(`/projects/${project.id}/standards/${STANDARD.slug}`)
+      await waitForPageLoad()
+
+      const historyLink = $(
+        `a[href$="/standards/${STANDARD.slug}/professions/${PROFESSION_ID}/history"]`
+      )
+      await expect(historyLink).toBeDisplayed()
+      await historyLink.click()
+      await browser.waitUntil(
+        async () => (await browser.getUrl()).endsWith('/history'),
+        { timeout: 10000, timeoutMsg: 'History page did not load' }
+      )
+    })
+
+    it('should list every assessment, newest first, with its author and date', async () => {
+      await StandardHistoryPage.openHistory(
+        project.id,
+        STANDARD.slug,
+        PROFESSION_ID
+      )
+
+      const expected = expectedHistory(await history())
+      expect(expected.length).toBeGreaterThanOrEqual(ASSESSMENTS.length)
+      await expectHistoryToMatch(expected)
+
+      const [newest] = await StandardHistoryPage.getEntries()
+      expect(newest.text).toContain(ASSESSMENTS.at(-1).commentary)
+    })
+
+    it('should roll the latest assessment up into the compliance tab', async () => {
+      expect(await complianceStatus(project.id)).toContain('Red')
+    })
+  })
+
+  describe('Archiving an entry', () => {
+    let latest
+
+    before(async () => {
+      latest = expectedHistory(await history(), { includeArchived: false })[0]
+    })
+
+    it('should ask for confirmation, and leave the entry alone when cancelled', async () => {
+      await StandardHistoryPage.openHistory(
+        project.id,
+        STANDARD.slug,
+        PROFESSION_ID
+      )
+      await StandardHistoryPage.startArchive(latest.id)
+
+      await expect(StandardHistoryPage.pageHeading).toHaveText('Archive', {
+        containing: true
+      })
+      await expect(StandardHistoryPage.confirmArchiveButton).toBeDisplayed()
+
+      await StandardHistoryPage.cancelArchive()
+
+      const entry = (await history()).find(({ id }) => id === latest.id)
+      expect(entry.archived).toBeFalsy()
+      await expectHistoryToMatch(expectedHistory(await history()))
+    })
+
+    it('should archive the entry once confirmed', async () => {
+      await StandardHistoryPage.openHistory(
+        project.id,
+        STANDARD.slug,
+        PROFESSION_ID
+      )
+      await StandardHistoryPage.startArchive(latest.id)
+      await StandardHistoryPage.confirmArchive()
+
+      const entry = (await history()).find(({ id }) => id === latest.id)
+      expect(entry.archived).toBe(true)
+
+      // Admins still see the entry, marked archived
+      await StandardHistoryPage.openHistory(
+        project.id,
+        STANDARD.slug,
+        PROFESSION_ID
+      )
+      await expectHistoryToMatch(expectedHistory(await history()))
+    })
+
+    it('should drop the archived assessment from the compliance roll-up', async () => {
+      expect(await complianceStatus(project.id)).toContain('Amber')
+    })
+  })
+
+  after(async () => {
+    await browser.deleteAllCookies()
+  })
+})
@@ -10,23 +10,50 @@
  *   3. After all standards are saved, go to the project detail → compliance tab
  *   4. Verify: each updated standard shows the correct status tag
  *   5. Verify: all other standards remain "Pending" (unaffected)
+ *   6. Verify: the profession's page (/professions/:id) lists the project with
+ *      the same statuses
  *
- * Test data: test/data/update-standards.data.js
+ * Each describe works on its own copy of the project when running in
+ * parallel; otherwise it puts the project's assessments back as it found them
+ * when it finishes, pass or fail, so the "remain Pending" checks hold on
+ * every run.
+ *
+ * Test data: test/data/scenarios/profession-updates.yaml (see update-standards.data.js)
  * Projects must already exist in the test database.
  */
 
 import AssessmentPage from '../page-objects/assessment.page.js'
+import ProfessionDetailPage from '../page-objects/profession-detail.page.js'
 import {
   PROFESSION_UPDATE_SCENARIOS,
   statusForIndex,
   buildCommentary
 } from '../data/update-standards.data.js'
-import { SERVICE_STANDARDS } from '../data/delivery.data.js'
+import { SERVICE_STANDARDS } from '../data/service-standards.data.js'
 import { waitForPageLoad, signInAndNavigateToProjects } from '../helpers/delivery.helper.js'
+import { useSharedProject } from '../helpers/project-allocator.helper.js'
+import { expectProfessionAssessments } from '../helpers/professions.helper.js'
+import { describeScenarios } from '../helpers/scenario-loader.helper.js'
+
+/**
+ * The assessments a scenario saves, for useSharedProject().
+ */
+function scenarioAssessments(scenario) {
+  return scenario.standards.map((stdNum) => ({
+    standardId: `standard-${stdNum}`,
+    professionId: scenario.professionId
+  }))
+}
 
 // ── Parameterised describe – one per profession ──────────────────────────────
-for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
-  describe(`Update All Standards – ${scenario.professionLabel} (${scenario.projectName})`, () => {
+describeScenarios(
+  PROFESSION_UPDATE_SCENARIOS,
+  (scenario) => `Update All Standards – ${scenario.professionLabel} (${scenario.projectName})`,
+  (scenario) => {
+
+    const project = useSharedProject(scenario.projectName, {
+      assessments: scenarioAssessments(scenario)
+    })
 
     /** Map of standard number → assigned status label, populated during updates */
     const assignedStatuses = {}
@@ -48,7 +75,7 @@ for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
 
         if (i === 0) {
           // First iteration: navigate to the project via search
-          await AssessmentPage.openProject(scenario.projectName)
+          await AssessmentPage.openProject(project.name)
           await waitForPageLoad()
         }
         // After save, browser is already on the project detail page
@@ -104,7 +131,7 @@ for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
     // ════════════════════════════════════════════════════════════════════════
     it(`should show correct statuses in compliance tab after all updates for ${scenario.professionLabel}`, async () => {
       // Open the project detail page
-      await AssessmentPage.openProject(scenario.projectName)
+      await AssessmentPage.openProject(project.name)
       await waitForPageLoad()
 
       // Switch to compliance tab
@@ -125,8 +152,7 @@ for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
 
       const failures = []
 
-      for (let stdIdx = 0; stdIdx < SERVICE_STANDARDS.length; stdIdx++) {
-        const stdNum = stdIdx + 1
+      for (const { number: stdNum } of SERVICE_STANDARDS) {
         const row = tableData.find(r => r.standard.startsWith(`${stdNum}.`))
 
         if (!row) {
@@ -163,14 +189,30 @@ for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
         )
       }
     })
-  })
-}
+
+    // ════════════════════════════════════════════════════════════════════════
+    // Step 3: Verify the profession page rolls up the same assessments
+    // ════════════════════════════════════════════════════════════════════════
+    it(`should list the project's assessments on the ${scenario.professionLabel} profession page`, async () => {
+      await ProfessionDetailPage.openProfession(scenario.professionId)
+      await waitForPageLoad()
+
+      await expectProfessionAssessments(project.name, assignedStatuses)
+    })
+  }
+)
 
 // ══════════════════════════════════════════════════════════════════════════════
 // Route 2: Via Compliance tab → Standard detail → "Add service standard update"
 // ══════════════════════════════════════════════════════════════════════════════
-for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
-  describe(`Update All Standards (via Compliance Tab) – ${scenario.professionLabel} (${scenario.projectName})`, () => {
+describeScenarios(
+  PROFESSION_UPDATE_SCENARIOS,
+  (scenario) => `Update All Standards (via Compliance Tab) – ${scenario.professionLabel} (${scenario.projectName})`,
+  (scenario) => {
+
+    const project = useSharedProject(scenario.projectName, {
+      assessments: scenarioAssessments(scenario)
+    })
 
     const assignedStatuses = {}
 
@@ -191,7 +233,7 @@ for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
 
         if (i === 0) {
           // First standard only: navigate via compliance tab → standard detail
-          await AssessmentPage.openProject(scenario.projectName)
+          await AssessmentPage.openProject(project.name)
           await waitForPageLoad()
 
           await AssessmentPage.clickStandardFromComplianceTab(1)
@@ -249,7 +291,7 @@ for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
     // Step 2: Verify the compliance tab shows correct statuses
     // ════════════════════════════════════════════════════════════════════════
     it(`should show correct statuses in compliance tab after compliance-tab-route updates for ${scenario.professionLabel}`, async () => {
-      await AssessmentPage.openProject(scenario.projectName)
+      await AssessmentPage.openProject(project.name)
       await waitForPageLoad()
 
       await AssessmentPage.serviceStandardComplianceTab.waitForDisplayed({ timeout: 5000 })
@@ -268,8 +310,7 @@ for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
 
       const failures = []
 
-      for (let stdIdx = 0; stdIdx < SERVICE_STANDARDS.length; stdIdx++) {
-        const stdNum = stdIdx + 1
+      for (const { number: stdNum } of SERVICE_STANDARDS) {
         const row = tableData.find(r => r.standard.startsWith(`${stdNum}.`))
 
         if (!row) continue
@@ -300,5 +341,15 @@ for (const scenario of PROFESSION_UPDATE_SCENARIOS) {
         )
       }
     })
-  })
-}
\ No newline at end of file
+
+    // ════════════════════════════════════════════════════════════════════════
+    // Step 3: Verify the profession page rolls up the same assessments
+    // ════════════════════════════════════════════════════════════════════════
+    it(`should list the project's assessments on the ${scenario.professionLabel} profession page`, async () => {
+      await ProfessionDetailPage.openProfession(scenario.professionId)
+      await waitForPageLoad()
+
+      await expectProfessionAssessments(project.name, assignedStatuses)
+    })
+  }
+)
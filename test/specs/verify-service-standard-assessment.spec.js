@@ -28,11 +28,11 @@ import AssessmentPage from '../page-objects/assessment.page.js'
 import {
   ASSESSMENT_PROFESSIONS,
   PHASE_PROFESSION_MAP,
-  PHASE_PROFESSION_STANDARD_MAP,
   ASSESSMENT_PROJECTS,
-  SERVICE_STANDARD_TEXT,
   buildInsetText
 } from '../data/service-standard-assessment.data.js'
+import { PROFESSION_STANDARD_MATRIX } from '../data/profession-standard-matrix.data.js'
+import { standardByNumber, standardLabel } from '../data/service-standards.data.js'
 import { waitForPageLoad, signInAndNavigateToProjects } from '../helpers/delivery.helper.js'
 
 // ── Pure helpers (extracted to keep verifyProfessionsAndStandards ≤15 CC) ──
@@ -49,10 +49,10 @@ function collectMissingProfessions (renderedProfessions, expectedProfessionLabel
 function collectStandardFailures (phase, profession, renderedStandards, expectedStandardNumbers) {
   const missing = expectedStandardNumbers
     .filter(stdNum => {
-      const expectedText = SERVICE_STANDARD_TEXT[stdNum]
+      const expectedText = standardByNumber(stdNum).title
       return !renderedStandards.some(opt => opt.includes(expectedText) || opt.startsWith(`${stdNum}.`))
     })
-    .map(stdNum => `${stdNum}. ${SERVICE_STANDARD_TEXT[stdNum]}`)
+    .map(stdNum => standardLabel(standardByNumber(stdNum)))
 
   const extra = renderedStandards.filter(opt => {
     const match = /^(\d+)\./.exec(opt)
@@ -122,7 +122,7 @@ async function verifyProfessionsAndStandards (phase) {
     const renderedStandards = await AssessmentPage.getStandardOptions()
     console.log(`  [${profession.label}] standards (${renderedStandards.length}): ${renderedStandards.join(' | ')}`)
 
-    const expectedStandardNumbers = PHASE_PROFESSION_STANDARD_MAP[phase][profession.id] || []
+    const expectedStandardNumbers = PROFESSION_STANDARD_MATRIX[phase][profession.id] || []
     failures.push(...collectStandardFailures(phase, profession, renderedStandards, expectedStandardNumbers))
   }
 
@@ -0,0 +1,76 @@
+/**
+ * Step definitions for adding a Service Standard update
+ * (test/features/add-assessment.feature).
+ */
+
+import { Then, When } from '@wdio/cucumber-framework'
+import AssessmentPage from '../page-objects/assessment.page.js'
+import { ASSESSMENT_STATUSES } from '../data/update-standards.data.js'
+import { waitForPageLoad } from '../helpers/delivery.helper.js'
+
+When(
+  'I add a Service Standard update for {string} on standard {int} at {string} status',
+  async function (professionLabel, standardNumber, statusLabel) {
+    const status = ASSESSMENT_STATUSES.find(
+      ({ label }) => label === statusLabel
+    )
+    if (!status) {
+      throw new RangeError(
+        `Unknown assessment status "${statusLabel}" (expected one of ` +
+          `${ASSESSMENT_STATUSES.map(({ label }) => label).join(', ')})`
+      )
+    }
+
+    await browser.url(`/projects/${this.delivery.id}`)
+    await waitForPageLoad()
+    await AssessmentPage.clickAddServiceStandardUpdate()
+    await waitForPageLoad()
+
+    // The standards offered depend on the profession and the delivery's phase
+    await AssessmentPage.professionField.selectByText(professionLabel)
+    const professionId = await AssessmentPage.professionField.getSelectedValue()
+    await AssessmentPage.selectProfession(professionId)
+
+    const texts = await AssessmentPage.getStandardOptions()
+    const values = await AssessmentPage.getStandardOptionValues()
+    const index = texts.findIndex((text) =>
+      text.startsWith(`${standardNumber}.`)
+    )
+    if (index === -1) {
+      throw new Error(
+        `Standard ${standardNumber} is not offered to ${professionLabel} in the ` +
+          `${this.delivery.phase} phase.\nAvailable: [${texts.join(' | ')}]`
+      )
+    }
+
+    await AssessmentPage.submitAssessment({
+      professionId,
+      standardValue: values[index],
+      statusValue: status.value,
+      commentary:
+        `${professionLabel} assessed standard ${standardNumber} as ` +
+        `${status.label} in a cucumber scenario`
+    })
+  }
+)
+
+Then(
+  'standard {int} is shown as {string} on the compliance tab',
+  async function (standardNumber, statusLabel) {
+    await browser.url(`/projects/${this.delivery.id}`)
+    await waitForPageLoad()
+    await AssessmentPage.tabs.select('compliance')
+
+    const rows = await AssessmentPage.getComplianceTableData()
+    const row = rows.find(({ standard }) =>
+      standard.startsWith(`${standardNumber}.`)
+    )
+    if (!row) {
+      throw new Error(
+        `Standard ${standardNumber} is not in the compliance table ` +
+          `(${rows.length} rows)`
+      )
+    }
+    expect(row.status).toContain(statusLabel)
+  }
+)
@@ -0,0 +1,30 @@
+/**
+ * Step definitions shared by every feature in test/features.
+ *
+ * Steps keep what they create on the cucumber World (`this`) so later steps
+ * in the same scenario can use it:
+ *   this.delivery – the delivery the scenario works on, as the assurance-api
+ *                   returned it, plus what the steps have changed since
+ */
+
+import { Given } from '@wdio/cucumber-framework'
+import { findDeliveryStatus } from '../data/delivery.data.js'
+import { signInAndNavigateToProjects } from '../helpers/delivery.helper.js'
+import { createDelivery } from '../helpers/test-data-factory.helper.js'
+
+Given('I am signed in and on the deliveries page', async function () {
+  // Navigate like a real user: Home → Sign in → View all deliveries
+  await signInAndNavigateToProjects()
+})
+
+Given(
+  'a delivery in the {string} phase at {string} status',
+  async function (phase, statusLabel) {
+    // Created through the assurance-api and deleted when the run completes
+    const project = await createDelivery({
+      phase,
+      status: findDeliveryStatus(statusLabel).value
+    })
+    this.delivery = { ...project }
+  }
+)
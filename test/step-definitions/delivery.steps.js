@@ -0,0 +1,118 @@
+/**
+ * Step definitions for adding a delivery and checking a delivery's page
+ * (test/features/add-delivery.feature, and the outcome steps of the other
+ * features).
+ */
+
+import { Then, When } from '@wdio/cucumber-framework'
+import DeliveryPage from '../page-objects/delivery.page.js'
+import { findDeliveryStatus } from '../data/delivery.data.js'
+import { PHASES } from '../data/profession-standard-matrix.data.js'
+import {
+  verifyServiceStandardComplianceTable,
+  waitForPageLoad
+} from '../helpers/delivery.helper.js'
+import {
+  verifyStatusUpdateSuccess,
+  verifyUpdateInEngagementTab
+} from '../helpers/manage-delivery.helper.js'
+import { buildDelivery } from '../helpers/test-data-factory.helper.js'
+
+When(
+  'I add a new delivery in the {string} phase at {string} status',
+  async function (phase, statusLabel) {
+    const status = findDeliveryStatus(statusLabel)
+    const delivery = buildDelivery({ phase, status: status.value })
+
+    await DeliveryPage.openProjectsPage()
+    await waitForPageLoad()
+    await DeliveryPage.addNewDeliveryLink.click()
+    await browser.waitUntil(
+      async () => (await browser.getUrl()).includes('/projects/add'),
+      { timeout: 10000, timeoutMsg: 'URL did not contain /projects/add' }
+    )
+    await waitForPageLoad()
+
+    // Registered for deletion at the end of the run
+    await DeliveryPage.fillAndSubmitDeliveryForm({
+      deliveryName: delivery.name,
+      projectPhase: phase,
+      // Index 0 is the "Select a phase" placeholder
+      phaseIndex: PHASES.indexOf(phase) + 1,
+      defraCode: delivery.defCode,
+      currentStatus: status.value,
+      currentStatusLabel: status.label,
+      deliveryCommentary: delivery.commentary
+    })
+    this.delivery = delivery
+
+    await browser.waitUntil(
+      async () => {
+        const url = await browser.getUrl()
+        return url.includes('/projects') && !url.includes('/projects/add')
+      },
+      { timeout: 10000, timeoutMsg: 'URL did not redirect to /projects' }
+    )
+    await waitForPageLoad()
+  }
+)
+
+Then('the new delivery is listed on the deliveries page', async function () {
+  await expect($(`td*=${this.delivery.name}`)).toBeDisplayed()
+  await expect($(`a*=${this.delivery.name}`)).toBeDisplayed()
+})
+
+Then(
+  'the delivery page shows its {string} status and commentary',
+  async function (statusLabel) {
+    await openDeliveryPage(this.delivery)
+
+    await expect(DeliveryPage.deliveryHeading).toHaveText(this.delivery.name, {
+      containing: true
+    })
+    await verifyStatusUpdateSuccess(this.delivery.commentary, statusLabel)
+  }
+)
+
+Then(
+  'every Service Standard is shown as {string}',
+  async function (expectedConfidence) {
+    await openDeliveryPage(this.delivery)
+    await verifyServiceStandardComplianceTable(expectedConfidence)
+  }
+)
+
+Then(
+  "the Delivery engagement tab shows the delivery's commentary",
+  async function () {
+    await openDeliveryPage(this.delivery)
+    await verifyUpdateInEngagementTab(this.delivery.commentary)
+  }
+)
+
+/**
+ * Open the delivery's page, unless the browser is already on it. Deliveries
+ * added through the form have no id yet, so they are opened from the list.
+ * @param {{ id?: string, name: string }} delivery
+ */
+async function openDeliveryPage(delivery) {
+  const { pathname } = new URL(await browser.getUrl())
+  if (delivery.id && pathname === `/projects/${delivery.id}`) {
+    return
+  }
+
+  if (delivery.id) {
+    await browser.url(`/projects/${delivery.id}`)
+  } else {
+    await DeliveryPage.openProjectsPage()
+    await waitForPageLoad()
+    await DeliveryPage.clickDeliveryByName(delivery.name)
+  }
+  await waitForPageLoad()
+
+  const match = (await browser.getUrl()).match(/\/projects\/([^/?]+)/)
+  if (!match) {
+    throw new Error(`The page for "${delivery.name}" did not open`)
+  }
+  delivery.id = match[1]
+}
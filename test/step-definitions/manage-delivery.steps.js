@@ -0,0 +1,71 @@
+/**
+ * Step definitions for the Manage delivery journeys
+ * (test/features/update-status.feature, test/features/update-details.feature).
+ */
+
+import { Then, When } from '@wdio/cucumber-framework'
+import ManageDeliveryPage from '../page-objects/manage-delivery.page.js'
+import { findDeliveryStatus, formatTimestamp } from '../data/delivery.data.js'
+import {
+  navigateToDetailsUpdate,
+  navigateToStatusUpdate,
+  verifyDetailsUpdateInEngagementTab,
+  verifyProjectSidebarDetails,
+  waitForSuccessNotification
+} from '../helpers/manage-delivery.helper.js'
+import {
+  buildDelivery,
+  uniqueDefCode
+} from '../helpers/test-data-factory.helper.js'
+
+When(
+  "I update the delivery's status to {string} with new commentary",
+  async function (statusLabel) {
+    const status = findDeliveryStatus(statusLabel)
+    const commentary =
+      `Status moved to ${status.label} by a cucumber scenario ` +
+      `at ${formatTimestamp()}`
+
+    await navigateToStatusUpdate(this.delivery.id)
+    await ManageDeliveryPage.updateStatusAndCommentary(status.value, commentary)
+    await waitForSuccessNotification()
+
+    this.delivery.status = status.value
+    this.delivery.commentary = commentary
+  }
+)
+
+When(
+  "I update the delivery's details to the {string} phase with a new name and DEFRA code",
+  async function (phase) {
+    const { name } = buildDelivery({ phase, label: `Details${phase}` })
+    const defCode = uniqueDefCode('Details')
+
+    await navigateToDetailsUpdate(this.delivery.id)
+    await ManageDeliveryPage.updateDetails({ name, phase, defCode })
+    await waitForSuccessNotification()
+
+    // The delivery was registered for cleanup by id, so renaming it is safe
+    Object.assign(this.delivery, { name, phase, defCode })
+  }
+)
+
+Then(
+  "the sidebar shows the delivery's new phase and DEFRA code",
+  async function () {
+    await verifyProjectSidebarDetails({
+      deliveryId: this.delivery.defCode,
+      phase: this.delivery.phase
+    })
+  }
+)
+
+Then(
+  'the Delivery engagement tab shows the changed details',
+  async function () {
+    await verifyDetailsUpdateInEngagementTab({
+      name: this.delivery.name,
+      phase: this.delivery.phase
+    })
+  }
+)
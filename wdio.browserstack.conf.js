@@ -2,6 +2,9 @@ import fs from 'node:fs'
 import { ProxyAgent, setGlobalDispatcher } from 'undici'
 import { bootstrap } from 'global-agent'
 import { browserStackCapabilities } from './wdio.browserstack.capabilities.js'
+import { clearSessionCache } from './test/helpers/session.helper.js'
+import { cleanupRegisteredTestData } from './test/helpers/test-data-registry.helper.js'
+import { resolveMaxInstances } from './test/helpers/parallel-run.helper.js'
 
 const dispatcher = new ProxyAgent({
   uri: 'http://localhost:3128'
@@ -17,7 +20,9 @@ export const config = {
   runner: 'local',
   specs: ['./test/specs/**/*.js'],
   exclude: [],
-  maxInstances: 10,
+  // Override with MAX_INSTANCES; above 1, specs work on their own copies of
+  // the shared projects (test/helpers/project-allocator.helper.js)
+  maxInstances: resolveMaxInstances(10),
   commonCapabilities: {
     'bstack:options': {
       buildName: `assurance-journey-tests-${process.env.ENVIRONMENT}`
@@ -87,6 +92,11 @@ export const config = {
   },
 
   // Hooks
+  onPrepare: function (config, capabilities) {
+    // Start every run with a fresh login rather than cookies from a previous run
+    clearSessionCache()
+  },
+
   afterTest: async function (
     test,
     context,
@@ -97,10 +107,13 @@ export const config = {
     }
   },
 
-  onComplete: function (exitCode, config, capabilities, results) {
+  onComplete: async function (exitCode, config, capabilities, results) {
     // !Do Not Remove! Required for test status to show correctly in portal.
     if (results?.failed && results.failed > 0) {
       fs.writeFileSync('FAILED', JSON.stringify(results))
     }
+
+    // Delete the deliveries this run created
+    await cleanupRegisteredTestData()
   }
 }
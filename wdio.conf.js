@@ -5,6 +5,9 @@ const threeMinutes = 3 * 60 * 1000
 const oneHour = 60 * 60 * 1000
 import { ProxyAgent, setGlobalDispatcher } from 'undici'
 import { bootstrap } from 'global-agent'
+import { clearSessionCache } from './test/helpers/session.helper.js'
+import { cleanupRegisteredTestData } from './test/helpers/test-data-registry.helper.js'
+import { resolveMaxInstances } from './test/helpers/parallel-run.helper.js'
 
 const dispatcher = new ProxyAgent({
   uri: process.env.HTTP_PROXY
@@ -36,7 +39,9 @@ export const config = {
   specs: ['./test/specs/**/accessibility.e2e.js'],
   // Tests to exclude
   exclude: [],
-  maxInstances: 1,
+  // Override with MAX_INSTANCES; above 1, specs work on their own copies of
+  // the shared projects (test/helpers/project-allocator.helper.js)
+  maxInstances: resolveMaxInstances(1),
 
   // capabilities: [
   //   {
@@ -163,7 +168,10 @@ export const config = {
    * @param {object} config wdio configuration object
    * @param {Array.<Object>} capabilities list of capabilities details
    */
-  // onPrepare: function (config, capabilities) {},
+  onPrepare: function (config, capabilities) {
+    // Start every run with a fresh login rather than cookies from a previous run
+    clearSessionCache()
+  },
   /**
    * Gets executed before a worker process is spawned and can be used to initialise specific service
    * for that worker as well as modify runtime environments in an async fashion.
@@ -284,12 +292,15 @@ export const config = {
    * @param {Array.<Object>} capabilities list of capabilities details
    * @param {<Object>} results object containing test results
    */
-  onComplete: function (exitCode, config, capabilities, results) {
+  onComplete: async function (exitCode, config, capabilities, results) {
     // !Do Not Remove! Required for test status to show correctly in portal.
     if (results?.failed && results.failed > 0) {
       fs.writeFileSync('FAILED', JSON.stringify(results))
     }
 
+    // Delete the deliveries this run created
+    await cleanupRegisteredTestData()
+
     // Note: Accessibility integration happens via npm run report script
   }
   /**
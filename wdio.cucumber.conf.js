@@ -0,0 +1,68 @@
+import allure from '@wdio/allure-reporter'
+
+import { config as localConfig } from './wdio.local.conf.js'
+
+const debug = process.env.DEBUG
+const oneHour = 60 * 60 * 1000
+
+/**
+ * Runs the Gherkin features in test/features against a local stack, with the
+ * same browser, base URL, session and test data handling as wdio.local.conf.js.
+ *
+ * Results go to the same allure-results folder as the mocha specs, so running
+ * `npm run test:local` and then `npm run test:cucumber` gives one report.
+ */
+/** Settings of wdio.local.conf.js that only apply to mocha specs */
+const MOCHA_ONLY = ['mochaOpts', 'afterTest']
+
+const sharedConfig = Object.fromEntries(
+  Object.entries(localConfig).filter(([key]) => !MOCHA_ONLY.includes(key))
+)
+
+export const config = {
+  ...sharedConfig,
+  //
+  // ==================
+  // Specify Test Files
+  // ==================
+  specs: ['./test/features/**/*.feature'],
+  //
+  // Framework you want to run your specs with.
+  // see also: https://webdriver.io/docs/frameworks
+  framework: 'cucumber',
+
+  reporters: [
+    'spec',
+    [
+      'allure',
+      {
+        outputDir: 'allure-results',
+        // Report Gherkin steps as steps of their scenario, not as tests
+        useCucumberStepReporter: true
+      }
+    ]
+  ],
+
+  // Options to be passed to Cucumber.
+  // See the full list at https://github.com/cucumber/cucumber-js/blob/main/docs/configuration.md
+  cucumberOpts: {
+    require: ['./test/step-definitions/**/*.steps.js'],
+    // Only run scenarios matching a tag expression, e.g. CUCUMBER_TAGS='@smoke and not @slow'
+    tags: process.env.CUCUMBER_TAGS ?? '',
+    // Fail on steps with no definition rather than skipping them
+    strict: true,
+    timeout: debug ? oneHour : 60000
+  },
+
+  // Attach a screenshot of the page to the step that failed
+  afterStep: async function (step, scenario, result) {
+    if (result.error) {
+      const screenshot = await browser.takeScreenshot()
+      allure.addAttachment(
+        `Screenshot: ${step.text}`,
+        Buffer.from(screenshot, 'base64'),
+        'image/png'
+      )
+    }
+  }
+}
@@ -1,4 +1,7 @@
 import allure from 'allure-commandline'
+import { clearSessionCache } from './test/helpers/session.helper.js'
+import { cleanupRegisteredTestData } from './test/helpers/test-data-registry.helper.js'
+import { resolveMaxInstances } from './test/helpers/parallel-run.helper.js'
 
 const oneMinute = 60 * 1000
 
@@ -23,7 +26,9 @@ export const config = {
   specs: ['./test/specs/**/*.js'],
   // Tests to exclude
   exclude: [],
-  maxInstances: 1,
+  // Override with MAX_INSTANCES; above 1, specs work on their own copies of
+  // the shared projects (test/helpers/project-allocator.helper.js)
+  maxInstances: resolveMaxInstances(1),
 
   commonCapabilities: {
     'bstack:options': {
@@ -116,7 +121,10 @@ export const config = {
    * @param {object} config wdio configuration object
    * @param {Array.<Object>} capabilities list of capabilities details
    */
-  // onPrepare: function (config, capabilities) {},
+  onPrepare: function (config, capabilities) {
+    // Start every run with a fresh login rather than cookies from a previous run
+    clearSessionCache()
+  },
   /**
    * Gets executed before a worker process is spawned and can be used to initialise specific service
    * for that worker as well as modify runtime environments in an async fashion.
@@ -237,7 +245,10 @@ export const config = {
    * @param {Array.<Object>} capabilities list of capabilities details
    * @param {<Object>} results object containing test results
    */
-  onComplete: function (exitCode, config, capabilities, results) {
+  onComplete: async function (exitCode, config, capabilities, results) {
+    // Delete the deliveries this run created
+    await cleanupRegisteredTestData()
+
     if (results?.failed && results.failed > 0) {
       const reportError = new Error('Could not generate Allure report')
       const generation = allure(['generate', 'allure-results', '--clean'])
@@ -1,4 +1,7 @@
 import { browserStackCapabilities } from './wdio.browserstack.capabilities.js'
+import { clearSessionCache } from './test/helpers/session.helper.js'
+import { cleanupRegisteredTestData } from './test/helpers/test-data-registry.helper.js'
+import { resolveMaxInstances } from './test/helpers/parallel-run.helper.js'
 
 const oneMinute = 60 * 1000
 
@@ -10,7 +13,9 @@ export const config = {
   runner: 'local',
   specs: ['./test/specs/**/*.e2e.js'],
   exclude: [],
-  maxInstances: 5,
+  // Override with MAX_INSTANCES; above 1, specs work on their own copies of
+  // the shared projects (test/helpers/project-allocator.helper.js)
+  maxInstances: resolveMaxInstances(5),
   capabilities: browserStackCapabilities.map((cap) => ({
     ...cap,
     'bstack:options': {
@@ -57,6 +62,10 @@ export const config = {
     ui: 'bdd',
     timeout: oneMinute
   },
+  onPrepare: function (config, capabilities) {
+    // Start every run with a fresh login rather than cookies from a previous run
+    clearSessionCache()
+  },
   afterTest: async function (
     test,
     context,
@@ -69,6 +78,10 @@ export const config = {
         'browserstack_executor: {"action": "setSessionStatus", "arguments": {"status":"failed","reason": "At least 1 assertion failed"}}'
       )
     }
-  }
+  },
   // Note: Report generation happens via npm run report script for consistency
+  onComplete: async function (exitCode, config, capabilities, results) {
+    // Delete the deliveries this run created
+    await cleanupRegisteredTestData()
+  }
 }
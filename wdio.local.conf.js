@@ -1,5 +1,10 @@
+import { clearSessionCache } from './test/helpers/session.helper.js'
+import { cleanupRegisteredTestData } from './test/helpers/test-data-registry.helper.js'
+import { resolveMaxInstances } from './test/helpers/parallel-run.helper.js'
+
 const debug = process.env.DEBUG
 const oneHour = 60 * 60 * 1000
+const maxInstances = resolveMaxInstances(1)
 
 const execArgv = ['--loader', 'esm-module-alias/loader']
 
@@ -52,7 +57,9 @@ export const config = {
   // and 30 processes will get spawned. The property handles how many capabilities
   // from the same test should run tests.
   //
-  maxInstances: 1,
+  // Override with MAX_INSTANCES; above 1, specs work on their own copies of
+  // the shared projects (test/helpers/project-allocator.helper.js)
+  maxInstances,
   //
   // If you have trouble getting all important capabilities together, check out the
   // Sauce Labs platform configurator - a great tool to configure your capabilities:
@@ -63,7 +70,7 @@ export const config = {
     ? [{ browserName: 'chrome' }]
     : [
         {
-          maxInstances: 1,
+          maxInstances,
           browserName: 'chrome',
           'goog:chromeOptions': {
             args: [
@@ -179,7 +186,10 @@ export const config = {
    * @param {object} config wdio configuration object
    * @param {Array.<Object>} capabilities list of capabilities details
    */
-  // onPrepare: function (config, capabilities) {},
+  onPrepare: function (config, capabilities) {
+    // Start every run with a fresh login rather than cookies from a previous run
+    clearSessionCache()
+  },
   /**
    * Gets executed before a worker process is spawned and can be used to initialise specific service
    * for that worker as well as modify runtime environments in an async fashion.
@@ -266,7 +276,7 @@ export const config = {
         'browserstack_executor: {"action": "setSessionStatus", "arguments": {"status":"failed","reason": "At least 1 assertion failed"}}'
       )
     }
-  }
+  },
 
   /**
    * Hook that gets executed after the suite has ended
@@ -304,7 +314,11 @@ export const config = {
    * @param {Array.<Object>} capabilities list of capabilities details
    * @param {<Object>} results object containing test results
    */
-  // onComplete removed - use 'npm run report' to generate Allure reports with accessibility integration
+  // Allure reports are generated by 'npm run report' (with accessibility integration), not here
+  onComplete: async function (exitCode, config, capabilities, results) {
+    // Delete the deliveries this run created
+    await cleanupRegisteredTestData()
+  }
 
   /**
    * Gets executed when a refresh happens.